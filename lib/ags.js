@@ -0,0 +1,203 @@
+import { LearnHttpError } from "./learn-http.js";
+import { ServiceTokenError } from "./lti-service-token.js";
+
+/* =========================================================
+   ASSIGNMENT AND GRADE SERVICES (AGS 2.0)
+   Mappy practice activities as gradebook line items, from the launch's
+   AGS endpoint claim (lineitems = the course's container, lineitem = the
+   link's own column), with a client-credentials token
+   (lib/lti-service-token.js):
+     lineItemFor(launch, activity)  the link's line item, else the one
+                                    tagged for the activity (found by
+                                    resource_id + tag, created if missing)
+     postScore(launch, url, score)  POST {lineitem}/scores for one user
+   - Found / created line items are remembered per platform + container.
+   - Failures throw AgsError with the platform's HTTP status.
+========================================================= */
+
+const SCOPE = "https://purl.imsglobal.org/spec/lti-ags/scope/";
+export const AGS_SCOPES = {
+  lineItem: `${SCOPE}lineitem`,
+  lineItemReadOnly: `${SCOPE}lineitem.readonly`,
+  score: `${SCOPE}score`,
+};
+
+const MEDIA = {
+  lineItem: "application/vnd.ims.lis.v2.lineitem+json",
+  lineItems: "application/vnd.ims.lis.v2.lineitemcontainer+json",
+  score: "application/vnd.ims.lis.v1.score+json",
+};
+
+// Line items this tool creates carry this tag (with resource_id = activity)
+export const MAPPY_TAG = "ask-mappy";
+
+export class AgsError extends Error {
+  constructor(message, status = 0, detail = "") {
+    super(message);
+    this.name = "AgsError";
+    this.status = status;
+    this.detail = detail;
+  }
+}
+
+/**
+ * Widget completion report -> { activity, score }. `activityFor(id)` is
+ * the server-side allow-list (UEF config "activities"): unknown ids are
+ * refused, and the score is computed here, never taken from the client.
+ * Practice counts as participation: full marks (scoreMaximum).
+ *   { activityId }
+ */
+export function parseCompletion(body = {}, activityFor) {
+  const extra = Object.keys(body || {}).filter((k) => k !== "activityId");
+  if (extra.length) {
+    throw new AgsError(`Unexpected field(s): ${extra.join(", ")}`, 400);
+  }
+  const id = typeof body?.activityId === "string" ? body.activityId : "";
+  const activity = id ? activityFor(id) : null;
+  if (!activity) throw new AgsError("Unknown activityId", 400);
+
+  return {
+    activity: { ...activity, label: `Mappy practice: ${activity.label}` },
+    score: {
+      scoreGiven: activity.scoreMaximum,
+      scoreMaximum: activity.scoreMaximum,
+    },
+  };
+}
+
+// Scores go to {lineitem}/scores, before any query string
+function scoresUrl(lineItemUrl) {
+  const u = new URL(lineItemUrl);
+  u.pathname = `${u.pathname.replace(/\/+$/, "")}/scores`;
+  return u.toString();
+}
+
+function withQuery(url, params) {
+  const u = new URL(url);
+  for (const [k, v] of Object.entries(params)) u.searchParams.set(k, v);
+  return u.toString();
+}
+
+// `serviceTokens` is the client-credentials token client; `platformFor(key)`
+// gives the registration; `http` is the shared Learn HTTP client
+export function createAgsClient({ serviceTokens, platformFor, http }) {
+  const lineItems = new Map(); // platform|container|activity -> line item URL
+
+  function platformOf(launch) {
+    const platform = platformFor(launch.platformKey);
+    if (!platform) throw new AgsError(`Unknown platform ${launch.platformKey}`);
+    return platform;
+  }
+
+  function requireScope(launch, scope) {
+    if (!launch.agsScopes.includes(scope)) {
+      throw new AgsError(`The platform did not grant ${scope}`, 403);
+    }
+  }
+
+  async function call(platform, scopes, url, { method = "GET", type, body }) {
+    let r;
+    try {
+      const token = await serviceTokens.getToken(platform, scopes);
+      const headers = { Authorization: `Bearer ${token}` };
+      if (body !== undefined) headers["Content-Type"] = type;
+      else headers.Accept = type;
+      r = await http.request(url, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body),
+      });
+    } catch (err) {
+      if (err instanceof ServiceTokenError || err instanceof LearnHttpError) {
+        throw new AgsError(err.message, err.status, err.detail || err.code);
+      }
+      throw err;
+    }
+    if (r.status === 401) serviceTokens.invalidate(platform, scopes);
+    if (!r.ok) throw new AgsError("AGS request failed", r.status, r.text);
+    return r.text ? r.json() : null;
+  }
+
+  return {
+    /**
+     * Line item URL for `activity` = { id, label, scoreMaximum }.
+     * A link launched from its own gradebook column (lineitem claim)
+     * always uses that column.
+     */
+    async lineItemFor(launch, activity) {
+      if (launch.agsLineItem) return launch.agsLineItem;
+      if (!launch.agsLineItems) {
+        throw new AgsError("This launch does not offer grade services", 404);
+      }
+      const platform = platformOf(launch);
+      const key = `${platform.key}|${launch.agsLineItems}|${activity.id}`;
+      if (lineItems.has(key)) return lineItems.get(key);
+
+      requireScope(launch, AGS_SCOPES.lineItem);
+      const scopes = [AGS_SCOPES.lineItem];
+      const found = await call(
+        platform,
+        scopes,
+        withQuery(launch.agsLineItems, {
+          resource_id: activity.id,
+          tag: MAPPY_TAG,
+        }),
+        { type: MEDIA.lineItems }
+      );
+      let url = Array.isArray(found) && found[0]?.id;
+
+      if (!url) {
+        const created = await call(platform, scopes, launch.agsLineItems, {
+          method: "POST",
+          type: MEDIA.lineItem,
+          body: {
+            label: activity.label,
+            scoreMaximum: activity.scoreMaximum,
+            resourceId: activity.id,
+            tag: MAPPY_TAG,
+          },
+        });
+        url = created?.id;
+        if (!url) throw new AgsError("Platform did not return the line item");
+      }
+      lineItems.set(key, url);
+      return url;
+    },
+
+    /**
+     * Post a score for `userId` (LTI sub). `score` = { scoreGiven,
+     * scoreMaximum, comment? }; the activity is reported as completed.
+     */
+    async postScore(launch, lineItemUrl, { userId, ...score }) {
+      requireScope(launch, AGS_SCOPES.score);
+      try {
+        await call(
+          platformOf(launch),
+          [AGS_SCOPES.score],
+          scoresUrl(lineItemUrl),
+          {
+            method: "POST",
+            type: MEDIA.score,
+            body: {
+              userId,
+              scoreGiven: score.scoreGiven,
+              scoreMaximum: score.scoreMaximum,
+              comment: score.comment || undefined,
+              activityProgress: "Completed",
+              gradingProgress: "FullyGraded",
+              timestamp: new Date().toISOString(),
+            },
+          }
+        );
+      } catch (err) {
+        // Column deleted in the gradebook: find or create it again next time
+        if (err.status === 404) {
+          for (const [key, url] of lineItems) {
+            if (url === lineItemUrl) lineItems.delete(key);
+          }
+        }
+        throw err;
+      }
+    },
+  };
+}
@@ -0,0 +1,295 @@
+import fs from "fs/promises";
+import { createReadStream } from "fs";
+import path from "path";
+import readline from "readline";
+import crypto from "crypto";
+
+/* =========================================================
+   USAGE ANALYTICS
+   Ask Mappy panel opens and closes from uef.js, one JSON object per
+   line in ANALYTICS_FILE (default .data/analytics.jsonl):
+     {"ts":"2026-03-02T01:23:45.000Z","type":"open","reason":"help-menu",
+      "courseId":"_123_1","user":"9f2c...","panelId":"ask-mappy-panel-..."}
+     {"ts":"...","type":"close","reason":"help-menu","courseId":"_123_1",
+      "user":"9f2c...","panelId":"...","durationMs":93000}
+   - `user` is an HMAC of platform + LTI sub (pseudonym, not reversible
+     without the salt); no names, emails or tokens are stored.
+   - `ts` is the server's receive time; days are UTC.
+   - aggregate() groups by day and course (opens, sessions, unique users,
+     time open, opens per entry point); toCsv() exports those rows.
+   - usageByUser() totals per pseudonym, for joining with a course roster
+     (pseudonymize() the roster's LTI user ids with the same salt).
+========================================================= */
+
+export const EVENT_TYPES = ["open", "close"];
+const REASON = /^[a-z][a-z0-9-]{0,39}$/;
+const LEARN_ID = /^[A-Za-z0-9_.:-]{1,200}$/;
+const PANEL_ID = /^[\w.-]{1,80}$/;
+const MAX_DURATION_MS = 12 * 60 * 60 * 1000;
+const MAX_BATCH = 20;
+const DEFAULT_RANGE_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class AnalyticsError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "AnalyticsError";
+    this.status = status;
+  }
+}
+
+export function pseudonymize(salt, ...parts) {
+  return crypto
+    .createHmac("sha256", salt)
+    .update(parts.join("\n"))
+    .digest("hex")
+    .slice(0, 16);
+}
+
+// One client event -> stored record (throws AnalyticsError when invalid)
+function toRecord(ev, { user, courseId }) {
+  if (!ev || typeof ev !== "object") {
+    throw new AnalyticsError("Event must be an object");
+  }
+  if (!EVENT_TYPES.includes(ev.type)) {
+    throw new AnalyticsError(`type must be one of ${EVENT_TYPES.join(", ")}`);
+  }
+  if (!REASON.test(String(ev.reason || ""))) {
+    throw new AnalyticsError("Invalid reason");
+  }
+  const course = ev.courseId ? String(ev.courseId) : courseId;
+  if (course && !LEARN_ID.test(course)) {
+    throw new AnalyticsError("Invalid courseId");
+  }
+  if (ev.panelId && !PANEL_ID.test(String(ev.panelId))) {
+    throw new AnalyticsError("Invalid panelId");
+  }
+
+  const record = {
+    ts: new Date().toISOString(),
+    type: ev.type,
+    reason: ev.reason,
+    courseId: course || "",
+    user,
+    panelId: ev.panelId || "",
+  };
+  if (ev.type === "close") {
+    const ms = Number(ev.durationMs);
+    if (!Number.isFinite(ms) || ms < 0) {
+      throw new AnalyticsError("durationMs must be a non-negative number");
+    }
+    record.durationMs = Math.min(Math.round(ms), MAX_DURATION_MS);
+  }
+  return record;
+}
+
+// "2026-03-01" -> ms at 00:00 UTC (null when missing, throws when invalid)
+function parseDay(value, what) {
+  if (!value) return null;
+  const s = String(value);
+  const t = /^\d{4}-\d{2}-\d{2}$/.test(s) ? Date.parse(`${s}T00:00:00Z`) : NaN;
+  if (Number.isNaN(t)) throw new AnalyticsError(`${what} must be YYYY-MM-DD`);
+  return t;
+}
+
+const dayOf = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+// from/to (inclusive days) -> [start, end) in ms; default the last 30 days
+function dayRange(from, to) {
+  const today = Date.parse(`${dayOf(Date.now())}T00:00:00Z`);
+  const end = (parseDay(to, "to") ?? today) + DAY_MS;
+  const start = parseDay(from, "from") ?? end - DEFAULT_RANGE_DAYS * DAY_MS;
+  if (end <= start) throw new AnalyticsError("from must be before to");
+  return [start, end];
+}
+
+export function createAnalyticsStore({ file, salt }) {
+  // Appends are chained so concurrent batches never interleave
+  let writing = fs.mkdir(path.dirname(file), { recursive: true });
+
+  async function* records() {
+    let stream;
+    try {
+      await fs.access(file);
+      stream = createReadStream(file, { encoding: "utf8" });
+    } catch (err) {
+      if (err.code === "ENOENT") return;
+      throw err;
+    }
+    for await (const line of readline.createInterface({ input: stream })) {
+      if (!line.trim()) continue;
+      try {
+        yield JSON.parse(line);
+      } catch {
+        // A torn last line (crash mid-append) is skipped, not fatal
+      }
+    }
+  }
+
+  // Same pseudonym for a launch's user and that user's roster entry
+  const pseudonymFor = (platformKey, sub) =>
+    pseudonymize(salt, platformKey, sub);
+
+  return {
+    file,
+    pseudonymFor,
+
+    /**
+     * Validate and append a batch from uef.js. `launch` is the session's
+     * LTI launch: it supplies the pseudonym and the default course.
+     * Resolves the number of stored events.
+     */
+    async record(events, launch) {
+      if (!Array.isArray(events) || !events.length) {
+        throw new AnalyticsError("events must be a non-empty array");
+      }
+      if (events.length > MAX_BATCH) {
+        throw new AnalyticsError(`At most ${MAX_BATCH} events per request`);
+      }
+      const context = {
+        user: pseudonymFor(launch.platformKey, launch.sub),
+        courseId: launch.contextId || "",
+      };
+      const lines = events
+        .map((ev) => JSON.stringify(toRecord(ev, context)))
+        .join("\n");
+
+      writing = writing
+        .catch(() => {})
+        .then(() => fs.appendFile(file, `${lines}\n`));
+      await writing;
+      return events.length;
+    },
+
+    /**
+     * Usage per UTC day and course between `from` and `to` (YYYY-MM-DD,
+     * inclusive; default the last 30 days), optionally for one course.
+     */
+    async aggregate({ from, to, courseId } = {}) {
+      const [start, end] = dayRange(from, to);
+
+      const rows = new Map(); // "day|course" -> row
+      const users = new Set();
+      for await (const r of records()) {
+        const t = Date.parse(r.ts);
+        if (!(t >= start && t < end)) continue;
+        if (courseId && r.courseId !== courseId) continue;
+
+        const key = `${dayOf(t)}|${r.courseId}`;
+        if (!rows.has(key)) {
+          rows.set(key, {
+            day: dayOf(t),
+            courseId: r.courseId,
+            opens: 0,
+            sessions: 0,
+            users: new Set(),
+            durationMs: 0,
+            byReason: {},
+          });
+        }
+        const row = rows.get(key);
+        row.users.add(r.user);
+        users.add(r.user);
+        if (r.type === "open") {
+          row.opens++;
+          row.byReason[r.reason] = (row.byReason[r.reason] || 0) + 1;
+        } else if (r.type === "close") {
+          row.sessions++;
+          row.durationMs += r.durationMs || 0;
+        }
+      }
+
+      const out = [...rows.values()]
+        .sort(
+          (a, b) =>
+            a.day.localeCompare(b.day) || a.courseId.localeCompare(b.courseId)
+        )
+        .map((row) => ({
+          ...row,
+          users: row.users.size,
+          avgDurationSec: row.sessions
+            ? Math.round(row.durationMs / row.sessions / 1000)
+            : 0,
+        }));
+
+      return {
+        from: dayOf(start),
+        to: dayOf(end - DAY_MS),
+        totals: {
+          opens: out.reduce((n, r) => n + r.opens, 0),
+          sessions: out.reduce((n, r) => n + r.sessions, 0),
+          users: users.size,
+          durationMs: out.reduce((n, r) => n + r.durationMs, 0),
+        },
+        rows: out,
+      };
+    },
+
+    /**
+     * Per-user totals for events in any of `courseIds` between `from` and
+     * `to` (as in aggregate): Map pseudonym -> { opens, sessions,
+     * durationMs, lastUsed }.
+     */
+    async usageByUser({ courseIds = [], from, to } = {}) {
+      const [start, end] = dayRange(from, to);
+      const courses = new Set(courseIds.filter(Boolean));
+      const byUser = new Map();
+      for await (const r of records()) {
+        const t = Date.parse(r.ts);
+        if (!(t >= start && t < end) || !courses.has(r.courseId)) continue;
+
+        if (!byUser.has(r.user)) {
+          byUser.set(r.user, {
+            opens: 0,
+            sessions: 0,
+            durationMs: 0,
+            lastUsed: null,
+          });
+        }
+        const u = byUser.get(r.user);
+        if (r.type === "open") u.opens++;
+        if (r.type === "close") {
+          u.sessions++;
+          u.durationMs += r.durationMs || 0;
+        }
+        if (!u.lastUsed || r.ts > u.lastUsed) u.lastUsed = r.ts;
+      }
+      return { from: dayOf(start), to: dayOf(end - DAY_MS), byUser };
+    },
+  };
+}
+
+// Aggregate rows -> CSV (one column per entry point seen in the rows)
+export function toCsv(rows) {
+  const reasons = [...new Set(rows.flatMap((r) => Object.keys(r.byReason)))];
+  reasons.sort();
+  const header = [
+    "day",
+    "courseId",
+    "opens",
+    "sessions",
+    "users",
+    "totalDurationSec",
+    "avgDurationSec",
+    ...reasons.map((r) => `opens_${r}`),
+  ];
+  const cell = (v) => {
+    const s = String(v);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  const lines = rows.map((r) =>
+    [
+      r.day,
+      r.courseId,
+      r.opens,
+      r.sessions,
+      r.users,
+      Math.round(r.durationMs / 1000),
+      r.avgDurationSec,
+      ...reasons.map((reason) => r.byReason[reason] || 0),
+    ]
+      .map(cell)
+      .join(",")
+  );
+  return `${[header.join(","), ...lines].join("\r\n")}\r\n`;
+}
@@ -0,0 +1,147 @@
+import crypto from "crypto";
+import { LaunchValidationError } from "./launch-validator.js";
+import { TEACHING_ROLES } from "./lti-context.js";
+
+/* =========================================================
+   LTI DEEP LINKING 2.0
+   An LtiDeepLinkingRequest launch (instructor adding content) gets a
+   picker instead of 3LO; the choice goes back to the platform as a
+   signed LtiDeepLinkingResponse, form-posted to deep_link_return_url.
+
+   Content items are ltiResourceLinks to /lti/launch with custom params:
+     mappy_placement = "content"          (launch lands on the widget page)
+     mappy_topic     = "<topic>"          (topic-scoped entries only)
+   lti-context.js reads them back into the launch as placement / topic.
+========================================================= */
+
+const CLAIM = "https://purl.imsglobal.org/spec/lti/claim/";
+const DL_CLAIM = "https://purl.imsglobal.org/spec/lti-dl/claim/";
+
+export const DEEP_LINKING_REQUEST = "LtiDeepLinkingRequest";
+export const DEEP_LINKING_RESPONSE = "LtiDeepLinkingResponse";
+
+// Roles allowed to place Ask Mappy (primary role, see lti-context.js)
+export const DEEP_LINKING_ROLES = TEACHING_ROLES;
+
+export const MAX_TOPIC_LENGTH = 80;
+
+// What the picker offers
+export const DEEP_LINK_CHOICES = {
+  general: {
+    label: "Ask Mappy",
+    description: "A general Ask Mappy entry for this course.",
+  },
+  topic: {
+    label: "Ask Mappy about a topic",
+    description: "An entry that starts Mappy on one topic.",
+  },
+};
+
+// deep_linking_settings claim -> what the tool needs to answer
+export function deepLinkSettingsFrom(payload) {
+  const s = payload[`${DL_CLAIM}deep_linking_settings`];
+  if (!s || typeof s !== "object") {
+    throw new LaunchValidationError(
+      "deep_linking_settings_missing",
+      "Missing deep_linking_settings claim"
+    );
+  }
+
+  let returnUrl;
+  try {
+    returnUrl = new URL(String(s.deep_link_return_url || ""));
+  } catch {
+    throw new LaunchValidationError(
+      "deep_link_return_url_invalid",
+      "Missing or invalid deep_link_return_url"
+    );
+  }
+  if (!["https:", "http:"].includes(returnUrl.protocol)) {
+    throw new LaunchValidationError(
+      "deep_link_return_url_invalid",
+      "deep_link_return_url must be http(s)"
+    );
+  }
+
+  const acceptTypes = Array.isArray(s.accept_types) ? s.accept_types : [];
+  if (!acceptTypes.includes("ltiResourceLink")) {
+    throw new LaunchValidationError(
+      "deep_linking_unsupported",
+      "The platform does not accept LTI resource links here"
+    );
+  }
+
+  return {
+    returnUrl: returnUrl.toString(),
+    acceptMultiple: s.accept_multiple !== false,
+    data: typeof s.data === "string" ? s.data : undefined,
+    title: typeof s.title === "string" ? s.title : "",
+  };
+}
+
+/**
+ * Picker choice -> ltiResourceLink content item. `choice` is a key of
+ * DEEP_LINK_CHOICES; topic-scoped items need a non-empty `topic`.
+ */
+export function contentItemFor({ choice, topic }, { toolBaseUrl }) {
+  const base = toolBaseUrl.replace(/\/+$/, "");
+  const item = {
+    type: "ltiResourceLink",
+    url: `${base}/lti/launch`,
+    custom: { mappy_placement: "content" },
+  };
+
+  if (choice === "general") {
+    return { ...item, title: "Ask Mappy", text: "Ask Mappy about this course" };
+  }
+  if (choice === "topic") {
+    const t = String(topic || "")
+      .replace(/\s+/g, " ")
+      .trim();
+    if (!t || t.length > MAX_TOPIC_LENGTH) {
+      throw new LaunchValidationError(
+        "deep_link_topic_invalid",
+        `Topic must be 1-${MAX_TOPIC_LENGTH} characters`
+      );
+    }
+    return {
+      ...item,
+      title: `Ask Mappy: ${t}`,
+      text: `Ask Mappy about ${t}`,
+      custom: { ...item.custom, mappy_topic: t },
+    };
+  }
+  throw new LaunchValidationError(
+    "deep_link_choice_invalid",
+    "Unknown Ask Mappy entry type"
+  );
+}
+
+/**
+ * Signed LtiDeepLinkingResponse for `launch` (the verified deep-linking
+ * launch). `sign(claims, options)` is the tool key store's sign().
+ * An empty `items` list tells the platform the instructor cancelled.
+ */
+export async function signDeepLinkingResponse({
+  launch,
+  settings,
+  items,
+  message,
+  sign,
+}) {
+  const claims = {
+    nonce: crypto.randomBytes(16).toString("hex"),
+    [`${CLAIM}message_type`]: DEEP_LINKING_RESPONSE,
+    [`${CLAIM}version`]: "1.3.0",
+    [`${CLAIM}deployment_id`]: launch.deploymentId,
+    [`${DL_CLAIM}content_items`]: items,
+  };
+  if (settings.data !== undefined) claims[`${DL_CLAIM}data`] = settings.data;
+  if (message) claims[`${DL_CLAIM}msg`] = message;
+
+  return sign(claims, {
+    issuer: launch.clientId,
+    audience: launch.issuer,
+    expiresIn: "5m",
+  });
+}
@@ -0,0 +1,271 @@
+import fetch from "node-fetch";
+
+/* =========================================================
+   DIAGNOSTICS
+   What /admin and /health report, so a broken setup can be found
+   without shell access:
+     checkConfig(settings)     env settings that are missing or unusable
+     createEndpointProbe()     are each platform's JWKS and OIDC auth
+                               endpoint reachable from this server?
+     createLaunchTrail()       the last N login / launch / deep-link / 3LO
+                               attempts, with the failing stage and reason
+   - Each check is { name, ok, severity: "error" | "warn", message }.
+   - Probe results are cached for `ttlMs`, so /admin can be reloaded;
+     cached() reads them without probing (for /health).
+   - The trail is in-process (per instance) and holds LTI ids only:
+     no names, emails, tokens or codes.
+========================================================= */
+
+const DEFAULT_TRAIL_SIZE = 50;
+const DEFAULT_PROBE_TTL_MS = 60 * 1000;
+const DEFAULT_PROBE_TIMEOUT_MS = 5000;
+
+const LOOPBACK = ["localhost", "127.0.0.1", "[::1]"];
+
+function check(name, ok, message, severity = "error") {
+  return { name, ok: Boolean(ok), severity, message: ok ? "" : message };
+}
+
+// http(s) URL; with `https`, plain http only on loopback (local testing)
+function isUrl(value, { https = false } = {}) {
+  let u;
+  try {
+    u = new URL(value);
+  } catch {
+    return false;
+  }
+  if (u.protocol === "https:") return true;
+  if (u.protocol !== "http:") return false;
+  return !https || LOOPBACK.includes(u.hostname);
+}
+
+/**
+ * Settings -> checks. `settings` = { toolBaseUrl, sessionSecret,
+ * adminToken, oauthScope, platforms (registrations from lib/platforms.js) }.
+ * Registrations take REST_KEY / REST_SECRET as their default keys, so
+ * those are checked per platform.
+ */
+export function checkConfig({
+  toolBaseUrl,
+  sessionSecret,
+  adminToken,
+  oauthScope,
+  platforms,
+}) {
+  const checks = [
+    check(
+      "TOOL_BASE_URL",
+      isUrl(toolBaseUrl, { https: true }),
+      "Must be the tool's public https URL (Blackboard redirects back to it)"
+    ),
+    check(
+      "SESSION_SECRET",
+      sessionSecret,
+      "Not set: sessions use a random per-process secret and do not survive restarts or span instances",
+      "warn"
+    ),
+    check("ADMIN_TOKEN", adminToken, "Not set: /admin is disabled", "warn"),
+    check(
+      "OAUTH_SCOPE",
+      String(oauthScope || "")
+        .split(/\s+/)
+        .includes("offline"),
+      'No "offline": Learn issues no refresh token, so sessions end when the access token expires (1 hour)',
+      "warn"
+    ),
+    check(
+      "platforms",
+      platforms.length,
+      "No platform registration (PLATFORMS_FILE, PLATFORM_ISSUER + LTI_CLIENT_ID, or /lti/register)"
+    ),
+  ];
+
+  for (const p of platforms) {
+    const name = (field) => `platform ${p.key}: ${field}`;
+    checks.push(
+      check(name("jwksUrl"), isUrl(p.jwksUrl), "Missing or invalid JWKS URL"),
+      check(
+        name("authEndpoint"),
+        isUrl(p.authEndpoint),
+        "Missing or invalid OIDC auth endpoint"
+      ),
+      check(
+        name("tokenEndpoint"),
+        isUrl(p.tokenEndpoint),
+        "Missing token endpoint: roster (NRPS) and grades (AGS) are unavailable",
+        "warn"
+      ),
+      check(
+        name("learnHost"),
+        isUrl(p.learnHost),
+        "Missing Learn host (LEARN_HOST): 3LO and REST calls cannot work"
+      ),
+      check(
+        name("restKey"),
+        p.restKey && p.restSecret,
+        "Missing REST application key/secret (REST_KEY / REST_SECRET)"
+      )
+    );
+  }
+  return checks;
+}
+
+// "ok" unless an error-severity check failed
+export function overallStatus(checks) {
+  return checks.some((c) => !c.ok && c.severity === "error")
+    ? "degraded"
+    : "ok";
+}
+
+/* ===== endpoint probes ===== */
+
+async function probe(url, timeoutMs, accept) {
+  const started = Date.now();
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const r = await fetch(url, {
+      redirect: "manual",
+      signal: controller.signal,
+    });
+    const result = await accept(r);
+    return { status: r.status, ms: Date.now() - started, ...result };
+  } catch (err) {
+    return {
+      ok: false,
+      status: 0,
+      ms: Date.now() - started,
+      error: err.name === "AbortError" ? "timeout" : err.message,
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// A key set with at least one key
+async function acceptJwks(r) {
+  if (!r.ok) return { ok: false, error: `HTTP ${r.status}` };
+  try {
+    const keys = (await r.json()).keys;
+    return Array.isArray(keys) && keys.length
+      ? { ok: true, keys: keys.length }
+      : { ok: false, error: "No keys in the key set" };
+  } catch {
+    return { ok: false, error: "Not a JSON key set" };
+  }
+}
+
+// A bare GET is no valid OIDC request: any answer below 500 means reachable
+async function acceptOidc(r) {
+  return r.status < 500
+    ? { ok: true }
+    : { ok: false, error: `HTTP ${r.status}` };
+}
+
+export function createEndpointProbe({
+  ttlMs = DEFAULT_PROBE_TTL_MS,
+  timeoutMs = DEFAULT_PROBE_TIMEOUT_MS,
+} = {}) {
+  const cache = new Map(); // platform key -> { at, result }
+  const inflight = new Map(); // platform key -> Promise<result>
+
+  async function probePlatform(p) {
+    const [jwks, oidc] = await Promise.all([
+      p.jwksUrl
+        ? probe(p.jwksUrl, timeoutMs, acceptJwks)
+        : { ok: false, error: "Not configured" },
+      p.authEndpoint
+        ? probe(p.authEndpoint, timeoutMs, acceptOidc)
+        : { ok: false, error: "Not configured" },
+    ]);
+    return {
+      platformKey: p.key,
+      checkedAt: new Date().toISOString(),
+      jwks: { url: p.jwksUrl, ...jwks },
+      oidc: { url: p.authEndpoint, ...oidc },
+    };
+  }
+
+  return {
+    /**
+     * Probe results for `platforms`, one per registration; `fresh`
+     * skips the cache.
+     */
+    async check(platforms, { fresh = false } = {}) {
+      return Promise.all(
+        platforms.map((p) => {
+          const hit = cache.get(p.key);
+          if (!fresh && hit && Date.now() - hit.at < ttlMs) return hit.result;
+          if (!inflight.has(p.key)) {
+            const run = probePlatform(p)
+              .then((result) => {
+                cache.set(p.key, { at: Date.now(), result });
+                return result;
+              })
+              .finally(() => inflight.delete(p.key));
+            inflight.set(p.key, run);
+          }
+          return inflight.get(p.key);
+        })
+      );
+    },
+
+    // Last results for `platforms`, however old; never-probed ones are left out
+    cached(platforms) {
+      return platforms.flatMap((p) => cache.get(p.key)?.result || []);
+    },
+  };
+}
+
+// Probe results -> checks, in the same shape as checkConfig()
+export function probeChecks(results) {
+  return results.flatMap((r) => [
+    check(`platform ${r.platformKey}: JWKS reachable`, r.jwks.ok, r.jwks.error),
+    check(
+      `platform ${r.platformKey}: OIDC auth endpoint reachable`,
+      r.oidc.ok,
+      r.oidc.error
+    ),
+  ]);
+}
+
+/* ===== launch trail ===== */
+
+export function createLaunchTrail({ size = DEFAULT_TRAIL_SIZE } = {}) {
+  const entries = [];
+
+  return {
+    size,
+
+    /**
+     * Remember one attempt: { stage, ok, code?, reason?, requestId?,
+     * platformKey?, deploymentId?, sub?, contextId? } with stage one of
+     * login | launch | deep-link | 3lo. Oldest entries drop off past
+     * `size`.
+     */
+    record(attempt) {
+      entries.push({
+        ts: new Date().toISOString(),
+        code: "",
+        reason: "",
+        ...attempt,
+        ok: Boolean(attempt.ok),
+      });
+      if (entries.length > size) entries.splice(0, entries.length - size);
+    },
+
+    // Newest first; `limit` caps the count
+    list({ limit = size, failuresOnly = false } = {}) {
+      const out = [];
+      for (let i = entries.length - 1; i >= 0 && out.length < limit; i--) {
+        if (!failuresOnly || !entries[i].ok) out.push(entries[i]);
+      }
+      return out;
+    },
+
+    // Failed attempts still in the trail
+    failures() {
+      return entries.filter((e) => !e.ok).length;
+    },
+  };
+}
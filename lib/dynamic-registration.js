@@ -0,0 +1,224 @@
+import fetch from "node-fetch";
+
+/* =========================================================
+   LTI 1.3 DYNAMIC REGISTRATION (IMS LTI-DR 1.0)
+   1. Platform opens /lti/register?openid_configuration=...&registration_token=...
+   2. Tool fetches the platform's openid-configuration (only from under
+      an allow-listed issuer; nothing else is fetched)
+   3. Tool POSTs its configuration to registration_endpoint
+   4. Platform answers with client_id (+ deployment_id)
+   Neither request follows redirects (they could leave the allow-listed
+   issuer) or waits longer than `timeoutMs`.
+========================================================= */
+
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+
+const LTI_TOOL_CONFIG =
+  "https://purl.imsglobal.org/spec/lti-tool-configuration";
+const LTI_PLATFORM_CONFIG =
+  "https://purl.imsglobal.org/spec/lti-platform-configuration";
+
+export class RegistrationError extends Error {
+  constructor(message, status = 0, detail = "") {
+    super(message);
+    this.name = "RegistrationError";
+    this.status = status;
+    this.detail = detail;
+  }
+}
+
+// `url` lives under `issuer` (same origin, issuer path as a prefix)
+function isUnderIssuer(url, issuer) {
+  let u, i;
+  try {
+    u = new URL(url);
+    i = new URL(issuer);
+  } catch {
+    return false;
+  }
+  const base = i.pathname.endsWith("/") ? i.pathname : `${i.pathname}/`;
+  return (
+    u.origin === i.origin &&
+    (u.pathname === i.pathname || u.pathname.startsWith(base))
+  );
+}
+
+/**
+ * Allow-listed issuer the openid-configuration URL lives under, or null.
+ * Checked before anything is fetched, so /lti/register cannot be pointed
+ * at arbitrary hosts.
+ */
+export function registrationIssuerFor(url, allowedIssuers = []) {
+  return allowedIssuers.find((issuer) => isUnderIssuer(url, issuer)) || null;
+}
+
+// One request to the platform, body included, within `timeoutMs`;
+// resolves { ok, status, text }. A redirect is an error, not followed.
+async function platformRequest(url, options, { what, timeoutMs }) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const r = await fetch(url, {
+      ...options,
+      redirect: "manual",
+      signal: controller.signal,
+    });
+    if (r.status >= 300 && r.status < 400) {
+      throw new RegistrationError(
+        `${what} redirected (not followed)`,
+        r.status,
+        r.headers.get("location") || ""
+      );
+    }
+    return { ok: r.ok, status: r.status, text: await r.text() };
+  } catch (err) {
+    if (err instanceof RegistrationError) throw err;
+    throw new RegistrationError(
+      err.name === "AbortError"
+        ? `${what} timed out after ${timeoutMs} ms`
+        : `${what} failed: ${err.message}`
+    );
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function parseJson(text, what) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new RegistrationError(`${what} is not JSON`);
+  }
+}
+
+export async function fetchOpenIdConfiguration(
+  url,
+  { allowedIssuers = [], timeoutMs = DEFAULT_TIMEOUT_MS }
+) {
+  let u;
+  try {
+    u = new URL(url);
+  } catch {
+    throw new RegistrationError("Invalid openid_configuration URL");
+  }
+  if (!registrationIssuerFor(u.toString(), allowedIssuers)) {
+    throw new RegistrationError(
+      `openid_configuration is not under an allowed issuer (${u.origin})`
+    );
+  }
+
+  const what = "Platform openid-configuration";
+  const r = await platformRequest(
+    u.toString(),
+    { headers: { Accept: "application/json" } },
+    { what, timeoutMs }
+  );
+  if (!r.ok) {
+    throw new RegistrationError(
+      "Could not fetch platform openid-configuration",
+      r.status,
+      r.text
+    );
+  }
+  const config = parseJson(r.text, what);
+
+  // Spec: the configuration URL must live under the issuer it advertises
+  const issuer = String(config.issuer || "");
+  if (!allowedIssuers.includes(issuer) || !isUnderIssuer(u, issuer)) {
+    throw new RegistrationError(
+      `openid-configuration issuer mismatch (issuer=${issuer})`
+    );
+  }
+  for (const k of [
+    "registration_endpoint",
+    "authorization_endpoint",
+    "jwks_uri",
+    "token_endpoint",
+  ]) {
+    if (!config[k]) {
+      throw new RegistrationError(`openid-configuration missing ${k}`);
+    }
+  }
+  return config;
+}
+
+export function buildToolConfiguration({ toolBaseUrl, clientName, scopes }) {
+  const base = toolBaseUrl.replace(/\/+$/, "");
+  return {
+    application_type: "web",
+    response_types: ["id_token"],
+    grant_types: ["implicit", "client_credentials"],
+    initiate_login_uri: `${base}/lti/login`,
+    redirect_uris: [`${base}/lti/launch`],
+    client_name: clientName,
+    jwks_uri: `${base}/.well-known/jwks.json`,
+    logo_uri: `${base}/nf-help-icon.png`,
+    token_endpoint_auth_method: "private_key_jwt",
+    scope: scopes.join(" "),
+    [LTI_TOOL_CONFIG]: {
+      domain: new URL(base).host,
+      target_link_uri: `${base}/lti/launch`,
+      claims: ["iss", "sub", "name", "given_name", "family_name", "locale"],
+      messages: [
+        { type: "LtiResourceLinkRequest" },
+        { type: "LtiDeepLinkingRequest", label: clientName },
+      ],
+    },
+  };
+}
+
+export async function registerWithPlatform({
+  openidConfigurationUrl,
+  registrationToken,
+  allowedIssuers,
+  toolBaseUrl,
+  clientName = "Ask Mappy",
+  scopes = [],
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+}) {
+  const config = await fetchOpenIdConfiguration(openidConfigurationUrl, {
+    allowedIssuers,
+    timeoutMs,
+  });
+
+  const headers = {
+    "Content-Type": "application/json",
+    Accept: "application/json",
+  };
+  if (registrationToken) headers.Authorization = `Bearer ${registrationToken}`;
+
+  const what = "Platform registration endpoint";
+  const r = await platformRequest(
+    config.registration_endpoint,
+    {
+      method: "POST",
+      headers,
+      body: JSON.stringify(
+        buildToolConfiguration({ toolBaseUrl, clientName, scopes })
+      ),
+    },
+    { what, timeoutMs }
+  );
+  if (!r.ok) {
+    throw new RegistrationError(
+      "Platform rejected tool registration",
+      r.status,
+      r.text
+    );
+  }
+
+  const data = parseJson(r.text, what);
+  if (!data.client_id) {
+    throw new RegistrationError("Registration response missing client_id");
+  }
+
+  return {
+    issuer: config.issuer,
+    clientId: String(data.client_id),
+    deploymentId: String(data[LTI_TOOL_CONFIG]?.deployment_id || ""),
+    jwksUrl: config.jwks_uri,
+    authEndpoint: config.authorization_endpoint,
+    tokenEndpoint: config.token_endpoint,
+    productFamily: config[LTI_PLATFORM_CONFIG]?.product_family_code || "",
+  };
+}
@@ -0,0 +1,314 @@
+/* =========================================================
+   LAUNCH ERROR PAGES
+   What users see when /lti/login, /lti/launch, /lti/deep-link or
+   /oauth/callback fails (usually inside the Ultra iframe):
+     - a friendly title + message in English or Filipino (the other
+       language one click away), branded with the UEF display name/icon
+     - a stable page code (ERROR_PAGES key) and a support reference
+       (the request id, also in the JSON log and the /admin trail)
+     - "Try again" when retrying can help and the launch can be
+       restarted (see /lti/relaunch in server.js)
+     - technical detail (internal code + reason) only when the caller
+       says the viewer is an administrator
+   Internal codes (LaunchValidationError codes, trail codes, OAuth
+   `error` values) map onto a few pages with pageCodeFor().
+========================================================= */
+
+export const LOCALES = ["en", "fil"];
+
+const UI = {
+  en: {
+    tryAgain: "Try again",
+    reopen:
+      "You can also close this window and open Ask Mappy again from Blackboard.",
+    code: "Error code",
+    reference: "Reference",
+    details: "Technical details (administrators)",
+    otherLanguage: "Sa Filipino",
+  },
+  fil: {
+    tryAgain: "Subukang muli",
+    reopen:
+      "Maaari mo ring isara ang window na ito at buksan muli ang Ask Mappy mula sa Blackboard.",
+    code: "Code ng error",
+    reference: "Reference",
+    details: "Teknikal na detalye (para sa mga administrator)",
+    otherLanguage: "In English",
+  },
+};
+
+// Page code -> { retry, en: { title, message }, fil: { title, message } }
+export const ERROR_PAGES = {
+  launch_expired: {
+    retry: true,
+    en: {
+      title: "This page has expired",
+      message:
+        "Ask Mappy took too long to open, or this page was already used. Please try again.",
+    },
+    fil: {
+      title: "Nag-expire na ang pahinang ito",
+      message:
+        "Masyadong natagalan ang pagbukas ng Ask Mappy, o nagamit na ang pahinang ito. Pakisubukang muli.",
+    },
+  },
+  launch_incomplete: {
+    retry: true,
+    en: {
+      title: "Ask Mappy could not start",
+      message:
+        "Blackboard did not send everything Ask Mappy needs to open. Please try again from your course.",
+    },
+    fil: {
+      title: "Hindi makapagsimula ang Ask Mappy",
+      message:
+        "Hindi naipadala ng Blackboard ang lahat ng kailangan para mabuksan ang Ask Mappy. Pakisubukang muli mula sa iyong kurso.",
+    },
+  },
+  launch_invalid: {
+    retry: true,
+    en: {
+      title: "We could not verify this launch",
+      message:
+        "Ask Mappy could not confirm that this request came from Blackboard. Please try again.",
+    },
+    fil: {
+      title: "Hindi ma-verify ang pagbukas na ito",
+      message:
+        "Hindi makumpirma ng Ask Mappy na galing sa Blackboard ang kahilingang ito. Pakisubukang muli.",
+    },
+  },
+  platform_unknown: {
+    retry: false,
+    en: {
+      title: "Ask Mappy is not set up for this site",
+      message:
+        "This Blackboard site is not registered with Ask Mappy yet. Please contact your Blackboard administrator and share the reference below.",
+    },
+    fil: {
+      title: "Hindi pa naka-set up ang Ask Mappy para sa site na ito",
+      message:
+        "Hindi pa nakarehistro sa Ask Mappy ang Blackboard site na ito. Pakikontak ang iyong Blackboard administrator at ibigay ang reference sa ibaba.",
+    },
+  },
+  tool_setup: {
+    retry: false,
+    en: {
+      title: "Ask Mappy is not fully set up",
+      message:
+        "Part of the Ask Mappy setup is missing, so it cannot open right now. Please contact your Blackboard administrator and share the reference below.",
+    },
+    fil: {
+      title: "Hindi pa kumpleto ang setup ng Ask Mappy",
+      message:
+        "May kulang sa setup ng Ask Mappy kaya hindi ito mabuksan ngayon. Pakikontak ang iyong Blackboard administrator at ibigay ang reference sa ibaba.",
+    },
+  },
+  platform_unavailable: {
+    retry: true,
+    en: {
+      title: "Blackboard did not respond",
+      message:
+        "Ask Mappy could not reach Blackboard to check this launch. Please wait a moment and try again.",
+    },
+    fil: {
+      title: "Hindi sumagot ang Blackboard",
+      message:
+        "Hindi maabot ng Ask Mappy ang Blackboard para suriin ang pagbukas na ito. Maghintay sandali at subukang muli.",
+    },
+  },
+  sign_in_denied: {
+    retry: true,
+    en: {
+      title: "Access was not allowed",
+      message:
+        "Ask Mappy needs your permission to read your Blackboard courses. Try again and choose Allow when Blackboard asks.",
+    },
+    fil: {
+      title: "Hindi pinahintulutan ang access",
+      message:
+        "Kailangan ng Ask Mappy ang iyong pahintulot para mabasa ang iyong mga kurso sa Blackboard. Subukang muli at piliin ang Allow kapag nagtanong ang Blackboard.",
+    },
+  },
+  sign_in_failed: {
+    retry: true,
+    en: {
+      title: "Sign-in did not finish",
+      message:
+        "Ask Mappy could not finish signing you in to Blackboard. Please try again.",
+    },
+    fil: {
+      title: "Hindi natapos ang pag-sign in",
+      message:
+        "Hindi natapos ng Ask Mappy ang pag-sign in mo sa Blackboard. Pakisubukang muli.",
+    },
+  },
+  deep_linking_forbidden: {
+    retry: false,
+    en: {
+      title: "Only instructors can add Ask Mappy",
+      message:
+        "Adding Ask Mappy to course content is limited to instructors and teaching assistants.",
+    },
+    fil: {
+      title: "Mga instructor lang ang makapagdadagdag ng Ask Mappy",
+      message:
+        "Ang mga instructor at teaching assistant lamang ang makapagdadagdag ng Ask Mappy sa nilalaman ng kurso.",
+    },
+  },
+  deep_link_invalid: {
+    retry: true,
+    en: {
+      title: "Could not add Ask Mappy",
+      message:
+        "Something in this selection could not be used. Please try again.",
+    },
+    fil: {
+      title: "Hindi maidagdag ang Ask Mappy",
+      message: "May bahagi ng napili mo na hindi magamit. Pakisubukang muli.",
+    },
+  },
+  unexpected: {
+    retry: true,
+    en: {
+      title: "Something went wrong",
+      message:
+        "Ask Mappy ran into a problem while opening. Please try again. If it keeps happening, contact support with the reference below.",
+    },
+    fil: {
+      title: "Nagkaproblema",
+      message:
+        "Nagkaproblema ang Ask Mappy habang binubuksan ito. Pakisubukang muli. Kung patuloy itong nangyayari, makipag-ugnayan sa support at ibigay ang reference sa ibaba.",
+    },
+  },
+};
+
+// Internal failure code -> page code (unlisted codes: see pageCodeFor)
+const PAGE_FOR_CODE = {
+  state_invalid: "launch_expired",
+  state_missing: "launch_expired",
+  selection_expired: "launch_expired",
+  relaunch_expired: "launch_expired",
+  token_expired: "launch_expired",
+  login_params_missing: "launch_incomplete",
+  id_token_missing: "launch_incomplete",
+  code_missing: "launch_incomplete",
+  platform_unknown: "platform_unknown",
+  deployment_id_mismatch: "platform_unknown",
+  auth_endpoint_missing: "tool_setup",
+  platform_misconfigured: "tool_setup",
+  rest_key_missing: "tool_setup",
+  one_time_token_missing: "tool_setup",
+  jwks_unavailable: "platform_unavailable",
+  access_denied: "sign_in_denied",
+  token_exchange_failed: "sign_in_failed",
+  deep_linking_forbidden: "deep_linking_forbidden",
+  internal_error: "unexpected",
+};
+
+/**
+ * Page code for a failure at `stage` (login | launch | deep-link | 3lo,
+ * as in the /admin trail) with internal `code`.
+ */
+export function pageCodeFor(stage, code) {
+  if (PAGE_FOR_CODE[code]) return PAGE_FOR_CODE[code];
+  if (stage === "3lo") return "sign_in_failed"; // other OAuth `error` values
+  if (String(code).startsWith("deep_link")) return "deep_link_invalid";
+  return stage === "login" ? "unexpected" : "launch_invalid";
+}
+
+// BCP 47 tag ("fil-PH", "tl", "en-US") -> supported locale, else null
+export function localeFor(tag) {
+  const lang = String(tag || "")
+    .toLowerCase()
+    .split(/[-_]/)[0];
+  if (lang === "fil" || lang === "tl") return "fil";
+  return LOCALES.includes(lang) ? lang : null;
+}
+
+// Text for HTML bodies and quoted attributes (also used by server.js pages)
+export function escapeHtml(s) {
+  return String(s).replace(
+    /[&<>"']/g,
+    (c) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[
+        c
+      ]
+  );
+}
+
+/**
+ * HTML for page `page` (ERROR_PAGES key) in `locale`.
+ *   brand      { name, iconUrl } from the UEF config
+ *   reference  support reference (request id)
+ *   retryUrl   where "Try again" goes; omitted when retrying cannot help
+ *   detail     technical detail; pass it only for administrators
+ */
+export function renderErrorPage({
+  page,
+  locale = "en",
+  brand,
+  reference,
+  retryUrl,
+  detail,
+}) {
+  const entry = ERROR_PAGES[page] || ERROR_PAGES.unexpected;
+  const code = ERROR_PAGES[page] ? page : "unexpected";
+  const lang = LOCALES.includes(locale) ? locale : "en";
+  const other = lang === "en" ? "fil" : "en";
+  const ui = UI[lang];
+  const e = escapeHtml;
+
+  const retry =
+    entry.retry && retryUrl
+      ? `<p><a class="button" href="${e(retryUrl)}">${e(ui.tryAgain)}</a></p>`
+      : "";
+  const technical = detail
+    ? `<details>
+        <summary>${e(ui.details)}</summary>
+        <pre>${e(detail)}</pre>
+      </details>`
+    : "";
+
+  return `<!doctype html>
+<html lang="${lang}">
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width,initial-scale=1" />
+    <title>${e(brand.name)}: ${e(entry[lang].title)}</title>
+    <style>
+      body { font-family: system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif; padding: 24px; color: #262626; max-width: 560px; }
+      header { display: flex; align-items: center; gap: 8px; margin: 0 0 16px; font-weight: 600; }
+      header img { width: 28px; height: 28px; }
+      h1 { font-size: 18px; margin: 0 0 8px; }
+      p { margin: 0 0 12px; line-height: 1.5; }
+      .button { display: inline-block; padding: 8px 16px; border-radius: 4px; background: #0d5ea6; color: #fff; text-decoration: none; }
+      .meta { font-size: 13px; color: #595959; }
+      details { margin: 0 0 12px; font-size: 13px; }
+      pre { white-space: pre-wrap; word-break: break-word; background: #f5f5f5; padding: 8px; }
+    </style>
+  </head>
+  <body>
+    <header>
+      ${brand.iconUrl ? `<img src="${e(brand.iconUrl)}" alt="" />` : ""}
+      <span>${e(brand.name)}</span>
+    </header>
+    <main data-error-code="${code}">
+      <h1>${e(entry[lang].title)}</h1>
+      <p>${e(entry[lang].message)}</p>
+      ${retry}
+      <p>${e(ui.reopen)}</p>
+      <p class="meta">
+        ${e(ui.code)}: <code>${code}</code><br />
+        ${e(ui.reference)}: <code>${e(reference)}</code>
+      </p>
+      ${technical}
+      <details lang="${other}">
+        <summary>${e(ui.otherLanguage)}</summary>
+        <p><strong>${e(entry[other].title)}</strong></p>
+        <p>${e(entry[other].message)}</p>
+      </details>
+    </main>
+  </body>
+</html>`;
+}
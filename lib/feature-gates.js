@@ -0,0 +1,148 @@
+import fs from "fs/promises";
+
+/* =========================================================
+   FEATURE GATES
+   Decides which Ask Mappy entry points a user gets, from
+   FEATURE_RULES_FILE (default config/feature-rules.json):
+     {
+       "default": { "helpProvider": true, "baseNav": true, "coursePortal": true },
+       "rules": [
+         {
+           "name": "pilot-courses",
+           "when": {
+             "roles": ["student", "instructor"],    // primary LTI role
+             "courses": ["_123_1", "<lti context id>"],
+             "institutionRoles": ["Student", "Faculty"],
+             "from": "2026-01-05", "until": "2026-05-31"
+           },
+           "features": { "helpProvider": true, "baseNav": false }
+         }
+       ]
+     }
+   Every condition in `when` must hold (missing = any). The first matching
+   rule's features are applied over the default.
+   helpProvider and baseNav are decided per launch; coursePortal (the
+   entry in course outline slots) per course, for each course Ultra
+   shows it in.
+========================================================= */
+
+const FEATURES = ["helpProvider", "baseNav", "coursePortal"];
+const WHEN_KEYS = ["roles", "courses", "institutionRoles", "from", "until"];
+
+export class FeatureRulesError extends Error {
+  constructor(problems) {
+    super(`Invalid feature rules:\n  - ${problems.join("\n  - ")}`);
+    this.name = "FeatureRulesError";
+    this.problems = problems;
+  }
+}
+
+function checkFeatures(where, obj, problems) {
+  if (!obj || typeof obj !== "object" || Array.isArray(obj)) {
+    problems.push(`${where} must be an object`);
+    return;
+  }
+  for (const [k, v] of Object.entries(obj)) {
+    if (!FEATURES.includes(k)) problems.push(`${where}.${k} is not a feature`);
+    else if (typeof v !== "boolean")
+      problems.push(`${where}.${k} must be boolean`);
+  }
+}
+
+function isStringList(v) {
+  return Array.isArray(v) && v.every((x) => typeof x === "string" && x);
+}
+
+export function validateFeatureRules(config) {
+  const problems = [];
+  if (!config || typeof config !== "object") {
+    throw new FeatureRulesError(["rules file must be a JSON object"]);
+  }
+  checkFeatures("default", config.default, problems);
+  for (const f of FEATURES) {
+    if (typeof config.default?.[f] !== "boolean") {
+      problems.push(`default.${f} is required`);
+    }
+  }
+  if (!Array.isArray(config.rules)) problems.push("rules must be an array");
+
+  (config.rules || []).forEach((rule, i) => {
+    const where = `rules[${i}]${rule?.name ? ` (${rule.name})` : ""}`;
+    const when = rule?.when || {};
+    for (const k of Object.keys(when)) {
+      if (!WHEN_KEYS.includes(k))
+        problems.push(`${where}.when.${k} is unknown`);
+    }
+    for (const k of ["roles", "courses", "institutionRoles"]) {
+      if (k in when && !isStringList(when[k])) {
+        problems.push(`${where}.when.${k} must be a list of strings`);
+      }
+    }
+    for (const k of ["from", "until"]) {
+      if (k in when && Number.isNaN(Date.parse(when[k]))) {
+        problems.push(`${where}.when.${k} must be a date`);
+      }
+    }
+    checkFeatures(`${where}.features`, rule?.features, problems);
+  });
+
+  if (problems.length) throw new FeatureRulesError(problems);
+  return config;
+}
+
+// "http://purl.imsglobal.org/vocab/lis/v2/institution/person#Faculty" -> "Faculty"
+function institutionRolesOf(roles = []) {
+  return roles
+    .map((r) => /\/institution\/person#(\w+)$/.exec(r))
+    .filter(Boolean)
+    .map((m) => m[1]);
+}
+
+function matches(when, { launch, courseIds, now }) {
+  if (when.roles && !when.roles.includes(launch?.role)) return false;
+  if (when.courses && !courseIds.some((id) => when.courses.includes(id))) {
+    return false;
+  }
+  if (when.institutionRoles) {
+    const mine = institutionRolesOf(launch?.roles);
+    if (!when.institutionRoles.some((r) => mine.includes(r))) return false;
+  }
+  if (when.from && now < Date.parse(when.from)) return false;
+  // "until" is inclusive of the whole day when given as a date only
+  if (when.until) {
+    const end = /^\d{4}-\d{2}-\d{2}$/.test(when.until)
+      ? Date.parse(`${when.until}T23:59:59.999Z`)
+      : Date.parse(when.until);
+    if (now > end) return false;
+  }
+  return true;
+}
+
+export async function loadFeatureRules(file) {
+  let raw;
+  try {
+    raw = JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (err) {
+    throw new Error(`Cannot load FEATURE_RULES_FILE ${file}: ${err.message}`);
+  }
+  const config = validateFeatureRules(raw);
+
+  return {
+    /**
+     * Feature decision for a launch (null = no session) and the course
+     * ids known for the request. Returns { helpProvider, baseNav,
+     * coursePortal, rule }.
+     */
+    evaluate({ launch = null, courseIds = [], now = Date.now() } = {}) {
+      const ids = courseIds.filter(Boolean);
+      const rule = config.rules.find((r) =>
+        matches(r.when || {}, { launch, courseIds: ids, now })
+      );
+      return {
+        ...config.default,
+        ...(rule ? rule.features : {}),
+        rule: rule ? rule.name || null : null,
+      };
+    },
+  };
+}
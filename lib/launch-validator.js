@@ -0,0 +1,207 @@
+import { createRemoteJWKSet, errors as joseErrors, jwtVerify } from "jose";
+
+/* =========================================================
+   LTI LAUNCH VALIDATOR
+   - One cached remote JWKS per platform JWKS URL (jose caches keys and
+     refetches on unknown kid), instead of a new key set per launch.
+   - Checks the id_token signature, iss/aud/exp/iat with a clock
+     tolerance, then the LTI 1.3 core claims.
+   - Failures throw LaunchValidationError with a stable `code`; a JWKS
+     that cannot be fetched is the platform's outage (jwks_unavailable,
+     502), not a bad token.
+========================================================= */
+
+const CLAIM = "https://purl.imsglobal.org/spec/lti/claim/";
+
+export const SUPPORTED_MESSAGE_TYPES = [
+  "LtiResourceLinkRequest",
+  "LtiDeepLinkingRequest",
+];
+
+export class LaunchValidationError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.name = "LaunchValidationError";
+    this.code = code;
+    this.status = status;
+  }
+}
+
+function fromJoseError(err) {
+  if (err instanceof joseErrors.JWTExpired) {
+    return new LaunchValidationError(
+      "token_expired",
+      "id_token has expired",
+      401
+    );
+  }
+  if (err instanceof joseErrors.JWTClaimValidationFailed) {
+    return new LaunchValidationError(
+      `claim_invalid_${err.claim}`,
+      `id_token claim "${err.claim}" failed validation: ${err.reason}`,
+      401
+    );
+  }
+  if (
+    err instanceof joseErrors.JWSSignatureVerificationFailed ||
+    err instanceof joseErrors.JWKSNoMatchingKey ||
+    err instanceof joseErrors.JWKSMultipleMatchingKeys
+  ) {
+    return new LaunchValidationError(
+      "signature_invalid",
+      "id_token signature could not be verified",
+      401
+    );
+  }
+  if (err instanceof joseErrors.JOSEError) {
+    return new LaunchValidationError(
+      "token_invalid",
+      `id_token is invalid: ${err.message}`,
+      401
+    );
+  }
+  return null;
+}
+
+// Key lookups that fail for the token's own sake; anything else thrown
+// while getting a key is the JWKS fetch (network, timeout, non-200, bad JSON)
+const KEY_LOOKUP_ERRORS = [
+  joseErrors.JWKSNoMatchingKey,
+  joseErrors.JWKSMultipleMatchingKeys,
+  joseErrors.JOSENotSupported,
+];
+
+function jwksUnavailable(url, err) {
+  return new LaunchValidationError(
+    "jwks_unavailable",
+    `Platform JWKS could not be fetched from ${url}: ${err.message}`,
+    502
+  );
+}
+
+export function createLaunchValidator({
+  clockToleranceSec = 60,
+  messageTypes = SUPPORTED_MESSAGE_TYPES,
+} = {}) {
+  const jwksByUrl = new Map();
+
+  function jwksFor(url) {
+    if (!jwksByUrl.has(url)) {
+      const remote = createRemoteJWKSet(new URL(url));
+      jwksByUrl.set(url, async (header, token) => {
+        try {
+          return await remote(header, token);
+        } catch (err) {
+          if (KEY_LOOKUP_ERRORS.some((E) => err instanceof E)) throw err;
+          throw jwksUnavailable(url, err);
+        }
+      });
+    }
+    return jwksByUrl.get(url);
+  }
+
+  return {
+    clockToleranceSec,
+
+    /**
+     * Verify an LTI 1.3 id_token for `platform` and return its payload.
+     * `nonce` and `targetLinkUri` are the values stored with the OIDC
+     * state at login.
+     */
+    async validate(idToken, { platform, nonce, targetLinkUri }) {
+      if (!platform.jwksUrl) {
+        throw new LaunchValidationError(
+          "platform_misconfigured",
+          `Missing JWKS URL for platform ${platform.key}`,
+          500
+        );
+      }
+
+      let payload;
+      try {
+        ({ payload } = await jwtVerify(idToken, jwksFor(platform.jwksUrl), {
+          issuer: platform.issuer,
+          audience: platform.clientId,
+          clockTolerance: clockToleranceSec,
+          requiredClaims: ["exp", "iat", "sub"],
+        }));
+      } catch (err) {
+        throw fromJoseError(err) || err;
+      }
+
+      // jose only checks iat against the clock with maxTokenAge
+      if (payload.iat > Date.now() / 1000 + clockToleranceSec) {
+        throw new LaunchValidationError(
+          "claim_invalid_iat",
+          "id_token iat is in the future",
+          401
+        );
+      }
+
+      // Nonce must match what we stored for this state
+      if (!payload.nonce || payload.nonce !== nonce) {
+        throw new LaunchValidationError("nonce_mismatch", "Nonce mismatch");
+      }
+
+      // With several audiences, azp must name us
+      const aud = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+      if (aud.length > 1 || payload.azp !== undefined) {
+        if (payload.azp !== platform.clientId) {
+          throw new LaunchValidationError(
+            "azp_mismatch",
+            "azp claim does not match this tool's client_id"
+          );
+        }
+      }
+
+      const messageType = payload[`${CLAIM}message_type`];
+      if (!messageTypes.includes(messageType)) {
+        throw new LaunchValidationError(
+          "message_type_unsupported",
+          `Unsupported message_type: ${messageType || "(missing)"}`
+        );
+      }
+
+      if (payload[`${CLAIM}version`] !== "1.3.0") {
+        throw new LaunchValidationError(
+          "version_unsupported",
+          `Unsupported LTI version: ${payload[`${CLAIM}version`] || "(missing)"}`
+        );
+      }
+
+      const target = payload[`${CLAIM}target_link_uri`];
+      if (!target) {
+        throw new LaunchValidationError(
+          "target_link_uri_missing",
+          "Missing target_link_uri claim"
+        );
+      }
+      if (targetLinkUri && target !== targetLinkUri) {
+        throw new LaunchValidationError(
+          "target_link_uri_mismatch",
+          "target_link_uri does not match the login request"
+        );
+      }
+
+      const deploymentId = payload[`${CLAIM}deployment_id`];
+      if (!deploymentId) {
+        throw new LaunchValidationError(
+          "deployment_id_missing",
+          "Missing deployment_id claim"
+        );
+      }
+      // Only enforce deployment_id if the registration lists any
+      if (
+        platform.deploymentIds.length &&
+        !platform.deploymentIds.includes(deploymentId)
+      ) {
+        throw new LaunchValidationError(
+          "deployment_id_mismatch",
+          "deployment_id mismatch"
+        );
+      }
+
+      return payload;
+    },
+  };
+}
@@ -0,0 +1,218 @@
+import { LearnHttpError } from "./learn-http.js";
+
+/* =========================================================
+   LEARN REST API (read-only, as the signed-in user)
+   Calls the Learn public REST API with the session's 3LO token and
+   trims the answers to what the widget needs:
+     myCourses       /v1/users/{id}/courses?expand=course
+     myCalendar      /v1/calendars/items (since/until, max 16 weeks)
+     courseContents  /v1/courses/{id}/contents (or .../{parentId}/children)
+     courseGrades    /v2/courses/{id}/gradebook/columns + users/{id}
+   - List calls follow paging.nextPage (up to `maxPages`).
+   - Requests go through the shared Learn HTTP client, cached per user
+     under the endpoint names above (courses, calendar, contents, grades).
+     A Learn 401 (token revoked in Learn) drops the user's stored tokens
+     and cached answers; the next launch authorizes again.
+   - Learn failures throw LearnApiError with Learn's HTTP status.
+========================================================= */
+
+const API = "/learn/api/public";
+const DEFAULT_MAX_PAGES = 10;
+const MAX_CALENDAR_RANGE_MS = 16 * 7 * 24 * 60 * 60 * 1000; // Learn's limit
+const DEFAULT_CALENDAR_RANGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+export class LearnApiError extends Error {
+  constructor(message, status = 0, detail = "") {
+    super(message);
+    this.name = "LearnApiError";
+    this.status = status;
+    this.detail = detail;
+  }
+}
+
+// Ultra ids (_123_1) and Learn id prefixes (externalId:..., uuid:...)
+const LEARN_ID = /^[A-Za-z0-9_.:-]{1,200}$/;
+
+function learnId(id, what) {
+  if (!LEARN_ID.test(String(id || ""))) {
+    throw new LearnApiError(`Invalid ${what}`, 400);
+  }
+  return encodeURIComponent(id);
+}
+
+const isAvailable = (a) => a?.available === "Yes";
+
+function trimCourse(m) {
+  const c = m.course || {};
+  return {
+    id: c.id || m.courseId,
+    courseId: c.courseId || "",
+    name: c.name || "",
+    url: c.externalAccessUrl || "",
+    role: m.courseRoleId || "",
+    available: isAvailable(c.availability) && isAvailable(m.availability),
+    lastAccessed: m.lastAccessed || null,
+  };
+}
+
+function trimCalendarItem(item) {
+  return {
+    id: item.id,
+    type: item.type,
+    title: item.title || "",
+    start: item.start || null,
+    end: item.end || null,
+    // Course and GradebookColumn items live in the course's calendar
+    courseId: ["Course", "GradebookColumn"].includes(item.type)
+      ? item.calendarId
+      : null,
+    location: item.location || "",
+  };
+}
+
+function trimContent(item) {
+  return {
+    id: item.id,
+    parentId: item.parentId || null,
+    title: item.title || "",
+    type: item.contentHandler?.id || "",
+    hasChildren: Boolean(item.hasChildren),
+    available: isAvailable(item.availability),
+    created: item.created || null,
+  };
+}
+
+function trimGrade(column, grade) {
+  return {
+    columnId: column.id,
+    name: column.name || "",
+    due: column.grading?.due || null,
+    possible: column.score?.possible ?? null,
+    score: grade?.score ?? grade?.displayGrade?.score ?? null,
+    text: grade?.displayGrade?.text || grade?.text || "",
+    status: grade?.status || "",
+  };
+}
+
+function calendarRange({ since, until }, now = Date.now()) {
+  // Default start is the current minute, so repeat calls hit the cache
+  const from = since ? Date.parse(since) : now - (now % 60000);
+  const to = until ? Date.parse(until) : from + DEFAULT_CALENDAR_RANGE_MS;
+  if (Number.isNaN(from) || Number.isNaN(to) || to < from) {
+    throw new LearnApiError("Invalid calendar range", 400);
+  }
+  if (to - from > MAX_CALENDAR_RANGE_MS) {
+    throw new LearnApiError("Calendar range is limited to 16 weeks", 400);
+  }
+  return {
+    since: new Date(from).toISOString(),
+    until: new Date(to).toISOString(),
+  };
+}
+
+// `tokens` is the 3LO token manager; `platformFor(key)` gives learnHost;
+// `http` is the shared Learn HTTP client (lib/learn-http.js)
+export function createLearnApi({
+  tokens,
+  platformFor,
+  http,
+  maxPages = DEFAULT_MAX_PAGES,
+}) {
+  async function get(userKey, pathAndQuery, endpoint = "") {
+    const t = await tokens.getAccessToken(userKey);
+    const platform = platformFor(t.platformKey);
+    if (!platform) throw new LearnApiError(`Unknown platform ${t.platformKey}`);
+
+    let r;
+    try {
+      r = await http.request(`${platform.learnHost}${pathAndQuery}`, {
+        headers: {
+          Authorization: `Bearer ${t.accessToken}`,
+          Accept: "application/json",
+        },
+        scope: userKey,
+        endpoint,
+      });
+    } catch (err) {
+      if (!(err instanceof LearnHttpError)) throw err;
+      throw new LearnApiError(err.message, err.status, err.code);
+    }
+    if (!r.ok) {
+      if (r.status === 401) {
+        await tokens.revoke(userKey);
+        http.invalidate(userKey);
+      }
+      throw new LearnApiError("Learn API request failed", r.status, r.text);
+    }
+    return r.json();
+  }
+
+  // All results of a paged list endpoint
+  async function getAll(userKey, pathAndQuery, endpoint) {
+    const results = [];
+    let next = pathAndQuery;
+    for (let page = 0; next && page < maxPages; page++) {
+      const data = await get(userKey, next, endpoint);
+      results.push(...(data.results || []));
+      next = data.paging?.nextPage || null;
+    }
+    return results;
+  }
+
+  // Learn user id from the token response; users/me when Learn omitted it
+  async function learnUserId(userKey) {
+    const t = await tokens.getAccessToken(userKey);
+    if (t.learnUserId) return t.learnUserId;
+    const me = await get(userKey, `${API}/v1/users/me?fields=id`);
+    return me.id;
+  }
+
+  return {
+    async myCourses(userKey) {
+      const userId = learnId(await learnUserId(userKey), "user id");
+      const memberships = await getAll(
+        userKey,
+        `${API}/v1/users/${userId}/courses?expand=course`,
+        "courses"
+      );
+      return memberships.map(trimCourse);
+    },
+
+    async myCalendar(userKey, { since, until } = {}) {
+      const range = calendarRange({ since, until });
+      const items = await getAll(
+        userKey,
+        `${API}/v1/calendars/items?${new URLSearchParams(range)}`,
+        "calendar"
+      );
+      return { ...range, items: items.map(trimCalendarItem) };
+    },
+
+    async courseContents(userKey, courseId, { parentId } = {}) {
+      const course = learnId(courseId, "course id");
+      const path = parentId
+        ? `${API}/v1/courses/${course}/contents/${learnId(parentId, "content id")}/children`
+        : `${API}/v1/courses/${course}/contents`;
+      return (await getAll(userKey, path, "contents")).map(trimContent);
+    },
+
+    async courseGrades(userKey, courseId) {
+      const course = learnId(courseId, "course id");
+      const userId = learnId(await learnUserId(userKey), "user id");
+      const [columns, grades] = await Promise.all([
+        getAll(
+          userKey,
+          `${API}/v2/courses/${course}/gradebook/columns`,
+          "grades"
+        ),
+        getAll(
+          userKey,
+          `${API}/v2/courses/${course}/gradebook/users/${userId}`,
+          "grades"
+        ),
+      ]);
+      const byColumn = new Map(grades.map((g) => [g.columnId, g]));
+      return columns.map((c) => trimGrade(c, byColumn.get(c.id)));
+    },
+  };
+}
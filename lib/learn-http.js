@@ -0,0 +1,286 @@
+import fetch from "node-fetch";
+
+/* =========================================================
+   LEARN HTTP CLIENT
+   Every call to a Learn host (3LO token endpoint, REST reads) goes
+   through here:
+   - Cache: GET responses (2xx) per scope (the user) and endpoint,
+     with per-endpoint TTLs; in-process, bounded, oldest evicted first.
+   - Coalescing: identical in-flight GETs share one request.
+   - Retry: 429 (honouring Retry-After) and 502/503/504/network errors
+     with exponential backoff; POSTs are only retried on 429.
+   - Circuit breaker per Learn host: after `breakerThreshold` straight
+     failures, calls fail fast with LearnHttpError("circuit_open") for
+     `breakerCooldownMs`, then one trial call decides.
+   - stats() exposes the counters (cache hits, throttling, breaker).
+   Responses carry the Link header too, for LTI services that page
+   with rel="next" (NRPS).
+========================================================= */
+
+const RETRY_STATUS = [502, 503, 504];
+
+export const DEFAULT_CACHE_TTLS = {
+  courses: 5 * 60 * 1000,
+  calendar: 60 * 1000,
+  contents: 2 * 60 * 1000,
+  grades: 30 * 1000,
+  roster: 10 * 60 * 1000,
+};
+
+export class LearnHttpError extends Error {
+  constructor(code, message, status = 0) {
+    super(message);
+    this.name = "LearnHttpError";
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// "courses=300,calendar=60" (seconds) -> { courses: 300000, calendar: 60000 }
+export function parseCacheTtls(spec) {
+  const out = {};
+  for (const part of String(spec || "").split(",")) {
+    const [name, sec] = part.split("=").map((s) => s.trim());
+    if (!name) continue;
+    const n = Number(sec);
+    if (!Number.isFinite(n) || n < 0) {
+      throw new Error(`Invalid cache TTL for ${name}: ${sec}`);
+    }
+    out[name] = n * 1000;
+  }
+  return out;
+}
+
+// Retry-After is seconds or an HTTP date
+function retryAfterMs(value) {
+  if (!value) return null;
+  const sec = Number(value);
+  if (Number.isFinite(sec)) return Math.max(0, sec * 1000);
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+export function createLearnHttp({
+  cacheTtls = DEFAULT_CACHE_TTLS,
+  maxCacheEntries = 1000,
+  maxRetries = 3,
+  retryBaseMs = 500,
+  retryMaxMs = 10000,
+  timeoutMs = 10000,
+  breakerThreshold = 5,
+  breakerCooldownMs = 30000,
+} = {}) {
+  const cache = new Map(); // key -> { expiresAt, response }
+  const inflight = new Map(); // key -> Promise<response>
+  const breakers = new Map(); // origin -> { failures, openUntil, trial }
+
+  const counters = {
+    requests: 0,
+    cacheHits: 0,
+    cacheMisses: 0,
+    coalesced: 0,
+    retries: 0,
+    throttled: 0,
+    failures: 0,
+    circuitOpened: 0,
+    circuitRejected: 0,
+  };
+
+  /* ===== circuit breaker ===== */
+  function breakerFor(origin) {
+    if (!breakers.has(origin)) {
+      breakers.set(origin, { failures: 0, openUntil: 0, trial: false });
+    }
+    return breakers.get(origin);
+  }
+
+  function admit(origin) {
+    const b = breakerFor(origin);
+    if (!b.openUntil) return;
+    // Cooled down: let exactly one trial call through
+    if (Date.now() >= b.openUntil && !b.trial) {
+      b.trial = true;
+      return;
+    }
+    counters.circuitRejected++;
+    throw new LearnHttpError(
+      "circuit_open",
+      `Learn at ${origin} is unavailable (circuit open)`,
+      503
+    );
+  }
+
+  function recordSuccess(origin) {
+    const b = breakerFor(origin);
+    b.failures = 0;
+    b.openUntil = 0;
+    b.trial = false;
+  }
+
+  function recordFailure(origin) {
+    const b = breakerFor(origin);
+    b.failures++;
+    if (b.trial || b.failures >= breakerThreshold) {
+      if (!b.openUntil || b.trial) counters.circuitOpened++;
+      b.openUntil = Date.now() + breakerCooldownMs;
+      b.trial = false;
+    }
+  }
+
+  /* ===== cache ===== */
+  function cacheGet(key) {
+    const hit = cache.get(key);
+    if (!hit) return null;
+    if (hit.expiresAt <= Date.now()) {
+      cache.delete(key);
+      return null;
+    }
+    return hit.response;
+  }
+
+  function cachePut(key, response, ttlMs) {
+    cache.delete(key);
+    cache.set(key, { expiresAt: Date.now() + ttlMs, response });
+    while (cache.size > maxCacheEntries) {
+      cache.delete(cache.keys().next().value);
+    }
+  }
+
+  /* ===== one request, with retries ===== */
+  async function once(url, { method, headers, body }) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const r = await fetch(url, {
+        method,
+        headers,
+        body,
+        signal: controller.signal,
+      });
+      return {
+        status: r.status,
+        ok: r.ok,
+        retryAfter: r.headers.get("retry-after"),
+        link: r.headers.get("link"),
+        text: await r.text(),
+      };
+    } catch (err) {
+      throw new LearnHttpError(
+        err.name === "AbortError" ? "timeout" : "network",
+        `Learn request failed: ${err.message}`,
+        504
+      );
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async function send(url, options) {
+    const origin = new URL(url).origin;
+    const idempotent = options.method === "GET";
+
+    for (let attempt = 0; ; attempt++) {
+      admit(origin);
+      counters.requests++;
+
+      let res = null;
+      let error = null;
+      try {
+        res = await once(url, options);
+      } catch (err) {
+        error = err;
+      }
+
+      const serverFailure = error || RETRY_STATUS.includes(res.status);
+      if (serverFailure) {
+        counters.failures++;
+        recordFailure(origin);
+      } else {
+        recordSuccess(origin);
+      }
+      if (res?.status === 429) counters.throttled++;
+
+      const retryable = res?.status === 429 || (idempotent && serverFailure);
+      if (!retryable || attempt >= maxRetries) {
+        if (error) throw error;
+        return res;
+      }
+
+      const backoff = Math.min(retryMaxMs, retryBaseMs * 2 ** attempt);
+      const wait = retryAfterMs(res?.retryAfter) ?? backoff;
+      // Learn wants us to back off longer than we are willing to wait
+      if (wait > retryMaxMs) {
+        if (error) throw error;
+        return res;
+      }
+      counters.retries++;
+      await sleep(wait);
+    }
+  }
+
+  return {
+    /**
+     * Request a Learn URL. Resolves { status, ok, text, json() } for any
+     * HTTP answer; throws LearnHttpError for timeouts, network errors and
+     * an open circuit. GETs with `scope` (e.g. the user key) and an
+     * `endpoint` that has a TTL are cached per scope.
+     */
+    async request(
+      url,
+      { method = "GET", headers = {}, body, scope = "", endpoint = "" } = {}
+    ) {
+      const ttlMs = method === "GET" && scope ? cacheTtls[endpoint] || 0 : 0;
+      const key = `${scope}|${method} ${url}`;
+
+      if (ttlMs) {
+        const hit = cacheGet(key);
+        if (hit) {
+          counters.cacheHits++;
+          return withJson(hit);
+        }
+        counters.cacheMisses++;
+      }
+
+      if (method === "GET" && inflight.has(key)) {
+        counters.coalesced++;
+        return withJson(await inflight.get(key));
+      }
+
+      const p = send(url, { method, headers, body });
+      if (method === "GET") {
+        inflight.set(key, p);
+        p.finally(() => inflight.delete(key)).catch(() => {});
+      }
+      const res = await p;
+      if (ttlMs && res.ok) cachePut(key, res, ttlMs);
+      return withJson(res);
+    },
+
+    // Drop cached responses for a scope (e.g. when a user's token is revoked)
+    invalidate(scope) {
+      for (const key of cache.keys()) {
+        if (key.startsWith(`${scope}|`)) cache.delete(key);
+      }
+    },
+
+    stats() {
+      const now = Date.now();
+      return {
+        ...counters,
+        cacheSize: cache.size,
+        circuits: Object.fromEntries(
+          [...breakers].map(([origin, b]) => [
+            origin,
+            b.openUntil > now ? "open" : b.openUntil ? "half-open" : "closed",
+          ])
+        ),
+      };
+    },
+  };
+}
+
+function withJson(res) {
+  return { ...res, json: () => JSON.parse(res.text) };
+}
@@ -0,0 +1,139 @@
+import { LearnHttpError } from "./learn-http.js";
+
+/* =========================================================
+   LEARN 3LO TOKEN LIFECYCLE
+   - Exchanges the authorization code, keeps access + refresh tokens
+     per user in the state store, and renews the access token shortly
+     before it expires.
+   - Learn only issues a refresh_token when the 3LO scope includes
+     "offline" (e.g. OAUTH_SCOPE="read offline").
+========================================================= */
+
+const DEFAULT_REFRESH_SKEW_MS = 5 * 60 * 1000; // renew 5 minutes early
+const DEFAULT_RECORD_TTL_MS = 30 * 24 * 60 * 60 * 1000; // keep refresh tokens 30 days
+
+export class TokenError extends Error {
+  constructor(message, status = 0, detail = "") {
+    super(message);
+    this.name = "TokenError";
+    this.status = status;
+    this.detail = detail;
+  }
+}
+
+// Stable per-user key: the platform registration + LTI subject of the launch
+export function userKeyFor(launch) {
+  return `${launch.platformKey}|${launch.sub}`;
+}
+
+// `platformFor(key)` resolves a registration with learnHost/restKey/restSecret;
+// `http` is the shared Learn HTTP client (lib/learn-http.js)
+export function createTokenManager({
+  store,
+  platformFor,
+  http,
+  refreshSkewMs = DEFAULT_REFRESH_SKEW_MS,
+  recordTtlMs = DEFAULT_RECORD_TTL_MS,
+}) {
+  // Coalesce concurrent refreshes for the same user within this process
+  const inflight = new Map();
+
+  async function requestToken(platformKey, body, query = {}) {
+    const platform = platformFor(platformKey);
+    if (!platform) throw new TokenError(`Unknown platform ${platformKey}`);
+    const { learnHost, restKey, restSecret } = platform;
+    if (!restKey || !restSecret) {
+      throw new TokenError("Missing REST_KEY/REST_SECRET env vars");
+    }
+    const basic = Buffer.from(`${restKey}:${restSecret}`).toString("base64");
+    const qs = new URLSearchParams(query).toString();
+    const tokenUrl = `${learnHost}/learn/api/public/v1/oauth2/token${
+      qs ? `?${qs}` : ""
+    }`;
+    let r;
+    try {
+      r = await http.request(tokenUrl, {
+        method: "POST",
+        headers: {
+          Authorization: `Basic ${basic}`,
+          "Content-Type": "application/x-www-form-urlencoded",
+        },
+        body: new URLSearchParams(body).toString(),
+      });
+    } catch (err) {
+      if (!(err instanceof LearnHttpError)) throw err;
+      throw new TokenError(err.message, err.status, err.code);
+    }
+
+    if (!r.ok) {
+      throw new TokenError("Learn token request failed", r.status, r.text);
+    }
+
+    const data = r.json();
+    if (!data.access_token) {
+      throw new TokenError("Missing access_token from Learn", r.status);
+    }
+    return data;
+  }
+
+  function toRecord(platformKey, data, previous) {
+    return {
+      platformKey,
+      accessToken: data.access_token,
+      // Learn may omit refresh_token on refresh; keep the one we had
+      refreshToken: data.refresh_token || previous?.refreshToken || "",
+      expiresAt: Date.now() + Number(data.expires_in || 3600) * 1000,
+      scope: data.scope || previous?.scope || "",
+      learnUserId: data.user_id || previous?.learnUserId || "",
+    };
+  }
+
+  async function save(userKey, record) {
+    await store.put(`lrntok:${userKey}`, record, recordTtlMs);
+    return record;
+  }
+
+  async function refresh(userKey, record) {
+    if (!record.refreshToken) {
+      throw new TokenError("Access token expired and no refresh_token stored");
+    }
+    const data = await requestToken(record.platformKey, {
+      grant_type: "refresh_token",
+      refresh_token: record.refreshToken,
+    });
+    return save(userKey, toRecord(record.platformKey, data, record));
+  }
+
+  return {
+    async exchangeCode(userKey, platformKey, code, redirectUri) {
+      // Learn expects code + redirect_uri on the query string
+      const data = await requestToken(
+        platformKey,
+        { grant_type: "authorization_code" },
+        { code, redirect_uri: redirectUri }
+      );
+      return save(userKey, toRecord(platformKey, data));
+    },
+
+    // Current access token for the user, renewed if it is about to expire
+    async getAccessToken(userKey) {
+      const record = await store.get(`lrntok:${userKey}`);
+      if (!record) throw new TokenError("No Learn token stored for user");
+      if (record.expiresAt - refreshSkewMs > Date.now()) return record;
+
+      if (!inflight.has(userKey)) {
+        inflight.set(
+          userKey,
+          refresh(userKey, record).finally(() => inflight.delete(userKey))
+        );
+      }
+      return inflight.get(userKey);
+    },
+
+    // Forget the user's tokens (Learn refused them); the next launch
+    // runs 3LO again
+    async revoke(userKey) {
+      await store.del(`lrntok:${userKey}`);
+    },
+  };
+}
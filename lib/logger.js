@@ -0,0 +1,142 @@
+import crypto from "crypto";
+
+/* =========================================================
+   STRUCTURED LOGGING
+   One JSON object per line on stdout:
+     {"time":"...","level":"error","msg":"3LO token exchange failed",
+      "reqId":"5f2c...","sub":"...","deploymentId":"...","status":400}
+   - LOG_LEVEL = debug | info | warn | error (default info).
+   - child(fields) adds context: request id, then the LTI sub /
+     deployment once the launch or session is known.
+   - Redaction is automatic: values under token / secret / password /
+     authorization / cookie / session keys are replaced, and JWTs,
+     Bearer credentials and token query parameters are masked inside
+     any string (error messages, Learn response bodies, ...).
+========================================================= */
+
+export const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const REDACTED = "[redacted]";
+const SECRET_KEY = /(token|secret|password|authorization|cookie|session)$/i;
+const MAX_DEPTH = 5;
+
+const STRING_RULES = [
+  [/eyJ[\w-]+\.[\w-]+\.[\w-]*/g, "[jwt]"],
+  [/(Bearer|Basic)\s+[\w.~+/=-]+/gi, `$1 ${REDACTED}`],
+  [
+    /((?:access_token|refresh_token|id_token|client_secret|one_time_session_token|registration_token|code)=)[^&\s"']+/gi,
+    `$1${REDACTED}`,
+  ],
+];
+
+export function redactString(s) {
+  let out = String(s);
+  for (const [re, replacement] of STRING_RULES) {
+    out = out.replace(re, replacement);
+  }
+  return out;
+}
+
+export function redact(value, depth = 0) {
+  if (value == null || typeof value === "number" || typeof value === "boolean")
+    return value;
+  if (typeof value === "string") return redactString(value);
+  if (depth >= MAX_DEPTH) return "[truncated]";
+
+  if (value instanceof Error) {
+    return redact(
+      {
+        name: value.name,
+        message: value.message,
+        code: value.code,
+        status: value.status,
+        detail: value.detail,
+        stack: value.stack,
+      },
+      depth + 1
+    );
+  }
+  if (Array.isArray(value)) return value.map((v) => redact(v, depth + 1));
+  if (typeof value === "object") {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) {
+      if (v === undefined) continue;
+      out[k] = SECRET_KEY.test(k) && v ? REDACTED : redact(v, depth + 1);
+    }
+    return out;
+  }
+  return String(value);
+}
+
+export function createLogger({
+  level = "info",
+  fields = {},
+  write = (line) => process.stdout.write(`${line}\n`),
+} = {}) {
+  const min = LEVELS[level] ?? LEVELS.info;
+  const base = redact(fields);
+
+  function log(lvl, msg, extra = {}) {
+    if (LEVELS[lvl] < min) return;
+    write(
+      JSON.stringify({
+        time: new Date().toISOString(),
+        level: lvl,
+        msg: redactString(msg),
+        ...base,
+        ...redact(extra),
+      })
+    );
+  }
+
+  return {
+    level,
+    debug: (msg, extra) => log("debug", msg, extra),
+    info: (msg, extra) => log("info", msg, extra),
+    warn: (msg, extra) => log("warn", msg, extra),
+    error: (msg, extra) => log("error", msg, extra),
+    child: (more) =>
+      createLogger({ level, fields: { ...fields, ...more }, write }),
+  };
+}
+
+// LTI context worth having on every line once a launch is known
+export function launchFields(launch) {
+  if (!launch) return {};
+  return {
+    sub: launch.sub,
+    deploymentId: launch.deploymentId,
+    platformKey: launch.platformKey,
+    contextId: launch.contextId || undefined,
+  };
+}
+
+const REQUEST_ID = /^[\w.-]{1,64}$/;
+
+/**
+ * Express middleware: request id (incoming X-Request-Id or a new one,
+ * echoed back), `req.log` bound to it, and one access line per request.
+ * The access line has the path without the query string.
+ */
+export function requestLogging(logger) {
+  return (req, res, next) => {
+    const incoming = String(req.get("X-Request-Id") || "");
+    req.id = REQUEST_ID.test(incoming)
+      ? incoming
+      : crypto.randomBytes(8).toString("hex");
+    res.setHeader("X-Request-Id", req.id);
+    req.log = logger.child({ reqId: req.id });
+
+    const started = process.hrtime.bigint();
+    res.on("finish", () => {
+      const ms = Number(process.hrtime.bigint() - started) / 1e6;
+      req.log[res.statusCode >= 500 ? "warn" : "debug"]("request", {
+        method: req.method,
+        path: req.path,
+        status: res.statusCode,
+        ms: Math.round(ms),
+      });
+    });
+    next();
+  };
+}
@@ -0,0 +1,92 @@
+/* =========================================================
+   LTI LAUNCH CONTEXT
+   The parts of a verified id_token the rest of the tool needs
+   (user, course, roles), flattened into a small JSON record that is
+   bound to the 3LO state and then kept in the session.
+   Deep-linked content items (lib/deep-linking.js) add `placement`
+   ("content") and `topic` through their custom params.
+========================================================= */
+
+const CLAIM = "https://purl.imsglobal.org/spec/lti/claim/";
+const NRPS_CLAIM =
+  "https://purl.imsglobal.org/spec/lti-nrps/claim/namesroleservice";
+const AGS_CLAIM = "https://purl.imsglobal.org/spec/lti-ags/claim/endpoint";
+
+// primaryRole() values (launch.role)
+export const ROLE = {
+  ADMIN: "administrator",
+  INSTRUCTOR: "instructor",
+  TA: "teaching_assistant",
+  STUDENT: "student",
+  GUEST: "guest",
+  OTHER: "other",
+};
+
+// Roles that may act on the course (place content, see course insights)
+export const TEACHING_ROLES = [ROLE.INSTRUCTOR, ROLE.TA, ROLE.ADMIN];
+
+// Institution admin beats all; otherwise the most specific context role
+// wins. LTI 1.3 platforms send a TA both membership#Instructor and the
+// Instructor#TeachingAssistant sub-role, so the sub-role is checked first
+// (checking Instructor first would make every TA an instructor).
+export function primaryRole(roles = []) {
+  const has = (suffix) => roles.some((r) => r.endsWith(suffix));
+  if (has("institution/person#Administrator")) return ROLE.ADMIN;
+  if (has("membership/Instructor#TeachingAssistant")) return ROLE.TA;
+  if (has("membership#Instructor")) return ROLE.INSTRUCTOR;
+  if (has("membership#Learner")) return ROLE.STUDENT;
+  if (has("#Guest")) return ROLE.GUEST;
+  if (has("institution/person#Student")) return ROLE.STUDENT;
+  return ROLE.OTHER;
+}
+
+export function launchContextFrom(payload, platform) {
+  const context = payload[`${CLAIM}context`] || {};
+  const custom = payload[`${CLAIM}custom`] || {};
+  const roles = Array.isArray(payload[`${CLAIM}roles`])
+    ? payload[`${CLAIM}roles`].map(String)
+    : [];
+
+  return {
+    platformKey: platform.key,
+    issuer: String(payload.iss || ""),
+    clientId: platform.clientId,
+    deploymentId: String(payload[`${CLAIM}deployment_id`] || ""),
+    sub: String(payload.sub || ""),
+    name: String(payload.name || payload.given_name || ""),
+    locale: String(
+      payload.locale || payload[`${CLAIM}launch_presentation`]?.locale || ""
+    ),
+    roles,
+    role: primaryRole(roles),
+    contextId: String(context.id || ""),
+    contextLabel: String(context.label || ""),
+    contextTitle: String(context.title || ""),
+    messageType: String(payload[`${CLAIM}message_type`] || ""),
+    placement: custom.mappy_placement === "content" ? "content" : "",
+    topic: String(custom.mappy_topic || "").slice(0, 80),
+    // NRPS roster for this course (lib/nrps.js); "" when not offered
+    membershipsUrl: String(payload[NRPS_CLAIM]?.context_memberships_url || ""),
+    // AGS line items for this course / link (lib/ags.js); "" when not offered
+    agsLineItems: String(payload[AGS_CLAIM]?.lineitems || ""),
+    agsLineItem: String(payload[AGS_CLAIM]?.lineitem || ""),
+    agsScopes: Array.isArray(payload[AGS_CLAIM]?.scope)
+      ? payload[AGS_CLAIM].scope.map(String)
+      : [],
+  };
+}
+
+// What the widget gets from /api/context (no ids beyond the course)
+export function widgetContextFrom(launch) {
+  return {
+    user: { name: launch.name, locale: launch.locale, role: launch.role },
+    course: launch.contextId
+      ? {
+          id: launch.contextId,
+          label: launch.contextLabel,
+          title: launch.contextTitle,
+        }
+      : null,
+    topic: launch.topic || "",
+  };
+}
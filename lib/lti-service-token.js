@@ -0,0 +1,125 @@
+import crypto from "crypto";
+import { LearnHttpError } from "./learn-http.js";
+
+/* =========================================================
+   LTI ADVANTAGE SERVICE TOKENS (client credentials)
+   NRPS / AGS calls need a platform access token obtained with a JWT
+   client assertion signed by the tool key (private_key_jwt):
+     POST {platform.tokenEndpoint}
+       grant_type=client_credentials
+       client_assertion_type=urn:ietf:params:oauth:client-assertion-type:jwt-bearer
+       client_assertion=<JWT iss=sub=clientId, aud=tokenEndpoint>
+       scope=<space-separated LTI service scopes>
+   Tokens are cached per platform + scope set until shortly before they
+   expire; concurrent requests for the same token share one call.
+========================================================= */
+
+const CLIENT_ASSERTION_TYPE =
+  "urn:ietf:params:oauth:client-assertion-type:jwt-bearer";
+const DEFAULT_EXPIRY_SKEW_MS = 60 * 1000;
+
+export class ServiceTokenError extends Error {
+  constructor(message, status = 0, detail = "") {
+    super(message);
+    this.name = "ServiceTokenError";
+    this.status = status;
+    this.detail = detail;
+  }
+}
+
+// `sign(claims, options)` is the tool key store's sign(); `http` is the
+// shared Learn HTTP client (lib/learn-http.js)
+export function createServiceTokenClient({
+  sign,
+  http,
+  expirySkewMs = DEFAULT_EXPIRY_SKEW_MS,
+}) {
+  const cache = new Map(); // key -> { accessToken, expiresAt }
+  const inflight = new Map(); // key -> Promise<accessToken>
+
+  async function requestToken(platform, scopes) {
+    if (!platform.tokenEndpoint) {
+      throw new ServiceTokenError(
+        `Missing token endpoint for platform ${platform.key}`,
+        500
+      );
+    }
+    const assertion = await sign(
+      { jti: crypto.randomBytes(16).toString("hex") },
+      {
+        issuer: platform.clientId,
+        subject: platform.clientId,
+        audience: platform.tokenEndpoint,
+        expiresIn: "5m",
+      }
+    );
+
+    let r;
+    try {
+      r = await http.request(platform.tokenEndpoint, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/x-www-form-urlencoded",
+          Accept: "application/json",
+        },
+        body: new URLSearchParams({
+          grant_type: "client_credentials",
+          client_assertion_type: CLIENT_ASSERTION_TYPE,
+          client_assertion: assertion,
+          scope: scopes.join(" "),
+        }).toString(),
+      });
+    } catch (err) {
+      if (!(err instanceof LearnHttpError)) throw err;
+      throw new ServiceTokenError(err.message, err.status, err.code);
+    }
+    if (!r.ok) {
+      throw new ServiceTokenError(
+        "LTI service token request failed",
+        r.status,
+        r.text
+      );
+    }
+
+    let data;
+    try {
+      data = r.json();
+    } catch {
+      throw new ServiceTokenError("LTI service token response is not JSON");
+    }
+    if (!data.access_token) {
+      throw new ServiceTokenError("LTI service token response has no token");
+    }
+    const ttlMs = Number(data.expires_in || 3600) * 1000;
+    return { accessToken: data.access_token, expiresAt: Date.now() + ttlMs };
+  }
+
+  return {
+    /**
+     * Access token for `scopes` (array of LTI service scope URLs) on
+     * `platform` (a registration from lib/platforms.js).
+     */
+    async getToken(platform, scopes) {
+      const key = `${platform.key}|${[...scopes].sort().join(" ")}`;
+      const hit = cache.get(key);
+      if (hit && hit.expiresAt - expirySkewMs > Date.now()) {
+        return hit.accessToken;
+      }
+      if (!inflight.has(key)) {
+        const p = requestToken(platform, scopes)
+          .then((token) => {
+            cache.set(key, token);
+            return token.accessToken;
+          })
+          .finally(() => inflight.delete(key));
+        inflight.set(key, p);
+      }
+      return inflight.get(key);
+    },
+
+    // Forget a token the platform rejected (e.g. revoked before expiry)
+    invalidate(platform, scopes) {
+      cache.delete(`${platform.key}|${[...scopes].sort().join(" ")}`);
+    },
+  };
+}
@@ -0,0 +1,122 @@
+import { LearnHttpError } from "./learn-http.js";
+import { ServiceTokenError } from "./lti-service-token.js";
+import { primaryRole } from "./lti-context.js";
+
+/* =========================================================
+   NAMES AND ROLE PROVISIONING SERVICES (NRPS 2.0)
+   Course roster from the launch's context_memberships_url, read with a
+   client-credentials token (lib/lti-service-token.js):
+     GET {context_memberships_url}
+       Accept: application/vnd.ims.lti-nrps.v2.membershipcontainer+json
+   - Pages are followed through the Link rel="next" header (up to
+     `maxPages`).
+   - Pages go through the shared Learn HTTP client, cached per platform
+     under the "roster" endpoint TTL (LEARN_CACHE_TTLS roster=...).
+   - Failures throw NrpsError with the platform's HTTP status.
+========================================================= */
+
+export const NRPS_SCOPE =
+  "https://purl.imsglobal.org/spec/lti-nrps/scope/contextmembership.readonly";
+
+const MEDIA_TYPE = "application/vnd.ims.lti-nrps.v2.membershipcontainer+json";
+const LIS_MEMBERSHIP = "http://purl.imsglobal.org/vocab/lis/v2/membership#";
+const DEFAULT_MAX_PAGES = 50;
+
+export class NrpsError extends Error {
+  constructor(message, status = 0, detail = "") {
+    super(message);
+    this.name = "NrpsError";
+    this.status = status;
+    this.detail = detail;
+  }
+}
+
+// <https://...?page=2>; rel="next", <...>; rel="last" -> next URL
+function nextLink(header) {
+  for (const part of String(header || "").split(",")) {
+    const m = /<([^>]+)>\s*;\s*rel="?next"?/i.exec(part);
+    if (m) return m[1];
+  }
+  return null;
+}
+
+// NRPS may use short context roles ("Learner"); primaryRole wants full URIs
+function fullRole(role) {
+  const r = String(role);
+  return /[#/]/.test(r) ? r : `${LIS_MEMBERSHIP}${r}`;
+}
+
+function trimMember(m) {
+  const roles = (Array.isArray(m.roles) ? m.roles : []).map(fullRole);
+  return {
+    userId: String(m.user_id || ""),
+    name: String(
+      m.name || [m.given_name, m.family_name].filter(Boolean).join(" ")
+    ),
+    email: String(m.email || ""),
+    roles,
+    role: primaryRole(roles),
+    status: String(m.status || "Active"),
+  };
+}
+
+// `serviceTokens` is the client-credentials token client; `platformFor(key)`
+// gives the registration; `http` is the shared Learn HTTP client
+export function createRosterService({
+  serviceTokens,
+  platformFor,
+  http,
+  maxPages = DEFAULT_MAX_PAGES,
+}) {
+  async function getPage(platform, url, retried = false) {
+    let token;
+    let r;
+    try {
+      token = await serviceTokens.getToken(platform, [NRPS_SCOPE]);
+      r = await http.request(url, {
+        headers: { Authorization: `Bearer ${token}`, Accept: MEDIA_TYPE },
+        scope: platform.key,
+        endpoint: "roster",
+      });
+    } catch (err) {
+      if (err instanceof ServiceTokenError || err instanceof LearnHttpError) {
+        throw new NrpsError(err.message, err.status, err.detail || err.code);
+      }
+      throw err;
+    }
+    // A token the platform no longer accepts: get a new one, once
+    if (r.status === 401 && !retried) {
+      serviceTokens.invalidate(platform, [NRPS_SCOPE]);
+      return getPage(platform, url, true);
+    }
+    if (!r.ok) throw new NrpsError("NRPS request failed", r.status, r.text);
+    return { data: r.json(), next: nextLink(r.link) };
+  }
+
+  return {
+    /**
+     * Members of the launch's course: { context, members[] } with
+     * { userId (LTI sub), name, email, roles, role, status }.
+     */
+    async roster(launch) {
+      if (!launch.membershipsUrl) {
+        throw new NrpsError("This launch does not offer a course roster", 404);
+      }
+      const platform = platformFor(launch.platformKey);
+      if (!platform) {
+        throw new NrpsError(`Unknown platform ${launch.platformKey}`);
+      }
+
+      const members = [];
+      let context = null;
+      let next = launch.membershipsUrl;
+      for (let page = 0; next && page < maxPages; page++) {
+        const { data, next: following } = await getPage(platform, next);
+        context ||= data.context || null;
+        members.push(...(data.members || []).map(trimMember));
+        next = following;
+      }
+      return { context, members };
+    },
+  };
+}
@@ -0,0 +1,141 @@
+import fs from "fs/promises";
+import path from "path";
+
+/* =========================================================
+   PLATFORM REGISTRY
+   LTI 1.3 registrations keyed by issuer + client_id, so one deployment
+   can serve several Learn sites (e.g. test + production).
+
+   Loaded from PLATFORMS_FILE (JSON array). Each entry:
+     {
+       "issuer": "https://blackboard.com",
+       "clientId": "...",
+       "deploymentIds": ["..."],             // optional; empty = any
+       "jwksUrl": "https://developer.blackboard.com/api/v1/management/applications/<id>/jwks.json",
+       "authEndpoint": "https://developer.blackboard.com/api/v1/gateway/oidcauth",
+       "tokenEndpoint": "https://developer.blackboard.com/api/v1/gateway/oauth2/jwttoken",
+       "learnHost": "https://mapua-test.blackboard.com",
+       "restKey": "...", "restSecret": "..."  // optional; default REST_KEY/REST_SECRET
+     }
+   learnHost is required: 3LO and REST calls go there, so it is never
+   guessed. The single-platform env vars (PLATFORM_ISSUER, ...) still work
+   and are added as one more registration (learnHost from LEARN_HOST).
+========================================================= */
+
+export function platformKey(issuer, clientId) {
+  return `${issuer}|${clientId}`;
+}
+
+function normalize(reg, defaults = {}) {
+  const r = {
+    issuer: String(reg.issuer || "").trim(),
+    clientId: String(reg.clientId || "").trim(),
+    deploymentIds: (reg.deploymentIds || [])
+      .map((d) => String(d).trim())
+      .filter(Boolean),
+    jwksUrl: String(reg.jwksUrl || "").trim(),
+    authEndpoint: String(reg.authEndpoint || "").trim(),
+    tokenEndpoint: String(reg.tokenEndpoint || "").trim(),
+    learnHost: String(reg.learnHost || "")
+      .trim()
+      .replace(/\/+$/, ""),
+    restKey: String(reg.restKey || defaults.restKey || "").trim(),
+    restSecret: String(reg.restSecret || defaults.restSecret || "").trim(),
+  };
+  if (!r.issuer || !r.clientId) {
+    throw new Error("Platform registration requires issuer and clientId");
+  }
+  r.key = platformKey(r.issuer, r.clientId);
+  if (!r.learnHost) {
+    throw new Error(`Platform registration ${r.key} requires learnHost`);
+  }
+  return r;
+}
+
+export function platformFromEnv(env = process.env) {
+  const issuer = String(env.PLATFORM_ISSUER || "").trim();
+  const clientId = String(env.LTI_CLIENT_ID || "").trim();
+  if (!issuer || !clientId) return null;
+  const deploymentId = String(env.LTI_DEPLOYMENT_ID || "").trim();
+  return {
+    issuer,
+    clientId,
+    deploymentIds: deploymentId ? [deploymentId] : [],
+    jwksUrl: env.PLATFORM_JWKS_URL,
+    authEndpoint: env.PLATFORM_OIDC_AUTH_ENDPOINT,
+    tokenEndpoint: env.PLATFORM_TOKEN_ENDPOINT,
+    learnHost: env.LEARN_HOST,
+  };
+}
+
+export async function createPlatformRegistry({
+  file,
+  defaults = {},
+  extra = [],
+}) {
+  const byKey = new Map();
+
+  let fromFile = [];
+  if (file) {
+    try {
+      fromFile = JSON.parse(await fs.readFile(file, "utf8"));
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        throw new Error(`Cannot load PLATFORMS_FILE ${file}: ${err.message}`);
+      }
+    }
+    if (!Array.isArray(fromFile)) {
+      throw new Error(`PLATFORMS_FILE ${file} must contain a JSON array`);
+    }
+  }
+
+  for (const reg of [...fromFile, ...extra.filter(Boolean)]) {
+    const r = normalize(reg, defaults);
+    byKey.set(r.key, r);
+  }
+
+  async function persist() {
+    if (!file) return;
+    const list = fromFile.slice();
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(list, null, 2) + "\n");
+    await fs.rename(tmp, file);
+  }
+
+  return {
+    get(issuer, clientId) {
+      return byKey.get(platformKey(issuer, clientId)) || null;
+    },
+
+    byKey(key) {
+      return byKey.get(key) || null;
+    },
+
+    // Login initiation may omit client_id; only unambiguous if one match
+    findByIssuer(issuer) {
+      const matches = [...byKey.values()].filter((r) => r.issuer === issuer);
+      return matches.length === 1 ? matches[0] : null;
+    },
+
+    all() {
+      return [...byKey.values()];
+    },
+
+    learnHosts() {
+      return [...new Set(this.all().map((r) => r.learnHost).filter(Boolean))];
+    },
+
+    // Add or replace a registration and write it back to PLATFORMS_FILE
+    async upsert(reg) {
+      const r = normalize(reg, defaults);
+      byKey.set(r.key, r);
+      fromFile = fromFile.filter(
+        (x) => platformKey(x.issuer, x.clientId) !== r.key
+      );
+      fromFile.push(reg);
+      await persist();
+      return r;
+    },
+  };
+}
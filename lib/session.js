@@ -0,0 +1,167 @@
+import crypto from "crypto";
+
+/* =========================================================
+   SESSIONS
+   Server-side session records kept in the shared state store.
+
+   The browser only ever holds:
+     - a signed, HttpOnly, SameSite=None cookie with the session id,
+     - a one-time redeem code (60s, pop-once) on the /uef-boot.html URL,
+       for iframes where third-party cookies are blocked, and
+     - while 3LO runs, a cookie with an HMAC of the OAuth state, so a
+       browser that keeps our cookies cannot complete another browser's
+       state. Where they are blocked the callback gets no state cookie at
+       all and relies on the pop-once state alone.
+   The Learn access token itself stays on the server until the boot page
+   redeems it over POST. The signed handle returned then is kept in page
+   memory only and sent as X-Session when cookies are unavailable.
+========================================================= */
+
+const CODE_TTL_MS = 60 * 1000;
+
+function randId(bytes = 16) {
+  return crypto.randomBytes(bytes).toString("hex");
+}
+
+function sign(value, secret) {
+  return crypto.createHmac("sha256", secret).update(value).digest("base64url");
+}
+
+// Adds to, rather than replaces, cookies already set on the response
+function appendCookie(res, cookie) {
+  const prev = res.getHeader("Set-Cookie");
+  res.setHeader("Set-Cookie", prev ? [].concat(prev, cookie) : cookie);
+}
+
+function parseCookies(header) {
+  const out = {};
+  for (const part of String(header || "").split(";")) {
+    const i = part.indexOf("=");
+    if (i === -1) continue;
+    const k = part.slice(0, i).trim();
+    if (!k) continue;
+    try {
+      out[k] = decodeURIComponent(part.slice(i + 1).trim());
+    } catch {
+      // Malformed %-escape (another site's cookie, a truncated value): skip it
+    }
+  }
+  return out;
+}
+
+export function createSessionManager({
+  store,
+  secret,
+  ttlMs = 60 * 60 * 1000,
+  cookieName = "mappy_sid",
+  stateCookiePrefix = "mappy_st_",
+  statePath = "/oauth/callback",
+}) {
+  if (!secret) throw new Error("Session manager requires a signing secret");
+
+  function signSid(sid) {
+    return `${sid}.${sign(sid, secret)}`;
+  }
+
+  function unsignSid(signed) {
+    const i = String(signed || "").lastIndexOf(".");
+    if (i <= 0) return null;
+    const sid = signed.slice(0, i);
+    const expected = Buffer.from(sign(sid, secret));
+    const actual = Buffer.from(signed.slice(i + 1));
+    if (actual.length !== expected.length) return null;
+    return crypto.timingSafeEqual(actual, expected) ? sid : null;
+  }
+
+  // One cookie per state (named from its HMAC): parallel launches in the
+  // same browser each keep their own
+  function stateCookie(state) {
+    const mac = sign(`oauth-state:${state}`, secret);
+    return { name: `${stateCookiePrefix}${mac.slice(0, 12)}`, mac };
+  }
+
+  return {
+    cookieName,
+
+    async create(data) {
+      const sid = randId(24);
+      await store.put(`sess:${sid}`, { ...data, createdAt: Date.now() }, ttlMs);
+      return sid;
+    },
+
+    async get(sid) {
+      return sid ? store.get(`sess:${sid}`) : null;
+    },
+
+    // One-time code that can be exchanged for the session exactly once
+    async issueCode(sid) {
+      const code = randId(16);
+      await store.put(`sesscode:${code}`, { sid }, CODE_TTL_MS);
+      return code;
+    },
+
+    async redeemCode(code) {
+      const v = code ? await store.pop(`sesscode:${code}`) : null;
+      return v ? v.sid : null;
+    },
+
+    setCookie(res, sid) {
+      appendCookie(
+        res,
+        `${cookieName}=${encodeURIComponent(signSid(sid))}; Path=/; HttpOnly; Secure; SameSite=None; Max-Age=${Math.floor(
+          ttlMs / 1000
+        )}`
+      );
+    },
+
+    // Ties an OAuth `state` to this browser for `ttlMs`
+    bindState(res, state, ttlMs) {
+      const { name, mac } = stateCookie(state);
+      appendCookie(
+        res,
+        `${name}=${mac}; Path=${statePath}; HttpOnly; Secure; SameSite=None; Max-Age=${Math.floor(
+          ttlMs / 1000
+        )}`
+      );
+    },
+
+    // true: the request carries the cookie bindState() set for `state`;
+    // false: it carries state cookies, but not that one (or a forged one);
+    // null: no state cookies at all (third-party cookies blocked)
+    stateBound(req, state) {
+      const cookies = parseCookies(req.headers.cookie);
+      const held = Object.keys(cookies).some((n) =>
+        n.startsWith(stateCookiePrefix)
+      );
+      if (!held) return null;
+      if (!state) return false;
+      const { name, mac } = stateCookie(state);
+      const expected = Buffer.from(mac);
+      const actual = Buffer.from(cookies[name] || "");
+      return (
+        actual.length === expected.length &&
+        crypto.timingSafeEqual(actual, expected)
+      );
+    },
+
+    releaseState(res, state) {
+      appendCookie(
+        res,
+        `${stateCookie(state).name}=; Path=${statePath}; HttpOnly; Secure; SameSite=None; Max-Age=0`
+      );
+    },
+
+    // Signed session id for clients that cannot rely on the cookie
+    handle(sid) {
+      return signSid(sid);
+    },
+
+    // Session id from the signed cookie or X-Session header (null if absent or tampered)
+    sidFromRequest(req) {
+      return unsignSid(
+        parseCookies(req.headers.cookie)[cookieName] ||
+          req.headers["x-session"]
+      );
+    },
+  };
+}
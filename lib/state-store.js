@@ -0,0 +1,444 @@
+import fs from "fs/promises";
+import path from "path";
+import net from "net";
+import tls from "tls";
+import crypto from "crypto";
+import { createLogger } from "./logger.js";
+
+/* =========================================================
+   STATE STORE
+   Short-lived key/value records with TTL (OIDC state + nonce, sessions, ...).
+
+   Every backend exposes the same async interface:
+     put(key, value, ttlMs)  store a JSON-serialisable value
+     get(key)                read without deleting (null if missing/expired)
+     pop(key)                read + delete atomically (null if missing/expired)
+     del(key)                delete if present
+     size()                  number of live records (best effort)
+     cleanup()               drop expired records
+     close()                 release handles (timers, sockets)
+
+   Background failures (the file store's periodic cleanup) go to the
+   `logger` passed in (lib/logger.js).
+
+   Select with STATE_STORE=memory|file|redis
+     - memory: process-local Map (default; single instance only)
+     - file:   one file per key under STATE_STORE_DIR (shared disk)
+     - redis:  any Redis-protocol server at REDIS_URL (SET PX + GETDEL);
+               rediss:// connects over TLS
+========================================================= */
+
+function now() {
+  return Date.now();
+}
+
+/* ------------------------- memory ------------------------- */
+
+export function createMemoryStore() {
+  const map = new Map();
+
+  const timer = setInterval(cleanup, 60 * 1000);
+  timer.unref();
+
+  function cleanup() {
+    const t = now();
+    for (const [k, v] of map.entries()) {
+      if (v.expiresAt <= t) map.delete(k);
+    }
+  }
+
+  return {
+    kind: "memory",
+    async put(key, value, ttlMs) {
+      map.set(key, { value, expiresAt: now() + ttlMs });
+    },
+    async get(key) {
+      const v = map.get(key);
+      return v && v.expiresAt > now() ? v.value : null;
+    },
+    async del(key) {
+      map.delete(key);
+    },
+    async pop(key) {
+      const v = map.get(key);
+      if (!v) return null;
+      map.delete(key);
+      return v.expiresAt > now() ? v.value : null;
+    },
+    async size() {
+      cleanup();
+      return map.size;
+    },
+    async cleanup() {
+      cleanup();
+    },
+    async close() {
+      clearInterval(timer);
+    },
+  };
+}
+
+/* ------------------------- file ------------------------- */
+
+// Keys are hashed so any string is a safe filename.
+function fileNameFor(key) {
+  return crypto.createHash("sha256").update(key).digest("hex") + ".json";
+}
+
+// put() temp files and pop() claims live for a moment; older ones were
+// left by a process that crashed mid-way
+const STALE_FILE_MS = 60 * 1000;
+
+export function createFileStore({
+  dir,
+  staleMs = STALE_FILE_MS,
+  logger = createLogger(),
+}) {
+  if (!dir) throw new Error("File state store requires a directory");
+  const ready = fs.mkdir(dir, { recursive: true });
+
+  const timer = setInterval(() => {
+    cleanup().catch((err) =>
+      logger.error("State store cleanup error", { dir, err })
+    );
+  }, 60 * 1000);
+  timer.unref();
+
+  async function readRecord(file) {
+    try {
+      return JSON.parse(await fs.readFile(file, "utf8"));
+    } catch {
+      return null;
+    }
+  }
+
+  async function isStale(file, t) {
+    try {
+      return (await fs.stat(file)).mtimeMs <= t - staleMs;
+    } catch {
+      return false; // already renamed / removed by another instance
+    }
+  }
+
+  async function cleanup() {
+    await ready;
+    const t = now();
+    for (const name of await fs.readdir(dir)) {
+      const file = path.join(dir, name);
+      if (name.endsWith(".json")) {
+        const rec = await readRecord(file);
+        if (rec) {
+          if (rec.expiresAt <= t) await fs.rm(file, { force: true });
+          continue;
+        }
+        // Unreadable: popped (and maybe re-put) under us, or corrupt
+      } else if (!name.endsWith(".tmp") && !name.endsWith(".claimed")) {
+        continue;
+      }
+      // In-flight put() / pop() files of any instance are left alone
+      if (await isStale(file, t)) await fs.rm(file, { force: true });
+    }
+  }
+
+  return {
+    kind: "file",
+    async put(key, value, ttlMs) {
+      await ready;
+      const file = path.join(dir, fileNameFor(key));
+      // Write to a temp file and rename so readers never see partial JSON
+      const tmp = `${file}.${process.pid}.${crypto.randomUUID()}.tmp`;
+      await fs.writeFile(
+        tmp,
+        JSON.stringify({ value, expiresAt: now() + ttlMs })
+      );
+      await fs.rename(tmp, file);
+    },
+    async get(key) {
+      await ready;
+      const rec = await readRecord(path.join(dir, fileNameFor(key)));
+      return rec && rec.expiresAt > now() ? rec.value : null;
+    },
+    async del(key) {
+      await ready;
+      await fs.rm(path.join(dir, fileNameFor(key)), { force: true });
+    },
+    async pop(key) {
+      await ready;
+      const file = path.join(dir, fileNameFor(key));
+      // rename() is atomic: only one caller (in any process) can claim the file
+      const claimed = `${file}.${process.pid}.${crypto.randomUUID()}.claimed`;
+      try {
+        await fs.rename(file, claimed);
+      } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+      }
+      const rec = await readRecord(claimed);
+      await fs.rm(claimed, { force: true });
+      if (!rec || rec.expiresAt <= now()) return null;
+      return rec.value;
+    },
+    async size() {
+      await cleanup();
+      return (await fs.readdir(dir)).filter((n) => n.endsWith(".json")).length;
+    },
+    cleanup,
+    async close() {
+      clearInterval(timer);
+    },
+  };
+}
+
+/* ------------------------- redis ------------------------- */
+
+// Minimal RESP client: enough for AUTH/SELECT/SET/GET/GETDEL/DEL/SCAN.
+function encodeCommand(args) {
+  let out = `*${args.length}\r\n`;
+  for (const a of args) {
+    const s = String(a);
+    out += `$${Buffer.byteLength(s)}\r\n${s}\r\n`;
+  }
+  return out;
+}
+
+// Returns [value, bytesConsumed] or null when the buffer is incomplete.
+function parseReply(buf, offset = 0) {
+  const lineEnd = buf.indexOf("\r\n", offset);
+  if (lineEnd === -1) return null;
+  const type = String.fromCharCode(buf[offset]);
+  const line = buf.toString("utf8", offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  if (type === "+") return [line, next];
+  if (type === "-") return [new Error(line), next];
+  if (type === ":") return [Number(line), next];
+  if (type === "$") {
+    const len = Number(line);
+    if (len === -1) return [null, next];
+    if (buf.length < next + len + 2) return null;
+    return [buf.toString("utf8", next, next + len), next + len + 2];
+  }
+  if (type === "*") {
+    const count = Number(line);
+    if (count === -1) return [null, next];
+    const items = [];
+    let pos = next;
+    for (let i = 0; i < count; i++) {
+      const r = parseReply(buf, pos);
+      if (!r) return null;
+      items.push(r[0]);
+      pos = r[1];
+    }
+    return [items, pos];
+  }
+  throw new Error(`Unexpected RESP reply type: ${type}`);
+}
+
+// A stalled server must fail requests, not hang them
+const CONNECT_TIMEOUT_MS = 5 * 1000;
+const COMMAND_TIMEOUT_MS = 5 * 1000;
+
+function createRespClient(
+  url,
+  {
+    connectTimeoutMs = CONNECT_TIMEOUT_MS,
+    commandTimeoutMs = COMMAND_TIMEOUT_MS,
+  } = {}
+) {
+  const u = new URL(url);
+  if (u.protocol !== "redis:" && u.protocol !== "rediss:") {
+    throw new Error(`Unsupported Redis URL scheme: ${u.protocol}`);
+  }
+  const secure = u.protocol === "rediss:";
+  let socket = null;
+  let current = null; // the socket being opened or in use
+  let connecting = null;
+  let buffer = Buffer.alloc(0);
+  const pending = [];
+
+  function failAll(err) {
+    while (pending.length) pending.shift().reject(err);
+  }
+
+  // Forget a failed or closed socket, and the commands waiting on it. A
+  // destroyed socket only reports "close" later, after the next command
+  // may already have opened a new one.
+  function drop(s, err) {
+    if (current !== s) return;
+    current = socket = connecting = null;
+    buffer = Buffer.alloc(0);
+    failAll(err);
+  }
+
+  function connect() {
+    if (socket) return Promise.resolve();
+    if (connecting) return connecting;
+
+    connecting = new Promise((resolve, reject) => {
+      const host = u.hostname || "127.0.0.1";
+      const port = Number(u.port || 6379);
+      const s = secure
+        ? tls.connect({ host, port })
+        : net.createConnection({ host, port });
+      current = s;
+      s.setNoDelay(true);
+      s.unref();
+
+      const timer = setTimeout(() => {
+        s.destroy(
+          new Error(`Redis connect timed out after ${connectTimeoutMs}ms`)
+        );
+      }, connectTimeoutMs);
+      timer.unref();
+
+      s.on("data", (chunk) => {
+        buffer = Buffer.concat([buffer, chunk]);
+        for (;;) {
+          const r = parseReply(buffer);
+          if (!r) break;
+          buffer = buffer.subarray(r[1]);
+          const p = pending.shift();
+          if (!p) continue;
+          if (r[0] instanceof Error) p.reject(r[0]);
+          else p.resolve(r[0]);
+        }
+      });
+      s.on("error", (err) => {
+        clearTimeout(timer);
+        drop(s, err);
+        reject(err);
+      });
+      s.on("close", () => drop(s, new Error("Redis connection closed")));
+      s.on(secure ? "secureConnect" : "connect", async () => {
+        clearTimeout(timer);
+        socket = s;
+        connecting = null;
+        try {
+          if (u.password) {
+            const user = decodeURIComponent(u.username || "");
+            const pass = decodeURIComponent(u.password);
+            await raw(user ? ["AUTH", user, pass] : ["AUTH", pass]);
+          }
+          const db = u.pathname.replace(/^\//, "");
+          if (db) await raw(["SELECT", db]);
+          resolve();
+        } catch (err) {
+          s.destroy();
+          reject(err);
+        }
+      });
+    });
+    return connecting;
+  }
+
+  // Replies are matched by order, so a timed-out command takes the
+  // connection (and every command queued on it) down with it
+  function raw(args) {
+    const s = socket;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        s.destroy(
+          new Error(`Redis command timed out after ${commandTimeoutMs}ms`)
+        );
+      }, commandTimeoutMs);
+      timer.unref();
+      const settle = (fn) => (value) => {
+        clearTimeout(timer);
+        fn(value);
+      };
+      pending.push({ resolve: settle(resolve), reject: settle(reject) });
+      s.write(encodeCommand(args));
+    });
+  }
+
+  return {
+    async command(...args) {
+      await connect();
+      return raw(args);
+    },
+    close() {
+      if (socket) socket.end();
+    },
+  };
+}
+
+export function createRedisStore({
+  url,
+  prefix = "lti:state:",
+  connectTimeoutMs,
+  commandTimeoutMs,
+}) {
+  if (!url) throw new Error("Redis state store requires REDIS_URL");
+  const client = createRespClient(url, { connectTimeoutMs, commandTimeoutMs });
+
+  return {
+    kind: "redis",
+    async put(key, value, ttlMs) {
+      await client.command(
+        "SET",
+        prefix + key,
+        JSON.stringify(value),
+        "PX",
+        Math.max(1, Math.ceil(ttlMs))
+      );
+    },
+    async get(key) {
+      const v = await client.command("GET", prefix + key);
+      return v == null ? null : JSON.parse(v);
+    },
+    async del(key) {
+      await client.command("DEL", prefix + key);
+    },
+    async pop(key) {
+      // GETDEL is atomic server-side; expiry is enforced by PX
+      const v = await client.command("GETDEL", prefix + key);
+      return v == null ? null : JSON.parse(v);
+    },
+    async size() {
+      let cursor = "0";
+      let count = 0;
+      do {
+        const [next, keys] = await client.command(
+          "SCAN",
+          cursor,
+          "MATCH",
+          `${prefix}*`,
+          "COUNT",
+          100
+        );
+        cursor = next;
+        count += keys.length;
+      } while (cursor !== "0");
+      return count;
+    },
+    async cleanup() {
+      // Redis expires keys itself
+    },
+    async close() {
+      client.close();
+    },
+  };
+}
+
+/* ------------------------- factory ------------------------- */
+
+export function createStateStore(env = process.env, { logger } = {}) {
+  const kind = String(env.STATE_STORE || "memory")
+    .trim()
+    .toLowerCase();
+
+  if (kind === "memory") return createMemoryStore();
+  if (kind === "file") {
+    return createFileStore({
+      dir: String(env.STATE_STORE_DIR || ".data/state").trim(),
+      logger,
+    });
+  }
+  if (kind === "redis") {
+    return createRedisStore({
+      url: String(env.REDIS_URL || "").trim(),
+      prefix: String(env.REDIS_KEY_PREFIX || "lti:state:").trim(),
+    });
+  }
+  throw new Error(`Unknown STATE_STORE backend: ${kind}`);
+}
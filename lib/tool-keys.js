@@ -0,0 +1,222 @@
+import fs from "fs/promises";
+import path from "path";
+import {
+  calculateJwkThumbprint,
+  exportJWK,
+  generateKeyPair,
+  importJWK,
+  SignJWT,
+} from "jose";
+
+/* =========================================================
+   TOOL KEYS
+   RSA keypairs the tool signs with (Deep Linking responses, AGS/NRPS
+   client-credentials assertions, ...). Stored in TOOL_KEYS_FILE:
+     { "keys": [ { kid, alg, createdAt, retireAt, privateJwk } ] }
+   - The newest key without retireAt is the active signing key.
+   - Rotation keeps the previous key in the JWKS until retireAt so
+     platforms that cached the old JWKS can still verify.
+   - The file is re-read when it changes, so `npm run rotate:jwks` (or a
+     redeployed secret file) reaches a running server without a restart.
+   - `json` (TOOL_KEYS_JSON) holds the same document instead of a file;
+     those keys are read-only here and rotated where the secret lives.
+========================================================= */
+
+const ALG = "RS256";
+export const DEFAULT_OVERLAP_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+async function newKey() {
+  const { privateKey } = await generateKeyPair(ALG, {
+    modulusLength: 2048,
+    extractable: true,
+  });
+  const privateJwk = await exportJWK(privateKey);
+  const kid = await calculateJwkThumbprint(privateJwk);
+  return {
+    kid,
+    alg: ALG,
+    createdAt: new Date().toISOString(),
+    retireAt: null,
+    privateJwk: { ...privateJwk, kid, alg: ALG, use: "sig" },
+  };
+}
+
+function toPublicJwk({ privateJwk }) {
+  const { kty, n, e, kid, alg, use } = privateJwk;
+  return { kty, n, e, kid, alg, use };
+}
+
+function parseKeys(text) {
+  const data = JSON.parse(text);
+  return Array.isArray(data.keys) ? data.keys : [];
+}
+
+// JWK members that only a private (or symmetric) key has
+const PRIVATE_MEMBERS = ["d", "p", "q", "dp", "dq", "qi", "k"];
+
+/**
+ * Extra public keys to publish next to the tool keys (TOOL_PUBLIC_JWKS_JSON,
+ * a JWKS document); "" gives none. Throws on JSON that is not a JWKS of
+ * public keys with a kid each, so a bad value stops the boot.
+ */
+export function parsePublicJwks(json) {
+  if (!json) return [];
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (err) {
+    throw new Error(`Cannot parse TOOL_PUBLIC_JWKS_JSON: ${err.message}`);
+  }
+  if (!Array.isArray(data?.keys)) {
+    throw new Error('TOOL_PUBLIC_JWKS_JSON must be { "keys": [...] }');
+  }
+  data.keys.forEach((k, i) => {
+    if (typeof k?.kty !== "string" || !k.kty) {
+      throw new Error(`TOOL_PUBLIC_JWKS_JSON keys[${i}] needs a kty`);
+    }
+    if (typeof k.kid !== "string" || !k.kid) {
+      throw new Error(`TOOL_PUBLIC_JWKS_JSON keys[${i}] needs a kid`);
+    }
+    if (PRIVATE_MEMBERS.some((m) => m in k)) {
+      throw new Error(
+        `TOOL_PUBLIC_JWKS_JSON keys[${i}] (${k.kid}) is not a public key`
+      );
+    }
+  });
+  return data.keys;
+}
+
+export function createToolKeyStore({ file, json = "" }) {
+  let keys = null;
+  let loadedVersion = null; // mtime + size of the file `keys` came from
+
+  async function fileVersion() {
+    try {
+      const { mtimeMs, size } = await fs.stat(file);
+      return `${mtimeMs}:${size}`;
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw new Error(`Cannot load TOOL_KEYS_FILE ${file}: ${err.message}`);
+    }
+  }
+
+  async function load() {
+    if (json) {
+      if (!keys) {
+        try {
+          keys = parseKeys(json);
+        } catch (err) {
+          throw new Error(`Cannot parse TOOL_KEYS_JSON: ${err.message}`);
+        }
+      }
+      return keys;
+    }
+
+    const version = await fileVersion();
+    // Unchanged, or removed under us: keep signing with what we have
+    if (keys && (version === loadedVersion || version === null)) return keys;
+    try {
+      keys = parseKeys(await fs.readFile(file, "utf8"));
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        throw new Error(`Cannot load TOOL_KEYS_FILE ${file}: ${err.message}`);
+      }
+      keys = [];
+    }
+    loadedVersion = version;
+    return keys;
+  }
+
+  // Checked before the key list changes, so a refusal leaves it intact
+  function assertWritable() {
+    if (json) {
+      throw new Error(
+        "Tool keys come from TOOL_KEYS_JSON; rotate them where it is set"
+      );
+    }
+  }
+
+  async function save() {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    // Private keys: owner read/write only
+    await fs.writeFile(tmp, JSON.stringify({ keys }, null, 2) + "\n", {
+      mode: 0o600,
+    });
+    await fs.rename(tmp, file);
+    loadedVersion = await fileVersion();
+  }
+
+  function live() {
+    const t = Date.now();
+    return keys.filter((k) => !k.retireAt || Date.parse(k.retireAt) > t);
+  }
+
+  function active() {
+    return keys.find((k) => !k.retireAt) || null;
+  }
+
+  return {
+    // Active kid; throws when there is none (production never generates)
+    async activeKid() {
+      await load();
+      const key = active();
+      if (!key) throw new Error("No active tool key (run npm run gen:jwks)");
+      return key.kid;
+    },
+
+    // Generate the first key if the store is empty; returns the active kid
+    async ensureActiveKey() {
+      await load();
+      if (!active()) {
+        assertWritable();
+        keys.unshift(await newKey());
+        await save();
+      }
+      return active().kid;
+    },
+
+    // New active key; the old one stays published for `overlapMs`
+    async rotate({ overlapMs = DEFAULT_OVERLAP_MS } = {}) {
+      await load();
+      assertWritable();
+      const retireAt = new Date(Date.now() + overlapMs).toISOString();
+      for (const k of keys) if (!k.retireAt) k.retireAt = retireAt;
+      keys.unshift(await newKey());
+      keys = live();
+      await save();
+      return { kid: active().kid, retireAt };
+    },
+
+    async publicJwks() {
+      await load();
+      return { keys: live().map(toPublicJwk) };
+    },
+
+    async list() {
+      await load();
+      return keys.map(({ kid, alg, createdAt, retireAt }) => ({
+        kid,
+        alg,
+        createdAt,
+        retireAt,
+      }));
+    },
+
+    // Sign claims with the active key (kid in the header)
+    async sign(claims, { expiresIn = "5m", audience, issuer, subject } = {}) {
+      await load();
+      const key = active();
+      if (!key) throw new Error("No active tool key (run npm run gen:jwks)");
+
+      const jwt = new SignJWT(claims)
+        .setProtectedHeader({ alg: key.alg, kid: key.kid, typ: "JWT" })
+        .setIssuedAt()
+        .setExpirationTime(expiresIn);
+      if (issuer) jwt.setIssuer(issuer);
+      if (subject) jwt.setSubject(subject);
+      if (audience) jwt.setAudience(audience);
+      return jwt.sign(await importJWK(key.privateJwk, key.alg));
+    },
+  };
+}
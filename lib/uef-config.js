@@ -0,0 +1,204 @@
+import fs from "fs/promises";
+
+/* =========================================================
+   UEF RUNTIME CONFIG
+   Settings uef.js and widget.html load at boot (GET /api/uef-config),
+   read from UEF_CONFIG_FILE (default config/uef-config.json):
+     {
+       "defaults":  { ...all keys below... },
+       "platforms": { "<Learn host or platform key>": { ...overrides } },
+       "courses":   { "<course id>": { ...overrides } },
+       "activities": {
+         "<activity id>": { "label": "Week 1 practice", "scoreMaximum": 1 }
+       }
+     }
+   Resolution order: defaults <- platform <- course.
+   `activities` is the allow-list of practice activities the widget may
+   report as completed (graded through AGS); it stays on the server.
+   coursePortalSelectors lists the UEF portal selectors (e.g.
+   "course.outline.details") where uef.js renders the compact
+   coursePortalLabel entry; an empty list turns course portals off.
+   The file is validated at startup; bad config throws and stops boot.
+========================================================= */
+
+const PANEL_TYPES = ["small", "medium", "large", "full"];
+const PROVIDER_TYPES = ["auxiliary", "primary"];
+
+const nonEmptyString = (v) => typeof v === "string" && v.trim() !== "";
+
+// key -> [check, description]
+const SCHEMA = {
+  displayName: [nonEmptyString, "non-empty string"],
+  panelTitle: [nonEmptyString, "non-empty string"],
+  panelType: [
+    (v) => PANEL_TYPES.includes(v),
+    `one of ${PANEL_TYPES.join(", ")}`,
+  ],
+  iconPath: [
+    (v) => nonEmptyString(v) && v.startsWith("/"),
+    'path starting with "/"',
+  ],
+  baseNavRouteName: [
+    (v) => typeof v === "string" && /^[a-z0-9-]+$/.test(v),
+    "lowercase letters, digits and dashes",
+  ],
+  helpProviderId: [nonEmptyString, "non-empty string"],
+  providerType: [
+    (v) => PROVIDER_TYPES.includes(v),
+    `one of ${PROVIDER_TYPES.join(", ")}`,
+  ],
+  widgetKey: [
+    (v) => typeof v === "string" && /^[A-Za-z0-9]+$/.test(v),
+    "alphanumeric NoodleFactory widget key",
+  ],
+  coursePortalSelectors: [
+    (v) => Array.isArray(v) && v.every((s) => /^[a-z][a-z0-9.-]*$/i.test(s)),
+    'list of UEF portal selectors (e.g. "course.outline.details")',
+  ],
+  coursePortalLabel: [nonEmptyString, "non-empty string"],
+};
+
+const ACTIVITY_ID = /^[A-Za-z0-9_.-]{1,64}$/;
+const MAX_LABEL_LENGTH = 100;
+const MAX_SCORE_MAXIMUM = 1000;
+
+export class UefConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid UEF config:\n  - ${problems.join("\n  - ")}`);
+    this.name = "UefConfigError";
+    this.problems = problems;
+  }
+}
+
+function checkSection(where, obj, { complete }, problems) {
+  if (!obj || typeof obj !== "object" || Array.isArray(obj)) {
+    problems.push(`${where} must be an object`);
+    return;
+  }
+  for (const [k, v] of Object.entries(obj)) {
+    if (!SCHEMA[k]) {
+      problems.push(`${where}.${k} is not a known setting`);
+      continue;
+    }
+    const [check, desc] = SCHEMA[k];
+    if (!check(v)) problems.push(`${where}.${k} must be ${desc}`);
+  }
+  if (complete) {
+    for (const k of Object.keys(SCHEMA)) {
+      if (!(k in obj)) problems.push(`${where}.${k} is required`);
+    }
+  }
+}
+
+export function validateUefConfig(config) {
+  const problems = [];
+  if (!config || typeof config !== "object") {
+    throw new UefConfigError(["config must be a JSON object"]);
+  }
+  for (const k of Object.keys(config)) {
+    if (!["defaults", "platforms", "courses", "activities"].includes(k)) {
+      problems.push(`${k} is not a known section`);
+    }
+  }
+  checkSection("defaults", config.defaults, { complete: true }, problems);
+  for (const section of ["platforms", "courses"]) {
+    const entries = config[section] || {};
+    if (typeof entries !== "object" || Array.isArray(entries)) {
+      problems.push(`${section} must be an object`);
+      continue;
+    }
+    for (const [key, overrides] of Object.entries(entries)) {
+      checkSection(
+        `${section}["${key}"]`,
+        overrides,
+        { complete: false },
+        problems
+      );
+    }
+  }
+  checkActivities(config.activities || {}, problems);
+  if (problems.length) throw new UefConfigError(problems);
+  return {
+    defaults: config.defaults,
+    platforms: config.platforms || {},
+    courses: config.courses || {},
+    activities: config.activities || {},
+  };
+}
+
+function checkActivities(activities, problems) {
+  if (typeof activities !== "object" || Array.isArray(activities)) {
+    problems.push("activities must be an object");
+    return;
+  }
+  for (const [id, a] of Object.entries(activities)) {
+    const where = `activities["${id}"]`;
+    if (!ACTIVITY_ID.test(id)) {
+      problems.push(
+        `${where} id must be 1-64 letters, digits, "_", "." or "-"`
+      );
+    }
+    if (!a || typeof a !== "object" || Array.isArray(a)) {
+      problems.push(`${where} must be an object`);
+      continue;
+    }
+    for (const k of Object.keys(a)) {
+      if (!["label", "scoreMaximum"].includes(k)) {
+        problems.push(`${where}.${k} is not a known setting`);
+      }
+    }
+    if (!nonEmptyString(a.label) || a.label.length > MAX_LABEL_LENGTH) {
+      problems.push(
+        `${where}.label must be a non-empty string of at most ${MAX_LABEL_LENGTH} characters`
+      );
+    }
+    const max = a.scoreMaximum;
+    if (typeof max !== "number" || !(max > 0) || max > MAX_SCORE_MAXIMUM) {
+      problems.push(
+        `${where}.scoreMaximum must be a number above 0 and at most ${MAX_SCORE_MAXIMUM}`
+      );
+    }
+  }
+}
+
+export async function loadUefConfig(file) {
+  let raw;
+  try {
+    raw = JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (err) {
+    throw new Error(`Cannot load UEF_CONFIG_FILE ${file}: ${err.message}`);
+  }
+  const config = validateUefConfig(raw);
+
+  return {
+    /**
+     * Effective settings for a platform (matched by Learn host or key)
+     * and course (any of the given ids: Ultra course id, LTI context id).
+     */
+    resolve({ platform, courseIds = [] } = {}) {
+      const out = { ...config.defaults };
+      if (platform) {
+        Object.assign(
+          out,
+          config.platforms[platform.learnHost],
+          config.platforms[platform.key]
+        );
+      }
+      for (const id of courseIds) {
+        if (id && config.courses[id]) Object.assign(out, config.courses[id]);
+      }
+      return out;
+    },
+
+    /**
+     * Allow-listed practice activity { id, label, scoreMaximum }, or null
+     * for an id the config does not list.
+     */
+    activity(id) {
+      const a = Object.hasOwn(config.activities, id)
+        ? config.activities[id]
+        : null;
+      return a ? { id, label: a.label, scoreMaximum: a.scoreMaximum } : null;
+    },
+  };
+}
@@ -0,0 +1,981 @@
+/**
+ * mock/platform.js
+ *
+ * Local stand-in for Blackboard Learn + the Developer Portal, so the whole
+ * LTI -> 3LO -> UEF flow runs without deploying:
+ *
+ *   GET  /launch?user=student&course=_101_1   starts an LTI 1.3 launch (OIDC login initiation);
+ *                                             &message=deep-link for an LtiDeepLinkingRequest,
+ *                                             &link=N to launch deep link N returned by the tool
+ *   GET  /oidc/auth                           OIDC auth endpoint; form_posts a signed id_token
+ *   GET  /.well-known/jwks.json               platform JWKS the tool verifies id_tokens with
+ *   GET  /register?url=<tool registration URL>  starts LTI Dynamic Registration (adds
+ *                                             openid_configuration + registration_token)
+ *   GET  /.well-known/openid-configuration    platform configuration for Dynamic Registration
+ *   POST /lti/registrations                   registration_endpoint; answers a new client_id
+ *   GET  /mock/registrations                  tool configurations received so far
+ *   GET  /learn/api/public/v1/oauth2/authorizationcode   3LO (one_time_session_token)
+ *   POST /learn/api/public/v1/oauth2/token    authorization_code + refresh_token grants
+ *   GET  /learn/api/public/v1|v2/...          Learn REST reads (courses, calendar, contents,
+ *                                             gradebook) over MOCK_* fixtures, 2 items per page
+ *   POST /mock/introspect                     { token } -> { active, userId } (used by the fake Ultra host)
+ *   POST /mock/faults                         { throttle, retryAfter } 429s on REST reads,
+ *                                             { outage } 503s on every Learn call
+ *   POST /mock/expire                         expire every access token (tool must refresh)
+ *   POST /api/v1/gateway/oauth2/jwttoken      LTI service tokens (client_credentials with the
+ *                                             tool's signed client_assertion)
+ *   GET  /lti/courses/:id/memberships         NRPS roster (context_memberships_url), Link paging
+ *   GET|POST /lti/courses/:id/lineitems       AGS line items (?resource_id=&tag= filters)
+ *   POST /lti/courses/:id/lineitems/:li/scores  AGS scores
+ *   GET  /mock/ags                            line items + scores received so far
+ *   POST /deep-link/return                    deep_link_return_url; verifies the tool's signed
+ *                                             LtiDeepLinkingResponse against its JWKS
+ *   GET  /mock/deep-links                     content items received so far
+ *   GET  /ultra?user=student&course=_101_1    fake Ultra page running the UEF handshake (ultra-host.js)
+ *
+ * Run standalone for a browser session:
+ *   TOOL_BASE_URL=http://localhost:10000 npm run mock
+ * then add the printed registration to PLATFORMS_FILE and open /ultra.
+ * scripts/e2e.js (npm test) starts it in-process.
+ */
+import express from "express";
+import crypto from "crypto";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  createRemoteJWKSet,
+  exportJWK,
+  generateKeyPair,
+  jwtVerify,
+  SignJWT,
+} from "jose";
+
+const CLAIM = "https://purl.imsglobal.org/spec/lti/claim/";
+const DL_CLAIM = "https://purl.imsglobal.org/spec/lti-dl/claim/";
+const NRPS_CLAIM =
+  "https://purl.imsglobal.org/spec/lti-nrps/claim/namesroleservice";
+const NRPS_SCOPE =
+  "https://purl.imsglobal.org/spec/lti-nrps/scope/contextmembership.readonly";
+const AGS_CLAIM = "https://purl.imsglobal.org/spec/lti-ags/claim/endpoint";
+const AGS_SCOPE = "https://purl.imsglobal.org/spec/lti-ags/scope/";
+const LTI_TOKEN_PATH = "/api/v1/gateway/oauth2/jwttoken";
+const LTI_TOOL_CONFIG =
+  "https://purl.imsglobal.org/spec/lti-tool-configuration";
+const ONE_TIME_CLAIM =
+  "https://blackboard.com/lti/claim/one_time_session_token";
+const LIS = "http://purl.imsglobal.org/vocab/lis/v2/";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const MOCK_USERS = {
+  student: {
+    sub: "mock-student-1",
+    learnUserId: "_201_1",
+    name: "Juan dela Cruz",
+    email: "jdelacruz@mymail.mapua.edu.ph",
+    locale: "en-US",
+    roles: [`${LIS}membership#Learner`, `${LIS}institution/person#Student`],
+  },
+  instructor: {
+    sub: "mock-instructor-1",
+    learnUserId: "_202_1",
+    name: "Maria Santos",
+    email: "msantos@mapua.edu.ph",
+    locale: "fil-PH",
+    roles: [`${LIS}membership#Instructor`, `${LIS}institution/person#Faculty`],
+  },
+  student2: {
+    sub: "mock-student-2",
+    learnUserId: "_204_1",
+    name: "Ana Reyes",
+    email: "areyes@mymail.mapua.edu.ph",
+    locale: "fil-PH",
+    roles: [`${LIS}membership#Learner`, `${LIS}institution/person#Student`],
+  },
+  guest: {
+    sub: "mock-guest-1",
+    learnUserId: "_203_1",
+    name: "Guest User",
+    locale: "en-US",
+    roles: [`${LIS}membership#Guest`],
+  },
+  admin: {
+    sub: "mock-admin-1",
+    learnUserId: "_205_1",
+    name: "Site Admin",
+    email: "lmsadmin@mapua.edu.ph",
+    locale: "en-US",
+    roles: [`${LIS}institution/person#Administrator`],
+  },
+};
+
+export const MOCK_COURSES = {
+  _101_1: { id: "_101_1", label: "CS101", title: "Intro to Computing" },
+  _102_1: { id: "_102_1", label: "MATH21", title: "Calculus 1" },
+};
+
+// Learn user id -> course ids
+export const MOCK_MEMBERSHIPS = {
+  _201_1: ["_101_1", "_102_1"],
+  _202_1: ["_101_1"],
+  _203_1: [],
+  _204_1: ["_101_1"],
+  _205_1: [],
+};
+
+const folder = "resource/x-bb-folder";
+const doc = "resource/x-bb-document";
+export const MOCK_CONTENTS = {
+  _101_1: [
+    { id: "_1_1", title: "Week 1", contentHandler: { id: folder } },
+    { id: "_2_1", title: "Syllabus", contentHandler: { id: doc } },
+    {
+      id: "_3_1",
+      title: "Quiz 1",
+      contentHandler: { id: "resource/x-bb-asmt-test-link" },
+    },
+    {
+      id: "_4_1",
+      parentId: "_1_1",
+      title: "Lecture slides",
+      contentHandler: { id: "resource/x-bb-file" },
+    },
+  ],
+  _102_1: [{ id: "_5_1", title: "Limits", contentHandler: { id: doc } }],
+};
+
+export const MOCK_GRADEBOOK = {
+  _101_1: {
+    columns: [
+      { id: "_10_1", name: "Quiz 1", score: { possible: 10 } },
+      { id: "_11_1", name: "Midterm", score: { possible: 100 } },
+    ],
+    // Learn user id -> grades
+    grades: {
+      _201_1: [
+        {
+          columnId: "_10_1",
+          status: "Graded",
+          score: 8,
+          displayGrade: { scaleType: "Score", score: 8, text: "8" },
+        },
+      ],
+    },
+  },
+  _102_1: { columns: [], grades: {} },
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Due dates relative to "now" so "what's due this week?" has answers
+function calendarItems(now = Date.now()) {
+  const at = (days) => new Date(now + days * DAY_MS).toISOString();
+  return [
+    {
+      id: "cal-1",
+      type: "GradebookColumn",
+      calendarId: "_101_1",
+      title: "Quiz 1 due",
+      start: at(2),
+      end: at(2),
+    },
+    {
+      id: "cal-2",
+      type: "Course",
+      calendarId: "_102_1",
+      title: "Consultation",
+      start: at(4),
+      end: at(4.1),
+      location: "Room 301",
+    },
+    {
+      id: "cal-3",
+      type: "Institution",
+      calendarId: "INSTITUTION",
+      title: "Semestral break",
+      start: at(30),
+      end: at(37),
+    },
+  ];
+}
+
+const PAGE_SIZE = 2; // small so clients must follow paging.nextPage
+
+function randId(bytes = 16) {
+  return crypto.randomBytes(bytes).toString("hex");
+}
+
+function escapeHtml(s) {
+  return String(s).replace(
+    /[&<>"']/g,
+    (c) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[
+        c
+      ]
+  );
+}
+
+export function createMockPlatform({
+  toolBaseUrl,
+  clientId = "mock-client-id",
+  deploymentId = "mock-deployment-1",
+  restKey = "mock-rest-key",
+  restSecret = "mock-rest-secret",
+  tokenTtlSec = 3600,
+} = {}) {
+  if (!toolBaseUrl) throw new Error("createMockPlatform needs toolBaseUrl");
+  const tool = toolBaseUrl.replace(/\/+$/, "");
+
+  let baseUrl = "";
+  let server = null;
+  let signingKey = null;
+  let publicJwk = null;
+
+  // Short-lived grants, all in memory
+  const oneTimeTokens = new Map(); // token -> user key
+  const codes = new Map(); // code -> { userKey, redirectUri, scope }
+  const accessTokens = new Map(); // token -> { userKey, expiresAt }
+  const refreshTokens = new Map(); // token -> { userKey, scope }
+  const serviceTokens = new Map(); // LTI service token -> { scopes, expiresAt }
+  const lineItems = new Map(); // course id -> [{ id, label, ..., scores[] }]
+
+  // Deep linking: `data` values we sent, and the content items we got back
+  const deepLinkData = new Set();
+  const deepLinks = [];
+
+  // Dynamic registration: tokens handed to the tool, configurations received
+  const registrationTokens = new Set();
+  const registrations = [];
+
+  const app = express();
+  app.disable("x-powered-by");
+  app.use(express.urlencoded({ extended: true }));
+  // AGS bodies are application/vnd.ims.lis.*+json
+  app.use(express.json({ type: ["application/json", "application/*+json"] }));
+
+  async function signIdToken({ userKey, courseId, nonce, message, link }) {
+    const user = MOCK_USERS[userKey];
+    const course = MOCK_COURSES[courseId];
+    const oneTime = randId(12);
+    oneTimeTokens.set(oneTime, userKey);
+
+    const claims = {
+      nonce,
+      azp: clientId,
+      name: user.name,
+      locale: user.locale,
+      [`${CLAIM}message_type`]: "LtiResourceLinkRequest",
+      [`${CLAIM}version`]: "1.3.0",
+      [`${CLAIM}deployment_id`]: deploymentId,
+      [`${CLAIM}target_link_uri`]: `${tool}/lti/launch`,
+      [`${CLAIM}resource_link`]: { id: `mock-link-${courseId || "none"}` },
+      [`${CLAIM}roles`]: user.roles,
+      [ONE_TIME_CLAIM]: oneTime,
+    };
+    if (course) {
+      claims[`${CLAIM}context`] = course;
+      claims[NRPS_CLAIM] = {
+        context_memberships_url: `${baseUrl}/lti/courses/${courseId}/memberships`,
+        service_versions: ["2.0"],
+      };
+      claims[AGS_CLAIM] = {
+        scope: [
+          `${AGS_SCOPE}lineitem`,
+          `${AGS_SCOPE}lineitem.readonly`,
+          `${AGS_SCOPE}score`,
+        ],
+        lineitems: `${baseUrl}/lti/courses/${courseId}/lineitems`,
+      };
+    }
+
+    if (message === "deep-link") {
+      const data = randId(8);
+      deepLinkData.add(data);
+      claims[`${CLAIM}message_type`] = "LtiDeepLinkingRequest";
+      delete claims[`${CLAIM}resource_link`];
+      claims[`${DL_CLAIM}deep_linking_settings`] = {
+        deep_link_return_url: `${baseUrl}/deep-link/return`,
+        accept_types: ["ltiResourceLink"],
+        accept_presentation_document_targets: ["iframe", "window"],
+        accept_multiple: false,
+        data,
+      };
+    }
+    // Launching a placed content item carries its custom params
+    const item = link !== undefined ? deepLinks[Number(link)] : null;
+    if (item) {
+      claims[`${CLAIM}resource_link`] = { id: `mock-dl-${link}` };
+      claims[`${CLAIM}custom`] = item.custom || {};
+    }
+
+    return new SignJWT(claims)
+      .setProtectedHeader({ alg: "RS256", kid: publicJwk.kid, typ: "JWT" })
+      .setIssuer(baseUrl)
+      .setAudience(clientId)
+      .setSubject(user.sub)
+      .setIssuedAt()
+      .setExpirationTime("5m")
+      .sign(signingKey);
+  }
+
+  function issueTokens(userKey, scope) {
+    const accessToken = `mock-at-${randId(16)}`;
+    accessTokens.set(accessToken, {
+      userKey,
+      expiresAt: Date.now() + tokenTtlSec * 1000,
+    });
+    const body = {
+      access_token: accessToken,
+      token_type: "bearer",
+      expires_in: tokenTtlSec,
+      scope,
+      user_id: MOCK_USERS[userKey].learnUserId,
+    };
+    // Like Learn: refresh tokens only with the "offline" scope
+    if (scope.split(/\s+/).includes("offline")) {
+      body.refresh_token = `mock-rt-${randId(16)}`;
+      refreshTokens.set(body.refresh_token, { userKey, scope });
+    }
+    return body;
+  }
+
+  /* ===== LTI launch ===== */
+  app.get("/launch", (req, res) => {
+    const userKey = String(req.query.user || "student");
+    const courseId = String(req.query.course || "_101_1");
+    if (!MOCK_USERS[userKey]) return res.status(400).send("Unknown mock user");
+
+    // Opaque to the tool; comes back to /oidc/auth as lti_message_hint
+    const hint = new URLSearchParams({ course: courseId });
+    if (req.query.message) hint.set("message", String(req.query.message));
+    if (req.query.link) hint.set("link", String(req.query.link));
+
+    const params = new URLSearchParams({
+      iss: baseUrl,
+      login_hint: userKey,
+      target_link_uri: `${tool}/lti/launch`,
+      lti_message_hint: hint.toString(),
+      client_id: clientId,
+      lti_deployment_id: deploymentId,
+    });
+    return res.redirect(`${tool}/lti/login?${params}`);
+  });
+
+  app.get("/oidc/auth", async (req, res) => {
+    const q = req.query;
+    const problems = [];
+    if (q.scope !== "openid") problems.push("scope must be openid");
+    if (q.response_type !== "id_token") problems.push("bad response_type");
+    if (q.response_mode !== "form_post") problems.push("bad response_mode");
+    if (q.client_id !== clientId) problems.push("unknown client_id");
+    if (q.redirect_uri !== `${tool}/lti/launch`) {
+      problems.push("redirect_uri not registered");
+    }
+    if (!q.nonce || !q.state) problems.push("missing nonce/state");
+    if (!MOCK_USERS[q.login_hint]) problems.push("unknown login_hint");
+    if (problems.length) return res.status(400).send(problems.join("; "));
+
+    const hint = new URLSearchParams(String(q.lti_message_hint || ""));
+    const idToken = await signIdToken({
+      userKey: q.login_hint,
+      courseId: hint.get("course"),
+      nonce: q.nonce,
+      message: hint.get("message"),
+      link: hint.get("link") ?? undefined,
+    });
+
+    return res.type("html").send(`<!doctype html>
+<html lang="en">
+  <body onload="document.forms[0].submit()">
+    <form method="post" action="${escapeHtml(q.redirect_uri)}">
+      <input type="hidden" name="id_token" value="${escapeHtml(idToken)}" />
+      <input type="hidden" name="state" value="${escapeHtml(q.state)}" />
+    </form>
+  </body>
+</html>`);
+  });
+
+  app.get("/.well-known/jwks.json", (req, res) => {
+    res.json({ keys: [publicJwk] });
+  });
+
+  /* ===== LTI Dynamic Registration ===== */
+  // Like the admin pasting the tool's registration URL into Learn
+  app.get("/register", (req, res) => {
+    let url;
+    try {
+      url = new URL(String(req.query.url || ""));
+    } catch {
+      return res.status(400).send("Missing tool registration url");
+    }
+    const token = `mock-reg-${randId(8)}`;
+    registrationTokens.add(token);
+    url.searchParams.set(
+      "openid_configuration",
+      `${baseUrl}/.well-known/openid-configuration`
+    );
+    url.searchParams.set("registration_token", token);
+    return res.redirect(url.toString());
+  });
+
+  app.get("/.well-known/openid-configuration", (req, res) => {
+    res.json({
+      issuer: baseUrl,
+      authorization_endpoint: `${baseUrl}/oidc/auth`,
+      token_endpoint: `${baseUrl}${LTI_TOKEN_PATH}`,
+      jwks_uri: `${baseUrl}/.well-known/jwks.json`,
+      registration_endpoint: `${baseUrl}/lti/registrations`,
+      "https://purl.imsglobal.org/spec/lti-platform-configuration": {
+        product_family_code: "BlackboardLearn",
+        version: "mock",
+      },
+    });
+  });
+
+  app.post("/lti/registrations", (req, res) => {
+    const token = /^Bearer (.+)$/.exec(req.get("Authorization") || "")?.[1];
+    // Single use, like Learn's registration tokens
+    if (!registrationTokens.delete(token)) {
+      return res.status(401).json({ error: "Bad registration token" });
+    }
+    const config = req.body || {};
+    if (!config.initiate_login_uri || !config.jwks_uri) {
+      return res.status(400).json({ error: "Incomplete tool configuration" });
+    }
+    registrations.push(config);
+    const n = registrations.length;
+    return res.json({
+      ...config,
+      client_id: `mock-dr-client-${n}`,
+      [LTI_TOOL_CONFIG]: {
+        ...config[LTI_TOOL_CONFIG],
+        deployment_id: `mock-dr-deployment-${n}`,
+      },
+    });
+  });
+
+  app.get("/mock/registrations", (req, res) => {
+    res.json(registrations);
+  });
+
+  // JWTs the tool signs (deep linking responses, client assertions)
+  let toolJwks = null;
+  async function verifyToolJwt(jwt, options) {
+    toolJwks ||= createRemoteJWKSet(new URL(`${tool}/.well-known/jwks.json`));
+    return (await jwtVerify(String(jwt || ""), toolJwks, options)).payload;
+  }
+
+  /* ===== LTI Advantage services ===== */
+  app.post(LTI_TOKEN_PATH, async (req, res) => {
+    const b = req.body;
+    if (b.grant_type !== "client_credentials") {
+      return res.status(400).json({ error: "unsupported_grant_type" });
+    }
+    try {
+      await verifyToolJwt(b.client_assertion, {
+        issuer: clientId,
+        subject: clientId,
+        audience: `${baseUrl}${LTI_TOKEN_PATH}`,
+      });
+    } catch (err) {
+      return res
+        .status(401)
+        .json({ error: "invalid_client", error_description: err.message });
+    }
+    const accessToken = `mock-lti-${randId(16)}`;
+    serviceTokens.set(accessToken, {
+      scopes: String(b.scope || "").split(/\s+/),
+      expiresAt: Date.now() + 3600 * 1000,
+    });
+    res.json({
+      access_token: accessToken,
+      token_type: "Bearer",
+      expires_in: 3600,
+      scope: b.scope,
+    });
+  });
+
+  // Bearer service token granted `scope`
+  function requireServiceScope(scope) {
+    return (req, res, next) => {
+      const token = /^Bearer (.+)$/.exec(req.get("authorization") || "")?.[1];
+      const t = token && serviceTokens.get(token);
+      if (!t || t.expiresAt <= Date.now() || !t.scopes.includes(scope)) {
+        return res.status(401).json({ error: "invalid_token" });
+      }
+      next();
+    };
+  }
+
+  app.get(
+    "/lti/courses/:courseId/memberships",
+    requireServiceScope(NRPS_SCOPE),
+    (req, res) => {
+      const course = MOCK_COURSES[req.params.courseId];
+      if (!course) return res.status(404).json({ error: "Unknown course" });
+
+      const members = Object.values(MOCK_USERS)
+        .filter((u) => MOCK_MEMBERSHIPS[u.learnUserId]?.includes(course.id))
+        .map((u) => ({
+          user_id: u.sub,
+          name: u.name,
+          email: u.email,
+          status: "Active",
+          // NRPS uses short context roles
+          roles: u.roles
+            .filter((r) => r.includes("membership#"))
+            .map((r) => r.split("#")[1]),
+        }));
+      const offset = Number(req.query.offset || 0);
+      const pageUrl = `${baseUrl}${req.path}`;
+      if (offset + PAGE_SIZE < members.length) {
+        res.setHeader(
+          "Link",
+          `<${pageUrl}?offset=${offset + PAGE_SIZE}>; rel="next"`
+        );
+      }
+      res.type("application/vnd.ims.lti-nrps.v2.membershipcontainer+json");
+      res.send(
+        JSON.stringify({
+          id: `${pageUrl}?offset=${offset}`,
+          context: course,
+          members: members.slice(offset, offset + PAGE_SIZE),
+        })
+      );
+    }
+  );
+
+  function courseLineItems(req, res) {
+    const course = MOCK_COURSES[req.params.courseId];
+    if (!course) {
+      res.status(404).json({ error: "Unknown course" });
+      return null;
+    }
+    if (!lineItems.has(course.id)) lineItems.set(course.id, []);
+    return lineItems.get(course.id);
+  }
+
+  const publicLineItem = ({ scores, ...item }) => item;
+
+  app.get(
+    "/lti/courses/:courseId/lineitems",
+    requireServiceScope(`${AGS_SCOPE}lineitem`),
+    (req, res) => {
+      const items = courseLineItems(req, res);
+      if (!items) return;
+      const { resource_id: resourceId, tag } = req.query;
+      res.type("application/vnd.ims.lis.v2.lineitemcontainer+json");
+      res.send(
+        JSON.stringify(
+          items
+            .filter((i) => !resourceId || i.resourceId === resourceId)
+            .filter((i) => !tag || i.tag === tag)
+            .map(publicLineItem)
+        )
+      );
+    }
+  );
+
+  app.post(
+    "/lti/courses/:courseId/lineitems",
+    requireServiceScope(`${AGS_SCOPE}lineitem`),
+    (req, res) => {
+      const items = courseLineItems(req, res);
+      if (!items) return;
+      const b = req.body || {};
+      if (!b.label || !(Number(b.scoreMaximum) > 0)) {
+        return res.status(400).json({ error: "label and scoreMaximum needed" });
+      }
+      const item = {
+        id: `${baseUrl}${req.path}/${items.length + 1}`,
+        label: String(b.label),
+        scoreMaximum: Number(b.scoreMaximum),
+        resourceId: b.resourceId || "",
+        tag: b.tag || "",
+        scores: [],
+      };
+      items.push(item);
+      res.status(201).type("application/vnd.ims.lis.v2.lineitem+json");
+      res.send(JSON.stringify(publicLineItem(item)));
+    }
+  );
+
+  app.post(
+    "/lti/courses/:courseId/lineitems/:itemId/scores",
+    requireServiceScope(`${AGS_SCOPE}score`),
+    (req, res) => {
+      const items = courseLineItems(req, res);
+      if (!items) return;
+      const item = items[Number(req.params.itemId) - 1];
+      if (!item) return res.status(404).json({ error: "Unknown line item" });
+      const b = req.body || {};
+      const known = Object.values(MOCK_USERS).some((u) => u.sub === b.userId);
+      if (!known) return res.status(400).json({ error: "Unknown userId" });
+      if (!(Number(b.scoreGiven) <= Number(b.scoreMaximum))) {
+        return res.status(400).json({ error: "Bad scoreGiven/scoreMaximum" });
+      }
+      if (!b.timestamp || !b.activityProgress || !b.gradingProgress) {
+        return res.status(400).json({ error: "Missing score fields" });
+      }
+      item.scores.push(b);
+      res.status(204).end();
+    }
+  );
+
+  app.get("/mock/ags", (req, res) => {
+    res.json(Object.fromEntries(lineItems));
+  });
+
+  /* ===== Deep linking return ===== */
+  app.post("/deep-link/return", async (req, res) => {
+    let payload;
+    try {
+      payload = await verifyToolJwt(req.body.JWT, {
+        issuer: clientId,
+        audience: baseUrl,
+      });
+    } catch (err) {
+      return res.status(400).send(`Bad deep linking response: ${err.message}`);
+    }
+    const problems = [];
+    if (payload[`${CLAIM}message_type`] !== "LtiDeepLinkingResponse") {
+      problems.push("bad message_type");
+    }
+    if (payload[`${CLAIM}deployment_id`] !== deploymentId) {
+      problems.push("bad deployment_id");
+    }
+    if (!deepLinkData.delete(payload[`${DL_CLAIM}data`])) {
+      problems.push("data does not match a request");
+    }
+    if (problems.length) return res.status(400).send(problems.join("; "));
+
+    const items = payload[`${DL_CLAIM}content_items`] || [];
+    deepLinks.push(...items);
+    return res
+      .type("html")
+      .send(
+        `<p>${items.length} item(s) added. ${escapeHtml(payload[`${DL_CLAIM}msg`] || "")}</p>`
+      );
+  });
+
+  app.get("/mock/deep-links", (req, res) => {
+    res.json(deepLinks);
+  });
+
+  /* ===== Learn 3LO ===== */
+  app.get("/learn/api/public/v1/oauth2/authorizationcode", (req, res) => {
+    const q = req.query;
+    if (q.client_id !== restKey) return res.status(400).send("Bad client_id");
+    if (q.response_type !== "code") {
+      return res.status(400).send("Bad response_type");
+    }
+    const userKey = oneTimeTokens.get(String(q.one_time_session_token || ""));
+    if (!userKey) {
+      return res.status(401).send("Invalid one_time_session_token");
+    }
+    oneTimeTokens.delete(q.one_time_session_token);
+
+    const code = randId(12);
+    codes.set(code, {
+      userKey,
+      redirectUri: String(q.redirect_uri || ""),
+      scope: String(q.scope || "read"),
+    });
+    const url = new URL(String(q.redirect_uri));
+    url.searchParams.set("code", code);
+    if (q.state) url.searchParams.set("state", String(q.state));
+    return res.redirect(url.toString());
+  });
+
+  app.post("/learn/api/public/v1/oauth2/token", (req, res) => {
+    const expected = Buffer.from(`${restKey}:${restSecret}`).toString("base64");
+    if (req.get("authorization") !== `Basic ${expected}`) {
+      return res.status(401).json({ error: "invalid_client" });
+    }
+
+    const grant = req.body.grant_type;
+    if (grant === "authorization_code") {
+      // Learn takes code + redirect_uri on the query string
+      const code = String(req.query.code || req.body.code || "");
+      const grantData = codes.get(code);
+      codes.delete(code);
+      const redirectUri = String(
+        req.query.redirect_uri || req.body.redirect_uri || ""
+      );
+      if (!grantData || grantData.redirectUri !== redirectUri) {
+        return res.status(400).json({ error: "invalid_grant" });
+      }
+      return res.json(issueTokens(grantData.userKey, grantData.scope));
+    }
+
+    if (grant === "refresh_token") {
+      const rt = refreshTokens.get(String(req.body.refresh_token || ""));
+      if (!rt) return res.status(400).json({ error: "invalid_grant" });
+      refreshTokens.delete(req.body.refresh_token);
+      return res.json(issueTokens(rt.userKey, rt.scope));
+    }
+
+    return res.status(400).json({ error: "unsupported_grant_type" });
+  });
+
+  /* ===== Learn REST (reads) ===== */
+  function learnError(res, status, message) {
+    return res.status(status).json({ status, message });
+  }
+
+  // Learn-style page of `items` with paging.nextPage when more remain
+  function sendPage(req, res, items) {
+    const offset = Number(req.query.offset || 0);
+    const body = { results: items.slice(offset, offset + PAGE_SIZE) };
+    if (offset + PAGE_SIZE < items.length) {
+      const next = new URL(req.originalUrl, baseUrl);
+      next.searchParams.set("offset", String(offset + PAGE_SIZE));
+      body.paging = { nextPage: `${next.pathname}${next.search}` };
+    }
+    return res.json(body);
+  }
+
+  function learnUserIdOf(req) {
+    return MOCK_USERS[req.learnUserKey].learnUserId;
+  }
+
+  // The course, or null after answering 404/403 like Learn
+  function courseFor(req, res) {
+    const course = MOCK_COURSES[req.params.courseId];
+    if (!course) {
+      learnError(res, 404, "Course not found");
+      return null;
+    }
+    if (!MOCK_MEMBERSHIPS[learnUserIdOf(req)].includes(course.id)) {
+      learnError(res, 403, "User is not enrolled in the course");
+      return null;
+    }
+    return course;
+  }
+
+  // Fault injection for REST reads (see POST /mock/faults)
+  const faults = { throttle: 0, retryAfter: 1, outage: false };
+
+  // Bearer token on every REST call except the OAuth endpoints themselves
+  app.use("/learn/api/public", (req, res, next) => {
+    if (faults.outage) return learnError(res, 503, "Service unavailable");
+    if (req.path.startsWith("/v1/oauth2/")) return next();
+    if (faults.throttle > 0) {
+      faults.throttle--;
+      res.setHeader("Retry-After", String(faults.retryAfter));
+      return learnError(res, 429, "Too many requests");
+    }
+    const token = /^Bearer (.+)$/.exec(req.get("authorization") || "")?.[1];
+    const t = token && accessTokens.get(token);
+    if (!t || t.expiresAt <= Date.now()) {
+      return learnError(res, 401, "Bearer token is invalid");
+    }
+    req.learnUserKey = t.userKey;
+    next();
+  });
+
+  app.get("/learn/api/public/v1/users/me", (req, res) => {
+    const user = MOCK_USERS[req.learnUserKey];
+    res.json({ id: user.learnUserId, name: { given: user.name } });
+  });
+
+  app.get("/learn/api/public/v1/users/:userId/courses", (req, res) => {
+    if (req.params.userId !== learnUserIdOf(req)) {
+      return learnError(res, 403, "Not allowed to read other users");
+    }
+    const memberships = MOCK_MEMBERSHIPS[req.params.userId].map((id) => ({
+      courseId: id,
+      courseRoleId:
+        req.learnUserKey === "instructor" ? "Instructor" : "Student",
+      availability: { available: "Yes" },
+      course:
+        req.query.expand === "course"
+          ? {
+              id,
+              courseId: MOCK_COURSES[id].label,
+              name: MOCK_COURSES[id].title,
+              externalAccessUrl: `${baseUrl}/ultra/courses/${id}/outline`,
+              availability: { available: "Yes" },
+            }
+          : undefined,
+    }));
+    return sendPage(req, res, memberships);
+  });
+
+  app.get("/learn/api/public/v1/calendars/items", (req, res) => {
+    const since = Date.parse(req.query.since);
+    const until = Date.parse(req.query.until);
+    if (Number.isNaN(since) || Number.isNaN(until)) {
+      return learnError(res, 400, "since and until are required");
+    }
+    if (until - since > 16 * 7 * DAY_MS) {
+      return learnError(res, 400, "Range exceeds 16 weeks");
+    }
+    const mine = MOCK_MEMBERSHIPS[learnUserIdOf(req)];
+    const items = calendarItems().filter(
+      (i) =>
+        Date.parse(i.start) >= since &&
+        Date.parse(i.start) <= until &&
+        (i.type === "Institution" || mine.includes(i.calendarId))
+    );
+    return sendPage(req, res, items);
+  });
+
+  app.get("/learn/api/public/v1/courses/:courseId/contents", (req, res) => {
+    const course = courseFor(req, res);
+    if (!course) return;
+    const items = (MOCK_CONTENTS[course.id] || []).filter((c) => !c.parentId);
+    return sendPage(
+      req,
+      res,
+      items.map((c) => withContentDefaults(c, course))
+    );
+  });
+
+  app.get(
+    "/learn/api/public/v1/courses/:courseId/contents/:contentId/children",
+    (req, res) => {
+      const course = courseFor(req, res);
+      if (!course) return;
+      const all = MOCK_CONTENTS[course.id] || [];
+      if (!all.some((c) => c.id === req.params.contentId)) {
+        return learnError(res, 404, "Content not found");
+      }
+      const items = all.filter((c) => c.parentId === req.params.contentId);
+      return sendPage(
+        req,
+        res,
+        items.map((c) => withContentDefaults(c, course))
+      );
+    }
+  );
+
+  function withContentDefaults(item, course) {
+    const all = MOCK_CONTENTS[course.id] || [];
+    return {
+      availability: { available: "Yes" },
+      created: "2026-06-01T00:00:00.000Z",
+      hasChildren: all.some((c) => c.parentId === item.id),
+      ...item,
+    };
+  }
+
+  app.get(
+    "/learn/api/public/v2/courses/:courseId/gradebook/columns",
+    (req, res) => {
+      const course = courseFor(req, res);
+      if (!course) return;
+      return sendPage(req, res, MOCK_GRADEBOOK[course.id].columns);
+    }
+  );
+
+  app.get(
+    "/learn/api/public/v2/courses/:courseId/gradebook/users/:userId",
+    (req, res) => {
+      const course = courseFor(req, res);
+      if (!course) return;
+      if (req.params.userId !== learnUserIdOf(req)) {
+        return learnError(res, 403, "Not allowed to read other users");
+      }
+      const grades = MOCK_GRADEBOOK[course.id].grades[req.params.userId] || [];
+      return sendPage(
+        req,
+        res,
+        grades.map((g) => ({ userId: req.params.userId, ...g }))
+      );
+    }
+  );
+
+  // { throttle: n, retryAfter: sec } -> next n REST calls get 429;
+  // { outage: true|false } -> every Learn call (REST + OAuth) gets 503
+  app.post("/mock/faults", (req, res) => {
+    if ("throttle" in req.body) faults.throttle = Number(req.body.throttle);
+    if ("retryAfter" in req.body) faults.retryAfter = req.body.retryAfter;
+    if ("outage" in req.body) faults.outage = Boolean(req.body.outage);
+    res.json(faults);
+  });
+
+  app.post("/mock/expire", (req, res) => {
+    for (const t of accessTokens.values()) t.expiresAt = 0;
+    res.json({ expired: accessTokens.size });
+  });
+
+  app.post("/mock/introspect", (req, res) => {
+    const t = accessTokens.get(String(req.body.token || ""));
+    const active = Boolean(t && t.expiresAt > Date.now());
+    res.json({ active, userId: active ? t.userKey : null });
+  });
+
+  /* ===== Fake Ultra ===== */
+  app.get("/ultra", (req, res) => {
+    res.sendFile(path.join(__dirname, "public/ultra.html"));
+  });
+  app.get("/ultra-host.js", (req, res) => {
+    res.type("application/javascript");
+    res.sendFile(path.join(__dirname, "ultra-host.js"));
+  });
+  app.get("/mock/config.json", (req, res) => {
+    res.json({ toolBaseUrl: tool, users: MOCK_USERS, courses: MOCK_COURSES });
+  });
+
+  return {
+    app,
+
+    get baseUrl() {
+      return baseUrl;
+    },
+
+    // Registration to put in the tool's PLATFORMS_FILE
+    registration() {
+      return {
+        issuer: baseUrl,
+        clientId,
+        deploymentIds: [deploymentId],
+        jwksUrl: `${baseUrl}/.well-known/jwks.json`,
+        authEndpoint: `${baseUrl}/oidc/auth`,
+        tokenEndpoint: `${baseUrl}${LTI_TOKEN_PATH}`,
+        learnHost: baseUrl,
+        restKey,
+        restSecret,
+      };
+    },
+
+    async start({ port = 0, host = "127.0.0.1" } = {}) {
+      const { privateKey, publicKey } = await generateKeyPair("RS256");
+      signingKey = privateKey;
+      publicJwk = {
+        ...(await exportJWK(publicKey)),
+        kid: `mock-${randId(4)}`,
+        alg: "RS256",
+        use: "sig",
+      };
+
+      await new Promise((resolve, reject) => {
+        server = app.listen(port, host, resolve).on("error", reject);
+      });
+      baseUrl = `http://${host}:${server.address().port}`;
+      return baseUrl;
+    },
+
+    close() {
+      return new Promise((resolve) =>
+        server ? server.close(resolve) : resolve()
+      );
+    },
+  };
+}
+
+/* ===== Standalone ===== */
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const mock = createMockPlatform({
+    toolBaseUrl: process.env.TOOL_BASE_URL || "http://localhost:10000",
+  });
+  await mock.start({
+    port: Number(process.env.MOCK_PORT || 10100),
+    host: "localhost",
+  });
+  console.log(`Mock Learn platform on ${mock.baseUrl}`);
+  console.log("Add this to the tool's PLATFORMS_FILE:");
+  console.log(JSON.stringify([mock.registration()], null, 2));
+  console.log(`Then open ${mock.baseUrl}/ultra?user=student&course=_101_1`);
+}
@@ -0,0 +1,169 @@
+/**
+ * mock/ultra-host.js
+ *
+ * The Ultra side of the UEF MessagePort protocol, just enough for uef.js:
+ *
+ *   integration:hello (window message)  -> integration:hello + MessagePort
+ *   authorization:authorize { token }   -> authorization:authorize { status }
+ *   event:subscribe                     -> event:subscribe { status }
+ *   help:register / basenav:register    -> same type { status: "success" }
+ *   portal:panel { correlationId }      -> onPanel + portal:panel:response { portalId }
+ *   portal:render / portal:remove       -> onRender / onRemove callbacks
+ *
+ * Plus drivers for what a user would do: openPortal(selector) emits
+ * portal:new, click(callbackId) sends portal:callback, requestHelp(),
+ * navigate(routeName, routeData) and enterCourse(courseId) emit events. Shared by mock/public/ultra.html
+ * (browser) and scripts/e2e.js (Node); both provide MessageChannel.
+ */
+
+export function createUltraHost({
+  toolOrigin,
+  verifyToken,
+  onPanel = () => {},
+  onRender = () => {},
+  onRemove = () => {},
+  onLog = () => {},
+}) {
+  let port = null;
+  let authorized = false;
+  let subscriptions = new Set();
+  let seq = 0;
+  const received = [];
+  const listeners = new Set();
+
+  function send(message) {
+    if (!port) return;
+    onLog("→", message);
+    port.postMessage(message);
+  }
+
+  function reply(msg, extra = {}) {
+    send({ type: msg.type, ...extra });
+  }
+
+  async function onPortMessage(event) {
+    const msg = event.data || {};
+    received.push(msg);
+    onLog("←", msg);
+    await handle(msg);
+    // Listeners see the message after the host has answered it
+    for (const fn of listeners) fn(msg);
+  }
+
+  async function handle(msg) {
+    if (msg.type === "authorization:authorize") {
+      authorized = Boolean(msg.token) && (await verifyToken(msg.token));
+      if (authorized) reply(msg, { status: "success" });
+      else send({ type: "authorization:unauthorize" });
+      return;
+    }
+    if (!authorized) {
+      reply(msg, { status: "error", error: "unauthorized" });
+      return;
+    }
+
+    switch (msg.type) {
+      case "event:subscribe":
+        subscriptions = new Set(msg.subscriptions || []);
+        reply(msg, { status: "success" });
+        break;
+      case "help:register":
+      case "basenav:register":
+        reply(msg, { status: "success" });
+        break;
+      case "portal:panel": {
+        const portalId = `panel-${++seq}`;
+        onPanel(portalId, msg);
+        send({
+          type: "portal:panel:response",
+          correlationId: msg.correlationId,
+          status: "success",
+          portalId,
+        });
+        break;
+      }
+      case "portal:render":
+        onRender(msg.portalId, msg.contents);
+        break;
+      case "portal:remove":
+        onRemove(msg.portalId);
+        break;
+      default:
+        break;
+    }
+  }
+
+  function emit(eventType, payload = {}) {
+    if (!subscriptions.has(eventType)) return false;
+    send({ type: "event:event", eventType, ...payload });
+    return true;
+  }
+
+  return {
+    received,
+
+    get authorized() {
+      return authorized;
+    },
+
+    // Window "message" handler for the integration frame's hello
+    handleWindowMessage(event) {
+      if (event.origin !== toolOrigin) return;
+      if ((event.data || {}).type !== "integration:hello") return;
+      if (port) port.close();
+
+      const channel = new MessageChannel();
+      port = channel.port1;
+      port.onmessage = onPortMessage;
+      event.source.postMessage({ type: "integration:hello" }, toolOrigin, [
+        channel.port2,
+      ]);
+      onLog("handshake", { toolOrigin });
+    },
+
+    onMessage(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+
+    emit,
+
+    openPortal(selector, selectorData = {}) {
+      const portalId = `portal-${++seq}`;
+      emit("portal:new", { selector, portalId, selectorData });
+      return portalId;
+    },
+
+    removePortal(portalId) {
+      emit("portal:remove", { portalId });
+      onRemove(portalId);
+    },
+
+    click(callbackId) {
+      send({ type: "portal:callback", callbackId });
+    },
+
+    requestHelp() {
+      return emit("help:request", { correlationId: `help-${++seq}` });
+    },
+
+    navigate(routeName, routeData = {}) {
+      return emit("route", { routeName, routeData });
+    },
+
+    enterCourse(courseId) {
+      return emit("course", { courseData: { courseId } });
+    },
+
+    // Simulate Ultra dropping the token (expiry)
+    unauthorize() {
+      authorized = false;
+      send({ type: "authorization:unauthorize" });
+    },
+
+    close() {
+      if (port) port.close();
+      port = null;
+    },
+  };
+}
@@ -0,0 +1,142 @@
+/**
+ * public/mappy-bridge.js
+ *
+ * Widget side of the postMessage bridge between widget.html (the panel
+ * iframe) and uef.js (the hidden UEF integration iframe). Both frames are
+ * served from the tool origin and sit side by side inside Ultra, so every
+ * message is posted with targetOrigin = our own origin and every receiver
+ * drops messages from any other origin or source frame.
+ *
+ * Message schema (protocol "ask-mappy", version 1):
+ *
+ *   request   widget -> host
+ *     { protocol, version, kind: "request", id, type, payload }
+ *   response  host -> widget (same id)
+ *     { protocol, version, kind: "response", id, ok: true,  result }
+ *     { protocol, version, kind: "response", id, ok: false, error: { code, message } }
+ *   event     host -> widget
+ *     { protocol, version, kind: "event", type, payload }
+ *
+ * Requests:
+ *   hello          -> { context, panelType }
+ *   context:get    -> { context }               context = { routeName, courseId, contentId }
+ *   panel:close    -> { closed }
+ *   panel:resize   { panelType: "small" | "medium" | "large" | "full" } -> { panelType, reopened }
+ *                  (an open panel is reopened at that size, reloading the widget;
+ *                  else it applies from the next open)
+ *   navigate       { route: "course-outline" | "course-grades" | "calendar" | "grades",
+ *                    courseId? } or { path } -> { url }; path must be one of
+ *                    /ultra/stream|calendar|grades|courses or
+ *                    /ultra/courses/<id>/outline|grades|announcements|discussions
+ *
+ * Events:
+ *   context:update { context }
+ *
+ * Error codes: bad_request, unknown_type, unsupported_version,
+ *   navigation_blocked, no_lms_host, no_host (widget side), timeout (widget side)
+ *
+ * Usage:
+ *   MappyBridge.request("panel:resize", { panelType: "full" }).then(...)
+ *   MappyBridge.on("context:update", ({ context }) => ...)
+ */
+
+(function () {
+  const PROTOCOL = "ask-mappy";
+  const VERSION = 1;
+  const DEFAULT_TIMEOUT_MS = 5000;
+
+  const origin = window.location.origin;
+  const pending = new Map();
+  const listeners = new Map();
+  let seq = 0;
+
+  // The uef.js frame is the same-origin sibling that exposes __uefConnection
+  function findHost() {
+    try {
+      const frames = window.parent.frames;
+      for (let i = 0; i < frames.length; i++) {
+        try {
+          const f = frames[i];
+          if (f !== window && f.__uefConnection) return f;
+        } catch {}
+      }
+    } catch {}
+    return null;
+  }
+
+  function bridgeError(code, message) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+  }
+
+  function request(type, payload, { timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    const host = findHost();
+    if (!host) {
+      return Promise.reject(bridgeError("no_host", "UEF host frame not found"));
+    }
+
+    const id = `req-${Date.now()}-${++seq}`;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        pending.delete(id);
+        reject(bridgeError("timeout", `No response to ${type}`));
+      }, timeoutMs);
+
+      pending.set(id, { host, resolve, reject, timer });
+      host.postMessage(
+        {
+          protocol: PROTOCOL,
+          version: VERSION,
+          kind: "request",
+          id,
+          type,
+          payload,
+        },
+        origin
+      );
+    });
+  }
+
+  function on(type, fn) {
+    if (!listeners.has(type)) listeners.set(type, new Set());
+    listeners.get(type).add(fn);
+    return () => listeners.get(type).delete(fn);
+  }
+
+  window.addEventListener("message", (event) => {
+    if (event.origin !== origin) return;
+    const data = event.data || {};
+    if (data.protocol !== PROTOCOL || data.version !== VERSION) return;
+
+    if (data.kind === "response") {
+      const p = pending.get(data.id);
+      // Responses must come from the frame we asked
+      if (!p || event.source !== p.host) return;
+      pending.delete(data.id);
+      clearTimeout(p.timer);
+      if (data.ok) p.resolve(data.result);
+      else
+        p.reject(
+          bridgeError(
+            (data.error && data.error.code) || "internal",
+            (data.error && data.error.message) || "Request failed"
+          )
+        );
+      return;
+    }
+
+    if (data.kind === "event") {
+      if (event.source !== findHost()) return;
+      for (const fn of listeners.get(data.type) || []) {
+        try {
+          fn(data.payload || {});
+        } catch (err) {
+          console.error("[MappyBridge] listener failed:", err);
+        }
+      }
+    }
+  });
+
+  window.MappyBridge = { request, on, findHost, PROTOCOL, VERSION };
+})();
@@ -4,33 +4,81 @@
  * Behavior:
  * - Help menu (question mark): registers "Ask Mappy" as an auxiliary help provider.
  * - Left Base Nav: shows "Ask Mappy" like other nav items and opens the same right-side panel.
+ * - Course portals: in the slots listed in CFG.coursePortalSelectors (course
+ *   outline, banner, ...) renders a compact "Ask Mappy about this course"
+ *   entry that opens the panel scoped to that course (?courseId= on the widget),
+ *   for courses where the server's coursePortal feature gate allows it.
  *
  * Key fixes:
  * - Force visible label color (white-ish)
  * - Prevent Firefox "too much recursion" focus trap loop by:
  *   (1) debouncing panel open requests
  *   (2) opening the panel async on base-nav click (setTimeout 0)
+ *
+ * Page context (route name, course id, content id) is tracked from UEF
+ * "route" and "course" events and pushed into the panel iframe over the widget bridge
+ * (schema documented in public/mappy-bridge.js). The widget can ask the
+ * host to close/resize the panel, navigate Ultra, or read the context.
+ *
+ * Connection state machine (observe via window.__uefConnection.subscribe):
+ *   idle -> handshaking -> authorizing -> ready
+ *   ready -> unauthorized -> authorizing -> ready (token renewed via /uef/token)
+ *   any retrying state -> failed (after CFG.retryMaxAttempts with backoff)
+ *
+ * Logging: leveled (debug < info < warn < error < silent), "warn" unless
+ * CFG.clientLogLevel (server CLIENT_LOG_LEVEL) or localStorage
+ * "mappy.uefLog" says otherwise. Tokens are masked in anything logged,
+ * and errors are also reported to CFG.clientLogPath.
+ *
+ * Usage analytics (when CFG.analytics): each panel open (with its entry
+ * point, e.g. "help-menu", "base-nav-click", "course-portal") and close
+ * (with how long it was open) is posted to CFG.analyticsPath. The server
+ * pseudonymizes the user from the session; no user data is sent from here.
  */
 
+// Display settings (displayName, panelType, panelTitle, iconPath,
+// baseNavRouteName, helpProviderId, providerType, widgetKey,
+// coursePortalSelectors, coursePortalLabel) are loaded
+// from /api/uef-config at boot and merged in here, along with
+// `features` = { helpProvider, baseNav } from the server's feature gates.
+// The coursePortal gate is per course: asked at courseFeaturesPath.
 const CFG = {
-  helpProviderId: "noodlefactory-help",
-  displayName: "Ask Mappy",
-  providerType: "auxiliary",
-
-  // Required by basenav registration
-  baseNavRouteName: "ask-mappy",
-
-  iconPath: "/nf-help-icon.png",
   widgetPath: "/widget.html",
+  tokenPath: "/uef/token",
+  configPath: "/api/uef-config",
+  courseFeaturesPath: "/api/course/features",
+  clientLogPath: "/api/client-log",
+  clientLogLevel: "warn",
+  analyticsPath: "/api/analytics/events",
+  analytics: false,
+
+  // UEF events that carry the current Ultra route / course
+  contextEvents: ["route", "course"],
+
+  // Handshake / authorization retry (exponential backoff)
+  retryBaseMs: 1000,
+  retryMaxMs: 30000,
+  retryMaxAttempts: 6,
+};
 
-  tokenStorageKey: "uef_user_token",
-
-  panelType: "small",
-  panelTitle: "Ask Mappy",
+const CONN = {
+  IDLE: "idle",
+  HANDSHAKING: "handshaking",
+  AUTHORIZING: "authorizing",
+  READY: "ready",
+  UNAUTHORIZED: "unauthorized",
+  FAILED: "failed",
 };
 
 let port = null;
 let authorized = false;
+let tokenRefreshing = null;
+
+// Connection state + retry
+let connState = CONN.IDLE;
+const connListeners = new Set();
+let retryAttempt = 0;
+let retryTimer = null;
 
 let helpRegistered = false;
 let baseNavRegistered = false;
@@ -42,11 +90,41 @@ let closeCallbackId = null;
 let panelOpening = false;
 let lastPanelOpenAt = 0;
 
+// Usage analytics: entry point of the pending open, then the open
+// panel's session { reason, courseId, panelId, openedAt } (closes are
+// counted against the course the panel opened in)
+let panelOpenReason = "";
+let panelUsage = null;
+// Session of a panel being reopened at another size: it carries over
+let resumedUsage = null;
+
 // Base nav portal (where we render the left nav entry UI)
 let baseNavPortalId = null;
 
+// Course portals: portalId -> course id the entry is about
+const coursePortals = new Map();
+// Portals waiting on their course's feature gate (dropped on portal:remove)
+const pendingCoursePortals = new Set();
+// course id -> Promise<boolean> coursePortal gate (failures are not kept)
+const coursePortalGates = new Map();
+
+// Course the open panel is scoped to ("" = launch course)
+let panelCourseId = "";
+
+// Page context (what the user is looking at in Ultra)
+let pageContext = { routeName: "", courseId: "", contentId: "" };
+
+// Panel type can be changed by the widget (panel:resize); set from config
+let panelType = null;
+const PANEL_TYPES = ["small", "medium", "large", "full"];
+
+// postMessage protocol between uef.js and widget.html (see mappy-bridge.js)
+const WIDGET_PROTOCOL = "ask-mappy";
+const WIDGET_PROTOCOL_VERSION = 1;
+
 // Callback ids
 const BASE_NAV_OPEN_CALLBACK_ID = "ask-mappy-open";
+const COURSE_PORTAL_CALLBACK_PREFIX = "ask-mappy-course:";
 
 /* ------------------------- helpers ------------------------- */
 
@@ -61,7 +139,10 @@ function getIconUrl() {
 }
 
 function getWidgetUrl() {
-  return `${getIntegrationOrigin()}${CFG.widgetPath}`;
+  const url = `${getIntegrationOrigin()}${CFG.widgetPath}`;
+  return panelCourseId
+    ? `${url}?courseId=${encodeURIComponent(panelCourseId)}`
+    : url;
 }
 
 function getLmsHost() {
@@ -76,36 +157,256 @@ function getLmsHost() {
 }
 
 function getToken() {
+  // Set by uef-boot.html after redeeming the session; never persisted
   if (typeof window.__token === "string" && window.__token.trim()) {
     return window.__token.trim();
   }
-  return (localStorage.getItem(CFG.tokenStorageKey) || "").trim();
+  return "";
+}
+
+// Ask the server for a current Learn token (it renews with the refresh token)
+function refreshToken() {
+  if (tokenRefreshing) return tokenRefreshing;
+
+  tokenRefreshing = fetch(`${getIntegrationOrigin()}${CFG.tokenPath}`, {
+    method: "POST",
+    credentials: "same-origin",
+    headers: sessionHeaders(),
+    body: "{}",
+  })
+    .then((r) => (r.ok ? r.json() : null))
+    .then((data) => {
+      const token = (data && data.token) || "";
+      if (token) window.__token = token;
+      return token;
+    })
+    .catch(() => "")
+    .finally(() => {
+      tokenRefreshing = null;
+    });
+
+  return tokenRefreshing;
+}
+
+function sessionHeaders() {
+  const headers = { "Content-Type": "application/json" };
+  if (typeof window.__session === "string" && window.__session) {
+    headers["X-Session"] = window.__session;
+  }
+  return headers;
+}
+
+// Runtime settings from the server (per platform / course overrides)
+function loadConfig() {
+  return fetch(`${getIntegrationOrigin()}${CFG.configPath}`, {
+    credentials: "same-origin",
+    headers: sessionHeaders(),
+  })
+    .then((r) => {
+      if (!r.ok) throw new Error(`UEF config request failed (${r.status})`);
+      return r.json();
+    })
+    .then((remote) => {
+      Object.assign(CFG, remote);
+      panelType = CFG.panelType;
+    });
 }
 
 function rid(prefix) {
   return `${prefix}-${Date.now()}-${Math.random().toString(16).slice(2)}`;
 }
 
-function logOut(msg, obj) {
-  if (obj !== undefined) console.log(`[UEF] ${msg}`, obj);
-  else console.log(`[UEF] ${msg}`);
+/* ------------------------- logging ------------------------- */
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 99 };
+const SECRET_KEYS = ["token", "session", "accessToken", "refreshToken"];
+const MAX_CLIENT_REPORTS = 20;
+let clientReports = 0;
+
+// localStorage "mappy.uefLog" (e.g. "debug") wins over the server setting
+function logLevel() {
+  let level = CFG.clientLogLevel;
+  try {
+    level = window.localStorage.getItem("mappy.uefLog") || level;
+  } catch {}
+  return LOG_LEVELS[level] ?? LOG_LEVELS.warn;
+}
+
+function maskToken(value) {
+  const s = String(value);
+  return s.length > 8 ? `•••${s.slice(-4)}` : "•••";
+}
+
+// Copy of `value` safe to print: secret keys masked, errors flattened
+function maskSecrets(value, depth = 0) {
+  if (value instanceof Error)
+    return { name: value.name, message: value.message };
+  if (!value || typeof value !== "object" || depth > 4) return value;
+  if (Array.isArray(value)) return value.map((v) => maskSecrets(v, depth + 1));
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    out[k] =
+      SECRET_KEYS.includes(k) && v ? maskToken(v) : maskSecrets(v, depth + 1);
+  }
+  return out;
+}
+
+// Errors go to the server too (capped per page load; never throws)
+function reportClientLog(level, msg, detail) {
+  if (clientReports >= MAX_CLIENT_REPORTS) return;
+  clientReports++;
+  try {
+    fetch(`${getIntegrationOrigin()}${CFG.clientLogPath}`, {
+      method: "POST",
+      credentials: "same-origin",
+      keepalive: true,
+      headers: sessionHeaders(),
+      body: JSON.stringify({ level, msg, detail, connState }),
+    }).catch(() => {});
+  } catch {}
+}
+
+function logAt(level, msg, detail) {
+  if (LOG_LEVELS[level] < logLevel()) return;
+  const safe = detail === undefined ? undefined : maskSecrets(detail);
+  const out = console[level] || console.log;
+  if (safe !== undefined) out(`[UEF] ${msg}`, safe);
+  else out(`[UEF] ${msg}`);
+  if (level === "error") reportClientLog(level, msg, safe);
+}
+
+const log = {
+  debug: (msg, detail) => logAt("debug", msg, detail),
+  info: (msg, detail) => logAt("info", msg, detail),
+  warn: (msg, detail) => logAt("warn", msg, detail),
+  error: (msg, detail) => logAt("error", msg, detail),
+};
+
+/* ------------------------- usage analytics ------------------------- */
+
+// Fire-and-forget; keepalive so a close on page unload still arrives
+function trackUsage(event) {
+  if (!CFG.analytics) return;
+  log.debug("usage", event);
+  try {
+    fetch(`${getIntegrationOrigin()}${CFG.analyticsPath}`, {
+      method: "POST",
+      credentials: "same-origin",
+      keepalive: true,
+      headers: sessionHeaders(),
+      body: JSON.stringify({ events: [event] }),
+    }).catch(() => {});
+  } catch {}
+}
+
+function trackPanelOpened() {
+  if (resumedUsage) {
+    panelUsage = resumedUsage;
+    resumedUsage = null;
+    return;
+  }
+  panelUsage = {
+    reason: panelOpenReason,
+    courseId: panelCourseId || pageContext.courseId || undefined,
+    panelId: panelCorrelationId || undefined,
+    openedAt: Date.now(),
+  };
+  const { openedAt, ...session } = panelUsage;
+  trackUsage({ type: "open", ...session });
+}
+
+function trackPanelClosed() {
+  if (!panelUsage) return;
+  const { openedAt, ...session } = panelUsage;
+  panelUsage = null;
+  trackUsage({ type: "close", ...session, durationMs: Date.now() - openedAt });
 }
 
 function send(message) {
   if (!port) return;
-  logOut("→", message);
+  log.debug("→", message);
   port.postMessage(message);
 }
 
+/* ------------------------- connection state ------------------------- */
+
+function setConnState(next, detail) {
+  if (connState === next) return;
+  const prev = connState;
+  connState = next;
+  log.info(`Connection: ${prev} -> ${next}`, detail);
+  for (const fn of connListeners) {
+    try {
+      fn(next, prev, detail);
+    } catch (err) {
+      log.error("Connection listener failed", err);
+    }
+  }
+}
+
+function onConnectionState(fn) {
+  connListeners.add(fn);
+  fn(connState, null);
+  return () => connListeners.delete(fn);
+}
+
+function clearRetry() {
+  if (retryTimer) clearTimeout(retryTimer);
+  retryTimer = null;
+}
+
+function resetRetry() {
+  clearRetry();
+  retryAttempt = 0;
+}
+
+// Run `fn` after the next backoff delay, or give up once attempts run out
+function scheduleRetry(fn, reason) {
+  clearRetry();
+  if (retryAttempt >= CFG.retryMaxAttempts) {
+    setConnState(CONN.FAILED, { reason });
+    return;
+  }
+  const delay = Math.min(CFG.retryMaxMs, CFG.retryBaseMs * 2 ** retryAttempt);
+  retryAttempt++;
+  log.info(
+    `Retry ${retryAttempt}/${CFG.retryMaxAttempts} in ${delay}ms`,
+    reason
+  );
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    fn();
+  }, delay);
+}
+
+window.__uefConnection = {
+  getState: () => connState,
+  subscribe: onConnectionState,
+  // Manual kick after "failed" (e.g. from a retry button)
+  retry() {
+    resetRetry();
+    if (!panelType) boot();
+    else if (port) reauthorize();
+    else startHandshake();
+  },
+};
+
 /* ------------------------- handshake ------------------------- */
 
 function startHandshake() {
   const lmsHost = getLmsHost();
   if (!lmsHost) {
-    console.warn("[UEF] Missing LMS host (window.__lmsHost not set).");
+    log.error("Missing LMS host (window.__lmsHost not set)");
+    setConnState(CONN.FAILED, { reason: "missing-lms-host" });
     return;
   }
+  setConnState(CONN.HANDSHAKING);
   window.parent.postMessage({ type: "integration:hello" }, `${lmsHost}/*`);
+
+  // No MessagePort yet by the next backoff tick: say hello again
+  scheduleRetry(() => {
+    if (!port) startHandshake();
+  }, "handshake-timeout");
 }
 
 window.addEventListener("message", (event) => {
@@ -121,7 +422,7 @@ window.addEventListener("message", (event) => {
 
   const p = event.ports && event.ports[0];
   if (!p) {
-    console.warn("[UEF] Handshake message received but no MessagePort.");
+    log.warn("Handshake message received but no MessagePort");
     return;
   }
 
@@ -129,33 +430,81 @@ window.addEventListener("message", (event) => {
 
   port = p;
   port.onmessage = onPortMessage;
-  logOut("Handshake complete; MessagePort acquired.");
+  log.debug("Handshake complete; MessagePort acquired");
 
+  resetRetry();
   authorize();
 });
 
 /* ------------------------- auth + subscribe ------------------------- */
 
 function authorize() {
+  setConnState(CONN.AUTHORIZING);
+
   const token = getToken();
   if (!token) {
-    console.warn("[UEF] No UEF token found.");
+    log.warn("No UEF token found");
+    scheduleRetry(reauthorize, "missing-token");
     return;
   }
   send({ type: "authorization:authorize", token });
+
+  // No authorization answer by the next backoff tick: renew and try again
+  scheduleRetry(() => {
+    if (!authorized) reauthorize();
+  }, "authorize-timeout");
+}
+
+// Renew the token from the server, then authorize with it
+function reauthorize() {
+  refreshToken().then(() => authorize());
 }
 
 function subscribeEvents() {
   send({
     type: "event:subscribe",
-    subscriptions: ["portal:new", "portal:remove", "help:request"],
+    subscriptions: [
+      "portal:new",
+      "portal:remove",
+      "help:request",
+      ...CFG.contextEvents,
+    ],
   });
 }
 
 /* ------------------------- registrations ------------------------- */
 
+function featureEnabled(name) {
+  return !CFG.features || CFG.features[name] !== false;
+}
+
+// Server's coursePortal decision for `courseId`; closed when unknown
+function coursePortalEnabled(courseId) {
+  if (!coursePortalGates.has(courseId)) {
+    const url = `${getIntegrationOrigin()}${CFG.courseFeaturesPath}`;
+    const gate = fetch(`${url}?courseId=${encodeURIComponent(courseId)}`, {
+      credentials: "same-origin",
+      headers: sessionHeaders(),
+    })
+      .then((r) => {
+        if (!r.ok)
+          throw new Error(`Course features request failed (${r.status})`);
+        return r.json();
+      })
+      .then((body) => body.features?.coursePortal === true)
+      .catch((err) => {
+        log.warn("Course portal gate unavailable", { courseId, err });
+        coursePortalGates.delete(courseId);
+        return false;
+      });
+    coursePortalGates.set(courseId, gate);
+  }
+  return coursePortalGates.get(courseId);
+}
+
 function registerHelpProvider() {
   if (helpRegistered) return;
+  if (!featureEnabled("helpProvider")) return;
   send({
     type: "help:register",
     id: CFG.helpProviderId,
@@ -167,6 +516,7 @@ function registerHelpProvider() {
 
 function registerBaseNav() {
   if (baseNavRegistered) return;
+  if (!featureEnabled("baseNav")) return;
 
   // Keep registration minimal; we render into the base nav portal for click behavior & styling
   send({
@@ -240,6 +590,59 @@ function renderBaseNav() {
   });
 }
 
+/* ------------------------- Course portal rendering ------------------------- */
+
+function buildCoursePortalContents(portalId) {
+  return {
+    tag: "button",
+    props: {
+      type: "button",
+      "aria-label": CFG.coursePortalLabel,
+      onClick: {
+        callbackId: `${COURSE_PORTAL_CALLBACK_PREFIX}${portalId}`,
+        mode: "sync",
+      },
+      style: {
+        display: "inline-flex",
+        alignItems: "center",
+        gap: "8px",
+        padding: "4px 10px",
+        background: "transparent",
+        border: "1px solid rgba(0,0,0,0.2)",
+        borderRadius: "16px",
+        cursor: "pointer",
+        font: "inherit",
+        fontSize: "13px",
+      },
+    },
+    children: [
+      {
+        tag: "img",
+        props: {
+          src: getIconUrl(),
+          alt: "",
+          style: { width: "18px", height: "18px", objectFit: "contain" },
+        },
+      },
+      { tag: "span", children: CFG.coursePortalLabel },
+    ],
+  };
+}
+
+function renderCoursePortal(portalId) {
+  send({
+    type: "portal:render",
+    portalId,
+    contents: buildCoursePortalContents(portalId),
+  });
+}
+
+// Course the portal belongs to: from the portal data, else the current route
+function courseIdForPortal(msg) {
+  const data = msg.selectorData || msg.portalData || {};
+  return String(data.courseId || msg.courseId || pageContext.courseId || "");
+}
+
 /* ------------------------- panel open + render ------------------------- */
 
 function renderWidget(targetPortalId) {
@@ -270,9 +673,15 @@ function renderWidget(targetPortalId) {
   });
 }
 
-function openPanel(reason) {
+function openPanel(reason, courseId = "") {
   if (!authorized) return;
 
+  panelCourseId = courseId;
+  if (courseId && courseId !== pageContext.courseId) {
+    pageContext = { ...pageContext, courseId };
+    emitToWidget("context:update", { context: pageContext });
+  }
+
   // ✅ If panel already open, just re-render
   if (panelPortalId) {
     renderWidget(panelPortalId);
@@ -286,6 +695,7 @@ function openPanel(reason) {
 
   panelOpening = true;
   lastPanelOpenAt = now;
+  panelOpenReason = reason;
 
   panelCorrelationId = rid("ask-mappy-panel");
   closeCallbackId = `${panelCorrelationId}-close`;
@@ -293,12 +703,213 @@ function openPanel(reason) {
   send({
     type: "portal:panel",
     correlationId: panelCorrelationId,
-    panelType: CFG.panelType,
+    panelType,
     panelTitle: CFG.panelTitle,
     attributes: { onClose: { callbackId: closeCallbackId } },
   });
 }
 
+function resetPanelState() {
+  trackPanelClosed();
+  panelPortalId = null;
+  panelCourseId = "";
+  panelCorrelationId = null;
+  closeCallbackId = null;
+  panelOpening = false;
+}
+
+function closePanel() {
+  if (!panelPortalId) return false;
+  send({ type: "portal:remove", portalId: panelPortalId });
+  resetPanelState();
+  return true;
+}
+
+// UEF cannot resize an open panel: it is reopened with the current
+// panelType, for the same course. Its close callback id is replaced, so
+// Ultra closing the old one is not taken for the user closing the new one.
+function reopenPanel() {
+  const courseId = panelCourseId;
+  resumedUsage = panelUsage;
+  panelUsage = null; // one panel to the user: no close/open in the usage
+  closePanel();
+  lastPanelOpenAt = 0; // not a double click
+  openPanel(resumedUsage?.reason || "", courseId);
+}
+
+/* ------------------------- page context ------------------------- */
+
+// The panel iframe is a same-origin sibling frame inside Ultra
+function findWidgetWindow() {
+  try {
+    const frames = window.parent.frames;
+    for (let i = 0; i < frames.length; i++) {
+      try {
+        const f = frames[i];
+        if (f !== window && f.location.pathname === CFG.widgetPath) return f;
+      } catch {}
+    }
+  } catch {}
+  return null;
+}
+
+function postToWidget(message, target = findWidgetWindow()) {
+  if (!target) return;
+  target.postMessage(
+    {
+      protocol: WIDGET_PROTOCOL,
+      version: WIDGET_PROTOCOL_VERSION,
+      ...message,
+    },
+    getIntegrationOrigin()
+  );
+}
+
+function emitToWidget(type, payload) {
+  postToWidget({ kind: "event", type, payload });
+}
+
+function handleRouteEvent(msg) {
+  const data = msg.routeData || {};
+  const next = {
+    routeName: String(msg.routeName || ""),
+    courseId: String(data.courseId || data.id || ""),
+    contentId: String(data.contentId || ""),
+  };
+  if (
+    next.routeName === pageContext.routeName &&
+    next.courseId === pageContext.courseId &&
+    next.contentId === pageContext.contentId
+  ) {
+    return;
+  }
+  pageContext = next;
+  emitToWidget("context:update", { context: pageContext });
+}
+
+// The course the user entered; the route and content stay as they are
+function handleCourseEvent(msg) {
+  const data = msg.courseData || {};
+  const courseId = String(data.courseId || data.id || msg.courseId || "");
+  if (courseId === pageContext.courseId) return;
+  pageContext = { ...pageContext, courseId };
+  emitToWidget("context:update", { context: pageContext });
+}
+
+/* ------------------------- widget bridge (host side) ------------------------- */
+
+class BridgeError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+// Ultra course ids (e.g. _123_1)
+const ULTRA_COURSE_ID = /^[A-Za-z0-9_]{1,64}$/;
+
+// The only Ultra pages a navigate { path } may open; the widget is
+// content we embed, so it does not get to send the top window anywhere
+const NAVIGATE_PATHS = [
+  /^\/ultra\/(stream|calendar|grades|courses)$/,
+  /^\/ultra\/courses\/[A-Za-z0-9_]{1,64}\/(outline|grades|announcements|discussions)$/,
+];
+
+// Ultra URL for a navigate request: a known route or an allow-listed path
+function ultraUrlFor({ route, courseId, path }) {
+  const lmsHost = getLmsHost();
+  if (!lmsHost) throw new BridgeError("no_lms_host", "LMS host unknown");
+
+  if (route === "course-outline" || route === "course-grades") {
+    if (!ULTRA_COURSE_ID.test(String(courseId || ""))) {
+      throw new BridgeError("bad_request", "Invalid courseId");
+    }
+    path = `/ultra/courses/${courseId}/${route.slice("course-".length)}`;
+  } else if (route === "calendar" || route === "grades") {
+    path = `/ultra/${route}`;
+  } else if (route !== undefined) {
+    throw new BridgeError("bad_request", "Unknown route");
+  }
+
+  if (typeof path !== "string" || !NAVIGATE_PATHS.some((re) => re.test(path))) {
+    throw new BridgeError("bad_request", "Path is not allowed");
+  }
+  return `${lmsHost}${path}`;
+}
+
+const bridgeHandlers = {
+  hello: () => ({ context: pageContext, panelType }),
+
+  "context:get": () => ({ context: pageContext }),
+
+  "panel:close": () => ({ closed: closePanel() }),
+
+  "panel:resize": ({ panelType: next }) => {
+    if (!PANEL_TYPES.includes(next)) {
+      throw new BridgeError(
+        "bad_request",
+        `panelType must be one of ${PANEL_TYPES.join(", ")}`
+      );
+    }
+    // An open panel is reopened at the new size, which reloads the widget
+    // in it; otherwise the type applies to the next open
+    const reopened = Boolean(panelPortalId) && next !== panelType;
+    panelType = next;
+    if (reopened) reopenPanel();
+    return { panelType, reopened };
+  },
+
+  navigate: (payload) => {
+    const url = ultraUrlFor(payload);
+    try {
+      window.top.location.assign(url);
+    } catch {
+      throw new BridgeError("navigation_blocked", "Browser blocked navigation");
+    }
+    return { url };
+  },
+};
+
+window.addEventListener("message", (event) => {
+  // Only the same-origin widget frame may talk to the host
+  if (event.origin !== getIntegrationOrigin()) return;
+  if (!event.source || event.source === window) return;
+
+  const data = event.data || {};
+  if (data.protocol !== WIDGET_PROTOCOL) return;
+  if (data.kind !== "request" || !data.id) return;
+
+  const reply = (body) =>
+    postToWidget({ kind: "response", id: data.id, ...body }, event.source);
+
+  if (data.version !== WIDGET_PROTOCOL_VERSION) {
+    return reply({
+      ok: false,
+      error: {
+        code: "unsupported_version",
+        message: `Expected v${WIDGET_PROTOCOL_VERSION}`,
+      },
+    });
+  }
+
+  const handler = bridgeHandlers[data.type];
+  if (!handler) {
+    return reply({
+      ok: false,
+      error: { code: "unknown_type", message: `Unknown request ${data.type}` },
+    });
+  }
+
+  try {
+    reply({ ok: true, result: handler(data.payload || {}) });
+  } catch (err) {
+    reply({
+      ok: false,
+      error: { code: err.code || "internal", message: err.message },
+    });
+  }
+});
+
 /* ------------------------- handlers ------------------------- */
 
 function handleHelpRequest(msg) {
@@ -308,14 +919,35 @@ function handleHelpRequest(msg) {
 
 function handlePortalNew(msg) {
   // This is the base nav integration slot portal
-  if (msg.selector === "base.navigation.button") {
+  if (msg.selector === "base.navigation.button" && featureEnabled("baseNav")) {
     baseNavPortalId = msg.portalId;
     renderBaseNav();
+    return;
+  }
+
+  // Course-scoped slots (outline, banner, ...) from config, where the
+  // course's feature gate allows an entry
+  if ((CFG.coursePortalSelectors || []).includes(msg.selector)) {
+    const courseId = courseIdForPortal(msg);
+    if (!courseId) return;
+    pendingCoursePortals.add(msg.portalId);
+    coursePortalEnabled(courseId).then((enabled) => {
+      // Removed while the gate was being asked
+      if (!pendingCoursePortals.delete(msg.portalId)) return;
+      if (!enabled) {
+        log.debug("Course portal gated off", { courseId });
+        return;
+      }
+      coursePortals.set(msg.portalId, courseId);
+      renderCoursePortal(msg.portalId);
+    });
   }
 }
 
 function handlePortalRemove(msg) {
   if (msg.portalId === baseNavPortalId) baseNavPortalId = null;
+  coursePortals.delete(msg.portalId);
+  pendingCoursePortals.delete(msg.portalId);
 }
 
 /* ------------------------- port message router ------------------------- */
@@ -324,10 +956,13 @@ function onPortMessage(event) {
   const msg = event.data || {};
   if (!msg.type) return;
 
-  logOut("←", msg);
+  log.debug("←", msg);
 
   if (msg.type === "authorization:authorize") {
     authorized = true;
+    resetRetry();
+    setConnState(CONN.READY);
+    // Flags were reset on unauthorize, so this re-registers after renewal
     subscribeEvents();
     registerHelpProvider();
     registerBaseNav();
@@ -338,6 +973,10 @@ function onPortMessage(event) {
     authorized = false;
     helpRegistered = false;
     baseNavRegistered = false;
+
+    // Token expired: renew it and authorize again (with backoff)
+    setConnState(CONN.UNAUTHORIZED);
+    scheduleRetry(reauthorize, "unauthorized");
     return;
   }
 
@@ -355,6 +994,8 @@ function onPortMessage(event) {
     if (msg.eventType === "help:request") return handleHelpRequest(msg);
     if (msg.eventType === "portal:new") return handlePortalNew(msg);
     if (msg.eventType === "portal:remove") return handlePortalRemove(msg);
+    if (msg.eventType === "course") return handleCourseEvent(msg);
+    if (CFG.contextEvents.includes(msg.eventType)) return handleRouteEvent(msg);
     return;
   }
 
@@ -367,10 +1008,15 @@ function onPortMessage(event) {
       panelPortalId = null;
       panelCorrelationId = null;
       closeCallbackId = null;
+      // A panel that could not be reopened at its new size has closed
+      panelUsage = resumedUsage;
+      resumedUsage = null;
+      trackPanelClosed();
       return;
     }
 
     panelPortalId = msg.portalId;
+    trackPanelOpened();
     renderWidget(panelPortalId);
     return;
   }
@@ -389,12 +1035,23 @@ function onPortMessage(event) {
       return;
     }
 
+    // Course portal click: same async open, scoped to that course
+    if (
+      typeof msg.callbackId === "string" &&
+      msg.callbackId.startsWith(COURSE_PORTAL_CALLBACK_PREFIX)
+    ) {
+      const portalId = msg.callbackId.slice(
+        COURSE_PORTAL_CALLBACK_PREFIX.length
+      );
+      const courseId = coursePortals.get(portalId);
+      if (!courseId) return;
+      setTimeout(() => openPanel("course-portal", courseId), 0);
+      return;
+    }
+
     // ✅ Panel close callback
     if (msg.callbackId === closeCallbackId) {
-      panelPortalId = null;
-      panelCorrelationId = null;
-      closeCallbackId = null;
-      panelOpening = false;
+      resetPanelState();
       return;
     }
   }
@@ -402,4 +1059,16 @@ function onPortMessage(event) {
 
 /* ------------------------- boot ------------------------- */
 
-startHandshake();
+// Leaving Ultra with the panel open still ends its usage session
+window.addEventListener("pagehide", trackPanelClosed);
+
+function boot() {
+  loadConfig()
+    .then(startHandshake)
+    .catch((err) => {
+      log.error("Could not load UEF config", err);
+      setConnState(CONN.FAILED, { reason: "config" });
+    });
+}
+
+boot();
@@ -0,0 +1,1182 @@
+/**
+ * scripts/e2e.js
+ *
+ * Headless end-to-end run (npm test): starts mock/platform.js and server.js
+ * on free local ports, then walks the real flow
+ *
+ *   LTI launch -> OIDC form_post -> 3LO code -> /oauth/callback -> /uef/session
+ *   -> client error report (/api/client-log) in the server's JSON log
+ *   -> Learn REST proxy (/api/me/*, /api/courses/:id/*) against the mock Learn
+ *   -> uef.js (in a vm, parent = mock Ultra host) -> handshake/authorize
+ *   -> base nav + course portal + help menu panels -> usage report (/admin)
+ *   -> token expiry + renewal
+ *   -> Deep Linking: instructor picker -> signed LtiDeepLinkingResponse
+ *      -> launching the placed link -> NRPS roster + usage for instructors
+ *   -> practice completion -> AGS line item + score on the mock
+ *   -> admin diagnostics (config checks, endpoint probes, attempt trail)
+ *   -> launch error pages (locale, support reference, Try again)
+ *   -> Dynamic Registration (admin link -> mock registration endpoint)
+ *
+ * Exits non-zero on the first failed step. E2E_VERBOSE=1 prints the
+ * server and uef.js logs as they happen (they are always printed on failure).
+ */
+import { spawn } from "child_process";
+import assert from "assert/strict";
+import fs from "fs/promises";
+import net from "net";
+import os from "os";
+import path from "path";
+import vm from "vm";
+import { fileURLToPath } from "url";
+import { createMockPlatform } from "../mock/platform.js";
+import { createUltraHost } from "../mock/ultra-host.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const VERBOSE = process.env.E2E_VERBOSE === "1";
+const logs = [];
+
+function log(line) {
+  logs.push(line);
+  if (VERBOSE) console.log(line);
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const s = net.createServer().listen(0, "127.0.0.1", () => {
+      const { port } = s.address();
+      s.close(() => resolve(port));
+    });
+    s.on("error", reject);
+  });
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+async function waitFor(what, check, timeoutMs = 5000) {
+  const end = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > end) throw new Error(`Timed out waiting for ${what}`);
+    await sleep(25);
+  }
+}
+
+/* ===== HTTP helpers (manual redirects + a cookie jar for the tool) ===== */
+const cookies = new Map(); // name -> value (Path is not tracked)
+
+async function request(url, options = {}) {
+  const tool = url.startsWith(toolBaseUrl);
+  const headers = { ...(options.headers || {}) };
+  if (tool && cookies.size) {
+    headers.Cookie = [...cookies].map(([k, v]) => `${k}=${v}`).join("; ");
+  }
+  const r = await fetch(url, { ...options, headers, redirect: "manual" });
+  for (const setCookie of tool ? r.headers.getSetCookie() : []) {
+    const [pair, ...attributes] = setCookie.split(";").map((s) => s.trim());
+    const [name, value] = pair.split(/=(.*)/);
+    if (attributes.includes("Max-Age=0")) cookies.delete(name);
+    else cookies.set(name, value);
+  }
+  return r;
+}
+
+// Follow redirects across the mock and the tool until a non-3xx answer
+async function follow(url, options = {}) {
+  let r = await request(url, options);
+  for (let hops = 0; r.status >= 300 && r.status < 400; hops++) {
+    if (hops > 10) throw new Error("Too many redirects");
+    url = new URL(r.headers.get("location"), url).toString();
+    r = await request(url);
+  }
+  return { r, url };
+}
+
+// The mock OIDC endpoint answers with an auto-submitting form
+function parseForm(html) {
+  const action = /<form[^>]*action="([^"]+)"/.exec(html)?.[1];
+  const fields = {};
+  for (const m of html.matchAll(/name="([^"]+)" value="([^"]*)"/g)) {
+    fields[m[1]] = m[2].replace(/&amp;/g, "&");
+  }
+  return { action: action?.replace(/&amp;/g, "&"), fields };
+}
+
+/* ===== uef.js in a vm with a fake integration window ===== */
+const format = (args) =>
+  args.map((a) => (typeof a === "string" ? a : JSON.stringify(a))).join(" ");
+
+function runUef(source, { session, host }) {
+  const tool = new URL(toolBaseUrl);
+  const listeners = [];
+  const win = {
+    location: {
+      protocol: tool.protocol,
+      hostname: tool.hostname,
+      port: tool.port,
+      origin: tool.origin,
+      pathname: "/uef-boot.html",
+    },
+    document: { referrer: "", activeElement: null },
+    __lmsHost: session.lmsHost,
+    __token: session.token,
+    __session: session.session,
+    addEventListener(type, fn) {
+      if (type === "message") listeners.push(fn);
+    },
+    // Ultra -> integration frame (the handshake reply carries the port)
+    postMessage(data, targetOrigin, ports = []) {
+      for (const fn of listeners) {
+        fn({ data, origin: session.lmsHost, ports, source: win.parent });
+      }
+    },
+    fetch: (url, options) => fetch(new URL(url, toolBaseUrl), options),
+    URL,
+    setTimeout,
+    clearTimeout,
+    console: {
+      log: (...a) => log(`[uef] ${format(a)}`),
+      warn: (...a) => log(`[uef] WARN ${format(a)}`),
+      error: (...a) => log(`[uef] ERROR ${format(a)}`),
+    },
+  };
+  win.window = win;
+  win.parent = {
+    frames: [],
+    postMessage(data) {
+      host.handleWindowMessage({ data, origin: tool.origin, source: win });
+    },
+  };
+  vm.createContext(win);
+  vm.runInContext(source, win, { filename: "public/uef.js" });
+  return win;
+}
+
+/* ===== Steps ===== */
+let toolBaseUrl = "";
+let step = 0;
+
+async function check(name, fn) {
+  step++;
+  try {
+    await fn();
+    console.log(`ok ${step} - ${name}`);
+  } catch (err) {
+    console.log(`not ok ${step} - ${name}`);
+    console.log(`  ${err.stack || err}`);
+    throw err;
+  }
+}
+
+async function main() {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), "mappy-e2e-"));
+  const toolPort = await freePort();
+  toolBaseUrl = `http://127.0.0.1:${toolPort}`;
+
+  // 300s is inside the tool's 5 min refresh window: every /uef/token renews
+  const mock = createMockPlatform({ toolBaseUrl, tokenTtlSec: 300 });
+  await mock.start();
+  const platformsFile = path.join(tmp, "platforms.json");
+  await fs.writeFile(platformsFile, JSON.stringify([mock.registration()]));
+  // The shipped UEF config plus the practice activities AGS may grade
+  const uefConfigFile = path.join(tmp, "uef-config.json");
+  const uefConfig = JSON.parse(
+    await fs.readFile(path.join(ROOT, "config/uef-config.json"), "utf8")
+  );
+  uefConfig.activities = {
+    "week-1-practice": { label: "Week 1 practice", scoreMaximum: 5 },
+  };
+  await fs.writeFile(uefConfigFile, JSON.stringify(uefConfig));
+  // The shipped feature rules plus one course gated off the course portal
+  const featureRulesFile = path.join(tmp, "feature-rules.json");
+  const featureRules = JSON.parse(
+    await fs.readFile(path.join(ROOT, "config/feature-rules.json"), "utf8")
+  );
+  featureRules.rules.push({
+    name: "no-portal-course",
+    when: { courses: ["_103_1"] },
+    features: { coursePortal: false },
+  });
+  await fs.writeFile(featureRulesFile, JSON.stringify(featureRules));
+
+  const server = spawn(process.execPath, ["server.js"], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      PORT: String(toolPort),
+      TOOL_BASE_URL: toolBaseUrl,
+      LEARN_HOST: mock.baseUrl,
+      PLATFORMS_FILE: platformsFile,
+      UEF_CONFIG_FILE: uefConfigFile,
+      FEATURE_RULES_FILE: featureRulesFile,
+      TOOL_KEYS_FILE: path.join(tmp, "tool-keys.json"),
+      STATE_STORE: "memory",
+      SESSION_SECRET: "e2e-session-secret",
+      LEARN_MAX_RETRIES: "1",
+      LEARN_BREAKER_THRESHOLD: "2",
+      LEARN_BREAKER_COOLDOWN_SEC: "1",
+      CLIENT_LOG_LEVEL: "debug",
+      ANALYTICS_FILE: path.join(tmp, "analytics.jsonl"),
+      ADMIN_TOKEN: "e2e-admin-token",
+      LTI_REGISTRATION_ISSUERS: mock.baseUrl,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  // One log entry per line: the server writes JSON lines
+  const serverLog = (d) => {
+    for (const line of String(d).trimEnd().split("\n")) log(`[server] ${line}`);
+  };
+  server.stdout.on("data", serverLog);
+  server.stderr.on("data", serverLog);
+
+  let host = null;
+  try {
+    await check("server starts", async () => {
+      await waitFor(
+        "/health",
+        () =>
+          fetch(`${toolBaseUrl}/health`)
+            .then((r) => r.ok)
+            .catch(() => false),
+        15000
+      );
+    });
+
+    let bootCode = "";
+    let launchForm = null;
+    await check("LTI launch + 3LO lands on uef-boot with a code", async () => {
+      const { r } = await follow(
+        `${mock.baseUrl}/launch?user=student&course=_101_1`
+      );
+      assert.equal(r.status, 200, "OIDC auth should return the form_post page");
+      launchForm = parseForm(await r.text());
+      assert.equal(launchForm.action, `${toolBaseUrl}/lti/launch`);
+
+      const done = await follow(launchForm.action, {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams(launchForm.fields).toString(),
+      });
+      const landed = new URL(done.url);
+      assert.equal(landed.pathname, "/uef-boot.html");
+      bootCode = landed.searchParams.get("code");
+      assert.ok(bootCode, "boot code in the redirect");
+      // The 3LO state cookie is gone once the callback used it
+      assert.deepEqual([...cookies.keys()], ["mappy_sid"]);
+    });
+
+    await check("replayed launch form is rejected", async () => {
+      const r = await request(launchForm.action, {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams(launchForm.fields).toString(),
+      });
+      assert.equal(r.status, 400);
+    });
+
+    let session = null;
+    await check("POST /uef/session redeems the boot code once", async () => {
+      const post = (body) =>
+        request(`${toolBaseUrl}/uef/session`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(body),
+        });
+      const r = await post({ code: bootCode });
+      assert.equal(r.status, 200);
+      session = await r.json();
+      assert.ok(session.token && session.session);
+      assert.equal(session.lmsHost, mock.baseUrl);
+
+      assert.equal((await post({ code: bootCode })).status, 401);
+      // Reload path: the session cookie alone is enough
+      assert.equal((await post({})).status, 200);
+    });
+
+    await check("client error reports are logged with request id", async () => {
+      const r = await fetch(`${toolBaseUrl}/api/client-log`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Session": session.session,
+          "X-Request-Id": "e2e-client-log",
+        },
+        body: JSON.stringify({
+          level: "error",
+          msg: "boom",
+          detail: { token: session.token, note: `Bearer ${session.token}` },
+        }),
+      });
+      assert.equal(r.status, 204);
+      assert.equal(r.headers.get("x-request-id"), "e2e-client-log");
+
+      const line = await waitFor("client log line", () =>
+        logs.find((l) => l.includes('"reqId":"e2e-client-log"'))
+      );
+      const entry = JSON.parse(line.slice(line.indexOf("{")));
+      assert.equal(entry.msg, "client log");
+      assert.equal(entry.clientMsg, "boom");
+      assert.ok(entry.sub, "session LTI fields on the line");
+      assert.ok(!line.includes(session.token), "token redacted");
+    });
+
+    await check(
+      "GET /api/context returns the launch course and role",
+      async () => {
+        const r = await fetch(`${toolBaseUrl}/api/context`, {
+          headers: { "X-Session": session.session },
+        });
+        assert.equal(r.status, 200);
+        const ctx = await r.json();
+        assert.equal(ctx.course.id, "_101_1");
+        assert.equal(ctx.user.role, "student");
+      }
+    );
+
+    const api = (p) =>
+      fetch(`${toolBaseUrl}${p}`, {
+        headers: { "X-Session": session.session },
+      });
+
+    await check(
+      "Learn proxy: courses, calendar, contents, grades",
+      async () => {
+        const { courses } = await (await api("/api/me/courses")).json();
+        assert.deepEqual(
+          courses.map((c) => c.id),
+          ["_101_1", "_102_1"]
+        );
+        assert.equal(courses[0].courseId, "CS101");
+
+        const cal = await (await api("/api/me/calendar")).json();
+        assert.deepEqual(
+          cal.items.map((i) => i.title),
+          ["Quiz 1 due", "Consultation"]
+        );
+        assert.equal(cal.items[0].courseId, "_101_1");
+
+        // Three top-level items: two pages in the mock
+        const { contents } = await (
+          await api("/api/courses/_101_1/contents")
+        ).json();
+        assert.deepEqual(
+          contents.map((c) => c.title),
+          ["Week 1", "Syllabus", "Quiz 1"]
+        );
+        assert.equal(contents[0].hasChildren, true);
+        const children = await (
+          await api("/api/courses/_101_1/contents?parentId=_1_1")
+        ).json();
+        assert.equal(children.contents[0].title, "Lecture slides");
+
+        const { grades } = await (
+          await api("/api/courses/_101_1/grades")
+        ).json();
+        assert.deepEqual(
+          grades.map((g) => [g.name, g.score, g.possible]),
+          [
+            ["Quiz 1", 8, 10],
+            ["Midterm", null, 100],
+          ]
+        );
+      }
+    );
+
+    await check("Learn proxy maps errors", async () => {
+      assert.equal((await api("/api/courses/_999_1/contents")).status, 404);
+      assert.equal((await api("/api/courses/bad%20id/contents")).status, 400);
+      const since = new Date().toISOString();
+      const until = new Date(Date.now() + 20 * 7 * 86400000).toISOString();
+      const range = new URLSearchParams({ since, until });
+      assert.equal((await api(`/api/me/calendar?${range}`)).status, 400);
+      const anon = await fetch(`${toolBaseUrl}/api/me/courses`);
+      assert.equal(anon.status, 401);
+    });
+
+    const faults = (body) =>
+      fetch(`${mock.baseUrl}/mock/faults`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+    const learnStats = async () =>
+      (await (await fetch(`${toolBaseUrl}/health`)).json()).learn;
+
+    await check("Learn reads are cached per user", async () => {
+      const before = await learnStats();
+      assert.equal((await api("/api/me/courses")).status, 200);
+      const after = await learnStats();
+      assert.ok(
+        after.cacheHits > before.cacheHits,
+        "courses served from cache"
+      );
+      assert.equal(after.cacheMisses, before.cacheMisses);
+    });
+
+    await check("429 with Retry-After is retried", async () => {
+      await faults({ throttle: 1, retryAfter: 1 });
+      const before = await learnStats();
+      const r = await api("/api/courses/_102_1/contents");
+      assert.equal(r.status, 200);
+      const after = await learnStats();
+      assert.equal(after.throttled, before.throttled + 1);
+      assert.equal(after.retries, before.retries + 1);
+    });
+
+    await check("circuit breaker opens on outage and recovers", async () => {
+      await faults({ outage: true });
+      // Distinct ranges so nothing comes from the cache
+      const calendar = (day) => {
+        const since = new Date(Date.UTC(2026, 0, day)).toISOString();
+        return api(`/api/me/calendar?${new URLSearchParams({ since })}`);
+      };
+      assert.equal((await calendar(1)).status, 503);
+      assert.equal((await calendar(2)).status, 503);
+      const stats = await learnStats();
+      assert.equal(stats.circuits[mock.baseUrl], "open");
+      const rejectedBefore = stats.circuitRejected;
+      assert.equal((await calendar(3)).status, 503);
+      assert.equal((await learnStats()).circuitRejected, rejectedBefore + 1);
+
+      await faults({ outage: false });
+      await sleep(1100);
+      assert.equal((await calendar(4)).status, 200);
+      assert.equal((await learnStats()).circuits[mock.baseUrl], "closed");
+    });
+
+    const renders = new Map();
+    host = createUltraHost({
+      toolOrigin: new URL(toolBaseUrl).origin,
+      verifyToken: (token) =>
+        fetch(`${mock.baseUrl}/mock/introspect`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ token }),
+        })
+          .then((r) => r.json())
+          .then((d) => d.active),
+      onRender: (portalId, contents) => renders.set(portalId, contents),
+      onLog: (dir, msg) => log(`[ultra] ${dir} ${JSON.stringify(msg)}`),
+    });
+    const sent = (type, extra = () => true) =>
+      host.received.filter((m) => m.type === type && extra(m));
+
+    let uef = null;
+    await check("uef.js handshakes, authorizes and registers", async () => {
+      const source = await fetch(`${toolBaseUrl}/uef.js`).then((r) => r.text());
+      uef = runUef(source, { session, host });
+
+      await waitFor("authorization", () => host.authorized);
+      assert.equal(sent("authorization:authorize")[0].token, session.token);
+      await waitFor("help:register", () => sent("help:register").length);
+      await waitFor("basenav:register", () => sent("basenav:register").length);
+      await waitFor("event:subscribe", () => sent("event:subscribe").length);
+      assert.equal(uef.__uefConnection.getState(), "ready");
+    });
+
+    let panel = null;
+    await check("base nav click opens the widget panel", async () => {
+      const navId = host.openPortal("base.navigation.button");
+      const nav = await waitFor("base nav render", () => renders.get(navId));
+      assert.equal(nav.props.onClick.callbackId, "ask-mappy-open");
+
+      host.click(nav.props.onClick.callbackId);
+      panel = await waitFor("portal:panel", () => sent("portal:panel")[0]);
+      const contents = await waitFor("panel render", () =>
+        [...renders].find(([id]) => id.startsWith("panel-"))
+      );
+      assert.match(JSON.stringify(contents[1]), /\/widget\.html"/);
+    });
+
+    await check(
+      "course portal opens the panel scoped to its course",
+      async () => {
+        host.navigate("course.outline", { courseId: "_102_1" });
+        const portalId = host.openPortal("course.outline.details", {
+          courseId: "_102_1",
+        });
+        const entry = await waitFor("course portal render", () =>
+          renders.get(portalId)
+        );
+        renders.clear();
+        host.click(entry.props.onClick.callbackId);
+        const contents = await waitFor("scoped panel render", () =>
+          [...renders].find(([id]) => id.startsWith("panel-"))
+        );
+        assert.match(
+          JSON.stringify(contents[1]),
+          /widget\.html\?courseId=_102_1/
+        );
+      }
+    );
+
+    await check("a course gated off gets no course portal entry", async () => {
+      const features = async (courseId) =>
+        (
+          await fetch(
+            `${toolBaseUrl}/api/course/features?courseId=${courseId}`,
+            { headers: { "X-Session": session.session } }
+          )
+        ).json();
+      assert.equal((await features("_103_1")).features.coursePortal, false);
+      assert.equal((await features("_104_1")).features.coursePortal, true);
+      const bad = await fetch(
+        `${toolBaseUrl}/api/course/features?courseId=x/y`
+      );
+      assert.equal(bad.status, 400);
+
+      renders.clear();
+      const gated = host.openPortal("course.outline.details", {
+        courseId: "_103_1",
+      });
+      const allowed = host.openPortal("course.outline.details", {
+        courseId: "_104_1",
+      });
+      await waitFor("allowed course portal render", () => renders.get(allowed));
+      await sleep(300);
+      assert.ok(!renders.has(gated), "no entry for the gated-off course");
+    });
+
+    await check(
+      "closing the panel and using the help menu reopens it",
+      async () => {
+        host.click(panel.attributes.onClose.callbackId);
+        await sleep(300); // uef.js debounces panel opens
+        assert.ok(host.requestHelp(), "help:request is subscribed");
+        await waitFor(
+          "second portal:panel",
+          () => sent("portal:panel").length === 2
+        );
+        await waitFor(
+          "help:request:response",
+          () => sent("help:request:response").length
+        );
+      }
+    );
+
+    await check("panel opens and closes feed the usage report", async () => {
+      const admin = (query = "", token = "e2e-admin-token") =>
+        fetch(`${toolBaseUrl}/admin/analytics${query}`, {
+          headers: { Authorization: `Bearer ${token}` },
+        });
+      assert.equal((await admin("", "wrong")).status, 401);
+
+      // base nav open -> close -> help menu open (events are async)
+      const report = await waitFor("usage events", async () => {
+        const r = await admin();
+        const data = await r.json();
+        return data.totals.opens === 2 && data.totals.sessions === 1 && data;
+      });
+      assert.equal(report.totals.users, 1);
+      // The close counts for the course the panel opened in; the help menu
+      // open follows the course portal's scope (_102_1)
+      const byCourse = Object.fromEntries(
+        report.rows.map((r) => [r.courseId, r])
+      );
+      assert.deepEqual(byCourse._101_1.byReason, { "base-nav-click": 1 });
+      assert.equal(byCourse._101_1.sessions, 1);
+      assert.deepEqual(byCourse._102_1.byReason, { "help-menu": 1 });
+
+      const csv = await (await admin("?format=csv&courseId=_101_1")).text();
+      const [header, ...lines] = csv.trim().split("\r\n");
+      assert.match(header, /^day,courseId,opens,sessions,users,/);
+      assert.equal(lines.length, 1);
+      assert.match(lines[0], /,_101_1,1,1,1,/);
+
+      const stored = await fs.readFile(
+        path.join(tmp, "analytics.jsonl"),
+        "utf8"
+      );
+      assert.ok(!stored.includes("mock-student"), "LTI sub is pseudonymized");
+    });
+
+    await check(
+      "expired Learn token is renewed and re-authorized",
+      async () => {
+        await fetch(`${mock.baseUrl}/mock/expire`, { method: "POST" });
+        host.unauthorize();
+        await waitFor(
+          "unauthorized state",
+          () => uef.__uefConnection.getState() !== "ready"
+        );
+        await waitFor(
+          "re-authorization",
+          () => host.authorized && uef.__uefConnection.getState() === "ready",
+          10000
+        );
+        const tokens = sent("authorization:authorize").map((m) => m.token);
+        assert.notEqual(tokens[tokens.length - 1], session.token);
+      }
+    );
+
+    // Mock launch -> OIDC -> form_post to /lti/launch; the tool's answer
+    const ltiLaunch = async (query) => {
+      const { r } = await follow(`${mock.baseUrl}/launch?${query}`);
+      const form = parseForm(await r.text());
+      return follow(form.action, {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams(form.fields).toString(),
+      });
+    };
+
+    await check("deep linking is refused for students", async () => {
+      const { r } = await ltiLaunch(
+        "user=student&course=_101_1&message=deep-link"
+      );
+      assert.equal(r.status, 403);
+      assert.match(await r.text(), /deep_linking_forbidden/);
+    });
+
+    await check(
+      "instructor picks a topic entry; signed response reaches Learn",
+      async () => {
+        const { r } = await ltiLaunch(
+          "user=instructor&course=_101_1&message=deep-link"
+        );
+        assert.equal(r.status, 200);
+        const picker = parseForm(await r.text());
+        assert.equal(picker.action, "/lti/deep-link");
+
+        const post = () =>
+          request(`${toolBaseUrl}/lti/deep-link`, {
+            method: "POST",
+            headers: { "Content-Type": "application/x-www-form-urlencoded" },
+            body: new URLSearchParams({
+              dl: picker.fields.dl,
+              choice: "topic",
+              topic: "Recursion",
+            }).toString(),
+          });
+        const answer = await post();
+        assert.equal(answer.status, 200);
+        const back = parseForm(await answer.text());
+        assert.equal(back.action, `${mock.baseUrl}/deep-link/return`);
+        assert.equal((await post()).status, 400, "picker id is single-use");
+
+        const returned = await request(back.action, {
+          method: "POST",
+          headers: { "Content-Type": "application/x-www-form-urlencoded" },
+          body: new URLSearchParams(back.fields).toString(),
+        });
+        assert.equal(returned.status, 200, await returned.clone().text());
+
+        const [item] = await (
+          await fetch(`${mock.baseUrl}/mock/deep-links`)
+        ).json();
+        assert.equal(item.type, "ltiResourceLink");
+        assert.equal(item.url, `${toolBaseUrl}/lti/launch`);
+        assert.deepEqual(item.custom, {
+          mappy_placement: "content",
+          mappy_topic: "Recursion",
+        });
+      }
+    );
+
+    await check("placed link opens the widget with its topic", async () => {
+      const { url } = await ltiLaunch("user=student&course=_101_1&link=0");
+      assert.equal(new URL(url).pathname, "/widget.html");
+      const ctx = await (await request(`${toolBaseUrl}/api/context`)).json();
+      assert.equal(ctx.topic, "Recursion");
+      assert.equal(ctx.course.id, "_101_1");
+
+      // Without third-party cookies the widget runs on its boot code alone
+      const code = new URL(url).searchParams.get("code");
+      assert.ok(code, "boot code handed to the widget");
+      const redeem = () =>
+        fetch(`${toolBaseUrl}/uef/session`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ code }),
+        });
+      const s = await redeem();
+      assert.equal(s.status, 200);
+      const { session: handle } = await s.json();
+      const viaHandle = await fetch(`${toolBaseUrl}/api/context`, {
+        headers: { "X-Session": handle },
+      });
+      assert.equal((await viaHandle.json()).topic, "Recursion");
+      assert.notEqual((await redeem()).status, 200, "boot code is single-use");
+    });
+
+    await check(
+      "instructors see the NRPS roster joined with usage",
+      async () => {
+        const studentView = await fetch(
+          `${toolBaseUrl}/api/course/roster-usage`,
+          { headers: { "X-Session": session.session } }
+        );
+        assert.equal(studentView.status, 403);
+
+        // Instructor launch: the cookie jar now holds the instructor session
+        const { url } = await ltiLaunch("user=instructor&course=_101_1");
+        assert.equal(new URL(url).pathname, "/uef-boot.html");
+
+        const other = await request(
+          `${toolBaseUrl}/api/course/roster-usage?courseId=_202_1`
+        );
+        assert.equal(other.status, 403, "only the launch course");
+        const r = await request(
+          `${toolBaseUrl}/api/course/roster-usage?courseId=_101_1`
+        );
+        assert.equal(r.status, 200, await r.clone().text());
+        const data = await r.json();
+        assert.equal(data.course.title, "Intro to Computing");
+        // 3 members over 2 NRPS pages (Link rel="next")
+        const byName = Object.fromEntries(data.members.map((m) => [m.name, m]));
+        assert.deepEqual(Object.keys(byName).sort(), [
+          "Ana Reyes",
+          "Juan dela Cruz",
+          "Maria Santos",
+        ]);
+        assert.equal(byName["Maria Santos"].role, "instructor");
+        assert.equal(byName["Juan dela Cruz"].usedMappy, true);
+        assert.ok(byName["Juan dela Cruz"].opens >= 1);
+        assert.equal(byName["Ana Reyes"].usedMappy, false);
+        assert.deepEqual(data.totals, {
+          members: 3,
+          learners: 2,
+          learnersUsed: 1,
+        });
+      }
+    );
+
+    await check("practice completion posts an AGS score", async () => {
+      const complete = (body, headers = { "X-Session": session.session }) =>
+        fetch(`${toolBaseUrl}/api/activity/complete`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json", ...headers },
+          body: JSON.stringify(body),
+        });
+
+      const first = await complete({ activityId: "week-1-practice" });
+      assert.equal(first.status, 200, await first.clone().text());
+      const posted = await first.json();
+      assert.deepEqual(
+        [posted.scoreGiven, posted.scoreMaximum],
+        [5, 5],
+        "participation: full marks from the config"
+      );
+      // Second report reuses the line item (found by resource_id + tag)
+      assert.equal(
+        (await complete({ activityId: "week-1-practice" })).status,
+        200
+      );
+
+      // Grades and labels come from the server, not the widget
+      const forged = await complete({
+        activityId: "week-1-practice",
+        label: "Extra credit",
+        scoreGiven: 1,
+        scoreMaximum: 1,
+      });
+      assert.equal(forged.status, 400);
+      assert.match((await forged.json()).error, /scoreGiven/);
+      // Activities outside the allow-list never create a gradebook column
+      const unknown = await complete({ activityId: "week-9-practice" });
+      assert.equal(unknown.status, 400);
+      assert.equal((await complete({ activityId: "bad id!" })).status, 400);
+
+      // The cookie jar holds the instructor session: not graded
+      const instructor = await request(`${toolBaseUrl}/api/activity/complete`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ activityId: "week-1-practice" }),
+      });
+      assert.equal(instructor.status, 403);
+
+      const ags = await (await fetch(`${mock.baseUrl}/mock/ags`)).json();
+      assert.equal(ags._101_1.length, 1);
+      const [item] = ags._101_1;
+      assert.equal(item.label, "Mappy practice: Week 1 practice");
+      assert.equal(item.tag, "ask-mappy");
+      assert.equal(item.resourceId, "week-1-practice");
+      assert.deepEqual(
+        item.scores.map((s) => [s.userId, s.scoreGiven, s.scoreMaximum]),
+        [
+          ["mock-student-1", 5, 5],
+          ["mock-student-1", 5, 5],
+        ]
+      );
+      assert.equal(item.scores[0].activityProgress, "Completed");
+    });
+
+    await check("admin diagnostics and /health report the checks", async () => {
+      assert.equal((await fetch(`${toolBaseUrl}/admin`)).status, 401);
+      const basic = Buffer.from("admin:e2e-admin-token").toString("base64");
+      const page = await fetch(`${toolBaseUrl}/admin`, {
+        headers: { Authorization: `Basic ${basic}` },
+      });
+      assert.equal(page.status, 200);
+      assert.match(await page.text(), /Ask Mappy diagnostics/);
+
+      const r = await fetch(`${toolBaseUrl}/admin/diagnostics?fresh=1`, {
+        headers: { Authorization: "Bearer e2e-admin-token" },
+      });
+      assert.equal(r.status, 200);
+      const report = await r.json();
+      assert.equal(report.status, "ok", JSON.stringify(report.checks));
+      assert.ok(
+        report.checks.find((c) => c.name === "OAUTH_SCOPE").ok,
+        "the default scope gets refresh tokens"
+      );
+      const [probe] = report.probes;
+      assert.equal(
+        probe.platformKey,
+        `${mock.baseUrl}|${mock.registration().clientId}`
+      );
+      assert.ok(probe.jwks.ok && probe.jwks.keys === 1);
+      assert.ok(probe.oidc.ok);
+      assert.equal(report.stateStore.kind, "memory");
+      assert.ok(report.stateStore.size > 0);
+
+      // Newest first: the replayed form and the student deep-link launch
+      // failed at the launch stage, the re-posted picker at deep-link;
+      // the 3LO sign-ins went through
+      const failed = report.attempts.filter((a) => !a.ok);
+      assert.deepEqual(failed.map((a) => [a.stage, a.code]).reverse(), [
+        ["launch", "state_invalid"],
+        ["launch", "deep_linking_forbidden"],
+        ["deep-link", "selection_expired"],
+      ]);
+      assert.equal(failed[1].sub, "mock-student-1");
+      assert.ok(
+        report.attempts.some((a) => a.stage === "3lo" && a.ok),
+        "successful 3LO attempt"
+      );
+      assert.ok(report.attempts.some((a) => a.stage === "deep-link" && a.ok));
+
+      const h = await fetch(`${toolBaseUrl}/health`);
+      assert.equal(h.status, 200);
+      const health = await h.json();
+      assert.equal(health.status, "ok");
+      assert.equal(health.recentFailures, 3);
+      // The /admin checks, with the probe results /admin just cached
+      assert.deepEqual(
+        health.checks.map((c) => c.name),
+        report.checks.map((c) => c.name)
+      );
+      assert.ok(health.checks.some((c) => /JWKS reachable/.test(c.name)));
+      assert.equal(health.stateStore.kind, "memory");
+      assert.ok(health.stateStore.ok);
+      assert.equal(health.probes, undefined);
+      assert.equal(health.attempts, undefined, "trail stays behind /admin");
+    });
+
+    await check(
+      "launch errors are branded, localized and retryable",
+      async () => {
+        const page = async (r) => {
+          const html = await r.text();
+          return {
+            html,
+            code: /data-error-code="([^"]+)"/.exec(html)?.[1],
+            lang: /<html lang="([^"]+)"/.exec(html)?.[1],
+            retry: /<a class="button" href="([^"]+)"/.exec(html)?.[1],
+          };
+        };
+        const { r: start } = await follow(
+          `${mock.baseUrl}/launch?user=student`
+        );
+        const form = parseForm(await start.text());
+        const post = (headers = {}) =>
+          request(form.action, {
+            method: "POST",
+            headers: {
+              "Content-Type": "application/x-www-form-urlencoded",
+              ...headers,
+            },
+            body: new URLSearchParams(form.fields).toString(),
+          });
+        assert.equal((await post()).status, 302);
+
+        // Replayed form: English for an en-US browser, with a reference
+        const replay = await post({ "Accept-Language": "en-US" });
+        assert.equal(replay.status, 400);
+        const expired = await page(replay);
+        assert.equal(expired.code, "launch_expired");
+        assert.equal(expired.lang, "en");
+        assert.match(expired.html, /This page has expired/);
+        assert.match(expired.html, /Nag-expire na ang pahinang ito/);
+        assert.ok(
+          expired.html.includes(
+            `<code>${replay.headers.get("x-request-id")}</code>`
+          ),
+          "support reference is the request id"
+        );
+        assert.doesNotMatch(expired.html, /Technical details|Invalid\/expired/);
+        assert.match(expired.retry, /^\/lti\/relaunch\?r=st_/);
+
+        const fil = await page(await post({ "Accept-Language": "fil-PH" }));
+        assert.equal(fil.lang, "fil");
+        assert.match(fil.html, /<h1>Nag-expire na ang pahinang ito<\/h1>/);
+
+        // "Try again" replays the login and lands in the UEF boot again
+        const { r: again } = await follow(`${toolBaseUrl}${expired.retry}`);
+        const retryForm = parseForm(await again.text());
+        const { url } = await follow(retryForm.action, {
+          method: "POST",
+          headers: { "Content-Type": "application/x-www-form-urlencoded" },
+          body: new URLSearchParams(retryForm.fields).toString(),
+        });
+        assert.equal(new URL(url).pathname, "/uef-boot.html");
+
+        const gone = await page(
+          await request(`${toolBaseUrl}/lti/relaunch?r=st_unknown`)
+        );
+        assert.equal(gone.code, "launch_expired");
+        assert.equal(gone.retry, undefined);
+
+        // An empty topic: the launch locale wins; only admins see the detail
+        const badTopic = async (user) => {
+          const { r } = await ltiLaunch(`user=${user}&message=deep-link`);
+          const picker = parseForm(await r.text());
+          const res = await request(`${toolBaseUrl}/lti/deep-link`, {
+            method: "POST",
+            headers: { "Content-Type": "application/x-www-form-urlencoded" },
+            body: new URLSearchParams({
+              dl: picker.fields.dl,
+              choice: "topic",
+              topic: " ",
+            }).toString(),
+          });
+          assert.equal(res.status, 400);
+          return page(res);
+        };
+        const instructor = await badTopic("instructor");
+        assert.equal(instructor.code, "deep_link_invalid");
+        assert.equal(instructor.lang, "fil");
+        assert.ok(instructor.retry, "deep-link launch can be restarted");
+        assert.doesNotMatch(instructor.html, /deep_link_topic_invalid/);
+
+        const admin = await badTopic("admin");
+        assert.equal(admin.lang, "en");
+        assert.match(admin.html, /Technical details \(administrators\)/);
+        assert.match(admin.html, /deep_link_topic_invalid: Topic must be/);
+      }
+    );
+
+    await check(
+      "dynamic registration needs an admin link and an allowed issuer",
+      async () => {
+        const register = (query) =>
+          fetch(`${toolBaseUrl}/lti/register?${new URLSearchParams(query)}`);
+        const platformQuery = {
+          openid_configuration: `${mock.baseUrl}/.well-known/openid-configuration`,
+          registration_token: "mock-reg-unused",
+        };
+        assert.equal((await register(platformQuery)).status, 401);
+
+        const newLink = (headers) =>
+          fetch(`${toolBaseUrl}/admin/registration-links`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json", ...headers },
+            body: JSON.stringify({ learnHost: "https://learn.example.edu/" }),
+          });
+        assert.equal((await newLink({})).status, 401);
+        const link = await (
+          await newLink({ Authorization: "Bearer e2e-admin-token" })
+        ).json();
+        const rt = new URL(link.url).searchParams.get("rt");
+
+        // Nothing is fetched outside LTI_REGISTRATION_ISSUERS
+        const elsewhere = await register({
+          rt,
+          openid_configuration: "http://169.254.169.254/latest/meta-data",
+          registration_token: "x",
+        });
+        assert.equal(elsewhere.status, 403);
+
+        // The platform adds openid_configuration + registration_token;
+        // a learn_host in the query is ignored
+        const url = new URL(link.url);
+        url.searchParams.set("learn_host", "https://evil.example");
+        const { r } = await follow(
+          `${mock.baseUrl}/register?${new URLSearchParams({ url: url.href })}`
+        );
+        assert.equal(r.status, 200, await r.clone().text());
+        assert.match(await r.text(), /org\.imsglobal\.lti\.close/);
+
+        const [config] = await (
+          await fetch(`${mock.baseUrl}/mock/registrations`)
+        ).json();
+        assert.equal(config.initiate_login_uri, `${toolBaseUrl}/lti/login`);
+        const stored = JSON.parse(await fs.readFile(platformsFile, "utf8"));
+        const added = stored.find((p) => p.clientId === "mock-dr-client-1");
+        assert.equal(added.issuer, mock.baseUrl);
+        assert.deepEqual(added.deploymentIds, ["mock-dr-deployment-1"]);
+        assert.equal(added.learnHost, "https://learn.example.edu");
+
+        // Both Learn sites may now frame the tool
+        const csp = (await fetch(`${toolBaseUrl}/health`)).headers.get(
+          "content-security-policy"
+        );
+        assert.match(
+          csp,
+          new RegExp(
+            `^frame-ancestors ${mock.baseUrl} https://learn\\.example\\.edu `
+          )
+        );
+
+        // The link is single-use
+        assert.equal((await register({ rt, ...platformQuery })).status, 401);
+      }
+    );
+
+    await check("3LO only completes in the browser that launched", async () => {
+      const { r } = await follow(
+        `${mock.baseUrl}/launch?user=student&course=_101_1`
+      );
+      const form = parseForm(await r.text());
+      const launch = await request(form.action, {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams(form.fields).toString(),
+      });
+      assert.equal(launch.status, 302);
+      const learnAuthorize = launch.headers.get("location");
+      const state = new URL(learnAuthorize).searchParams.get("state");
+      const [bound] = launch.headers
+        .getSetCookie()
+        .filter((c) => c.startsWith("mappy_st_"));
+      assert.match(bound, /; Path=\/oauth\/callback;/);
+      assert.match(bound, /; HttpOnly; Secure; SameSite=None; Max-Age=600$/);
+      const stateCookie = bound.split(";")[0];
+      assert.ok(!stateCookie.includes(state), "only a hash of the state");
+
+      // Learn's authorize step, then its redirect back with code + state
+      const authorize = await request(learnAuthorize);
+      const callbackUrl = new URL(
+        authorize.headers.get("location"),
+        learnAuthorize
+      ).toString();
+      assert.ok(callbackUrl.startsWith(`${toolBaseUrl}/oauth/callback?`));
+
+      // Another browser (holding only its own launch's state cookie) is
+      // refused...
+      const [name, value] = stateCookie.split("=");
+      cookies.delete(name);
+      cookies.set("mappy_st_elsewhere", "x");
+      const elsewhere = await request(callbackUrl);
+      assert.equal(elsewhere.status, 400);
+      assert.match(await elsewhere.text(), /data-error-code="sign_in_failed"/);
+
+      // ...without using up the state for the browser it belongs to
+      cookies.delete("mappy_st_elsewhere");
+      cookies.set(name, value);
+      const { url } = await follow(callbackUrl);
+      assert.equal(new URL(url).pathname, "/uef-boot.html");
+      assert.ok(!cookies.has(name), "state cookie cleared");
+    });
+
+    await check(
+      "3LO completes where third-party cookies are blocked",
+      async () => {
+        // The Ultra iframe keeps none of the tool's cookies
+        const jar = new Map(cookies);
+        const blocked = async (url, options) => {
+          cookies.clear();
+          const r = await request(url, options);
+          cookies.clear();
+          return r;
+        };
+        // follow(), but stops at the boot page (its code is single-use)
+        const go = async (url, options) => {
+          let r = await blocked(url, options);
+          while (r.status >= 300 && r.status < 400) {
+            url = new URL(r.headers.get("location"), url).toString();
+            if (new URL(url).pathname === "/uef-boot.html") break;
+            r = await blocked(url);
+          }
+          return { r, url: new URL(url) };
+        };
+        try {
+          const { r } = await go(
+            `${mock.baseUrl}/launch?user=student&course=_101_1`
+          );
+          const form = parseForm(await r.text());
+          const { url: landed } = await go(form.action, {
+            method: "POST",
+            headers: { "Content-Type": "application/x-www-form-urlencoded" },
+            body: new URLSearchParams(form.fields).toString(),
+          });
+          assert.equal(landed.pathname, "/uef-boot.html");
+
+          // The boot code alone carries the session into the frame
+          const s = await blocked(`${toolBaseUrl}/uef/session`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ code: landed.searchParams.get("code") }),
+          });
+          assert.equal(s.status, 200);
+          assert.ok((await s.json()).session);
+        } finally {
+          cookies.clear();
+          for (const [k, v] of jar) cookies.set(k, v);
+        }
+      }
+    );
+
+    await check(
+      "production refuses to boot without valid tool keys",
+      async () => {
+        // Exits before listening; resolves with the exit code and output
+        const boot = (env) =>
+          new Promise((resolve, reject) => {
+            const { TOOL_KEYS_FILE, TOOL_KEYS_JSON, ...rest } = process.env;
+            const child = spawn(process.execPath, ["server.js"], {
+              cwd: ROOT,
+              env: { ...rest, NODE_ENV: "production", PORT: "0", ...env },
+              stdio: ["ignore", "pipe", "pipe"],
+            });
+            let output = "";
+            child.stdout.on("data", (d) => (output += d));
+            child.stderr.on("data", (d) => (output += d));
+            const timer = setTimeout(() => {
+              child.kill();
+              reject(new Error("server kept running"));
+            }, 15000);
+            child.on("exit", (code) => {
+              clearTimeout(timer);
+              resolve({ code, output });
+            });
+          });
+
+        const unset = await boot({});
+        assert.notEqual(unset.code, 0);
+        assert.match(unset.output, /requires TOOL_KEYS_FILE or TOOL_KEYS_JSON/);
+
+        const missing = path.join(tmp, "no-keys.json");
+        const empty = await boot({ TOOL_KEYS_FILE: missing });
+        assert.notEqual(empty.code, 0);
+        assert.match(empty.output, /No active tool key/);
+        await assert.rejects(fs.access(missing), "no key was generated");
+
+        const badExtra = await boot({
+          TOOL_KEYS_FILE: path.join(tmp, "tool-keys.json"),
+          TOOL_PUBLIC_JWKS_JSON: '{"keys":[{"kty":"RSA"}]}',
+        });
+        assert.notEqual(badExtra.code, 0);
+        assert.match(
+          badExtra.output,
+          /TOOL_PUBLIC_JWKS_JSON keys\[0\] needs a kid/
+        );
+      }
+    );
+
+    console.log(`1..${step}`);
+  } finally {
+    if (host) host.close();
+    server.kill();
+    await mock.close();
+    await fs.rm(tmp, { recursive: true, force: true });
+  }
+}
+
+try {
+  await main();
+  process.exit(0);
+} catch {
+  if (!VERBOSE) console.log(logs.join("\n"));
+  process.exit(1);
+}
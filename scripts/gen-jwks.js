@@ -0,0 +1,46 @@
+/**
+ * scripts/gen-jwks.js
+ *
+ * Manage the tool's signing keys (TOOL_KEYS_FILE, default .data/tool-keys.json).
+ *
+ *   npm run gen:jwks                          create the first key if none exists
+ *   npm run rotate:jwks                       new active key, keep the old one 7 days
+ *   node scripts/gen-jwks.js --rotate --overlap-days 2
+ *
+ * Prints the public JWKS that /.well-known/jwks.json serves. A running
+ * server picks up a rotated file without a restart; for TOOL_KEYS_JSON,
+ * copy the file's contents into that secret instead.
+ */
+import "dotenv/config";
+import { createToolKeyStore, DEFAULT_OVERLAP_MS } from "../lib/tool-keys.js";
+
+const args = process.argv.slice(2);
+const file = (process.env.TOOL_KEYS_FILE || ".data/tool-keys.json").trim();
+const store = createToolKeyStore({ file });
+
+function overlapMs() {
+  const i = args.indexOf("--overlap-days");
+  if (i === -1) return DEFAULT_OVERLAP_MS;
+  const days = Number(args[i + 1]);
+  if (!Number.isFinite(days) || days < 0) {
+    throw new Error("--overlap-days expects a non-negative number");
+  }
+  return days * 24 * 60 * 60 * 1000;
+}
+
+try {
+  if (args.includes("--rotate")) {
+    const { kid, retireAt } = await store.rotate({ overlapMs: overlapMs() });
+    console.error(
+      `Rotated: active kid=${kid}; previous key retires ${retireAt}`
+    );
+  } else {
+    const kid = await store.ensureActiveKey();
+    console.error(`Active kid=${kid} (${file})`);
+  }
+  console.table(await store.list());
+  console.log(JSON.stringify(await store.publicJwks(), null, 2));
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
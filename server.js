@@ -3,8 +3,79 @@ import express from "express";
 import path from "path";
 import { fileURLToPath } from "url";
 import crypto from "crypto";
-import fetch from "node-fetch";
-import { createRemoteJWKSet, jwtVerify } from "jose";
+import { createToolKeyStore, parsePublicJwks } from "./lib/tool-keys.js";
+import {
+  createLaunchValidator,
+  LaunchValidationError,
+} from "./lib/launch-validator.js";
+import {
+  contentItemFor,
+  DEEP_LINK_CHOICES,
+  DEEP_LINKING_REQUEST,
+  DEEP_LINKING_ROLES,
+  deepLinkSettingsFrom,
+  MAX_TOPIC_LENGTH,
+  signDeepLinkingResponse,
+} from "./lib/deep-linking.js";
+import { createStateStore } from "./lib/state-store.js";
+import { createSessionManager } from "./lib/session.js";
+import { loadUefConfig } from "./lib/uef-config.js";
+import { loadFeatureRules } from "./lib/feature-gates.js";
+import {
+  launchContextFrom,
+  ROLE,
+  TEACHING_ROLES,
+  widgetContextFrom,
+} from "./lib/lti-context.js";
+import { createPlatformRegistry, platformFromEnv } from "./lib/platforms.js";
+import {
+  registerWithPlatform,
+  registrationIssuerFor,
+  RegistrationError,
+} from "./lib/dynamic-registration.js";
+import {
+  createTokenManager,
+  TokenError,
+  userKeyFor,
+} from "./lib/learn-tokens.js";
+import { createLearnApi, LearnApiError } from "./lib/learn-api.js";
+import {
+  createLearnHttp,
+  DEFAULT_CACHE_TTLS,
+  parseCacheTtls,
+} from "./lib/learn-http.js";
+import {
+  createLogger,
+  launchFields,
+  redact,
+  requestLogging,
+} from "./lib/logger.js";
+import {
+  AnalyticsError,
+  createAnalyticsStore,
+  toCsv,
+} from "./lib/analytics.js";
+import { createServiceTokenClient } from "./lib/lti-service-token.js";
+import { createRosterService, NRPS_SCOPE, NrpsError } from "./lib/nrps.js";
+import {
+  AGS_SCOPES,
+  AgsError,
+  createAgsClient,
+  parseCompletion,
+} from "./lib/ags.js";
+import {
+  escapeHtml,
+  localeFor,
+  pageCodeFor,
+  renderErrorPage,
+} from "./lib/error-pages.js";
+import {
+  checkConfig,
+  createEndpointProbe,
+  createLaunchTrail,
+  overallStatus,
+  probeChecks,
+} from "./lib/diagnostics.js";
 
 const app = express();
 app.disable("x-powered-by");
@@ -22,69 +93,502 @@ const __dirname = path.dirname(__filename);
 const TOOL_BASE_URL = (
   process.env.TOOL_BASE_URL || "https://widget-integ.onrender.com"
 ).trim();
-const LEARN_HOST = (
-  process.env.LEARN_HOST || "https://mapua-test.blackboard.com"
-).trim();
-
-// Tool registration values (set after Dev Portal + Learn admin)
-const LTI_CLIENT_ID = (process.env.LTI_CLIENT_ID || "").trim(); // Client ID used by platform (your tool)
-const LTI_DEPLOYMENT_ID = (process.env.LTI_DEPLOYMENT_ID || "").trim(); // optional but recommended
+// Learn site of the single-platform env registration, and the default for
+// dynamic registration links. No fallback: a registration without its Learn
+// host fails to load rather than send 3LO to some other site.
+const LEARN_HOST = (process.env.LEARN_HOST || "").trim();
 
-// Platform values (from Learn / LTI settings)
-const PLATFORM_ISSUER = (process.env.PLATFORM_ISSUER || "").trim();
-const PLATFORM_JWKS_URL = (process.env.PLATFORM_JWKS_URL || "").trim();
-const PLATFORM_OIDC_AUTH_ENDPOINT = (
-  process.env.PLATFORM_OIDC_AUTH_ENDPOINT || ""
+// Platform registrations (issuer + client_id -> JWKS, auth endpoint, Learn host).
+// PLATFORMS_FILE holds a JSON array; the single-platform env vars
+// (PLATFORM_ISSUER, LTI_CLIENT_ID, LTI_DEPLOYMENT_ID, PLATFORM_JWKS_URL,
+// PLATFORM_OIDC_AUTH_ENDPOINT) still work as one more registration.
+const PLATFORMS_FILE = (
+  process.env.PLATFORMS_FILE || ".data/platforms.json"
 ).trim();
 
+// Issuers allowed to register the tool through LTI Dynamic Registration
+// (comma-separated); the platform's openid-configuration must live under one
+const LTI_REGISTRATION_ISSUERS = (
+  process.env.LTI_REGISTRATION_ISSUERS || "https://blackboard.com"
+)
+  .split(",")
+  .map((s) => s.trim())
+  .filter(Boolean);
+
 // REST application key/secret for 3LO (from Learn Admin -> REST API Integrations)
 const REST_KEY = (process.env.REST_KEY || "").trim();
 const REST_SECRET = (process.env.REST_SECRET || "").trim();
 
-// Tool JWKS (public) to expose for registration (generated by you)
+// Tool signing keys (npm run gen:jwks / npm run rotate:jwks). In production
+// set TOOL_KEYS_FILE (on a persistent disk) or TOOL_KEYS_JSON (the file's
+// contents, e.g. from a secret); keys are never generated there.
+const IS_PRODUCTION = (process.env.NODE_ENV || "").trim() === "production";
+const TOOL_KEYS_FILE = (
+  process.env.TOOL_KEYS_FILE || (IS_PRODUCTION ? "" : ".data/tool-keys.json")
+).trim();
+const TOOL_KEYS_JSON = (process.env.TOOL_KEYS_JSON || "").trim();
+// Extra public JWKS to publish (e.g. keys held outside this service)
 const TOOL_PUBLIC_JWKS_JSON = (process.env.TOOL_PUBLIC_JWKS_JSON || "").trim();
 
-// 3LO scope
-const OAUTH_SCOPE = (process.env.OAUTH_SCOPE || "read").trim();
+// 3LO scope. Without "offline" Learn issues no refresh token, and the
+// session ends with the access token (1 hour); /admin flags that.
+const OAUTH_SCOPE = (process.env.OAUTH_SCOPE || "read offline").trim();
+
+// Display name, panel, icon, widget key, ... for uef.js + widget.html
+const UEF_CONFIG_FILE = (
+  process.env.UEF_CONFIG_FILE || path.join(__dirname, "config/uef-config.json")
+).trim();
+
+// Which roles / courses / dates get the help provider and base nav entry
+const FEATURE_RULES_FILE = (
+  process.env.FEATURE_RULES_FILE ||
+  path.join(__dirname, "config/feature-rules.json")
+).trim();
+
+// Allowed clock skew (seconds) when checking id_token iat/exp/nbf
+const LTI_CLOCK_TOLERANCE_SEC = Number(
+  process.env.LTI_CLOCK_TOLERANCE_SEC || 60
+);
+
+// Learn REST cache TTLs in seconds per endpoint, e.g. "courses=300,calendar=60"
+// (defaults: courses 300, calendar 60, contents 120, grades 30, roster 600;
+// 0 disables)
+const LEARN_CACHE_TTLS = (process.env.LEARN_CACHE_TTLS || "").trim();
+// Retries for throttled (429) / failing Learn calls, and the circuit breaker
+const LEARN_MAX_RETRIES = Number(process.env.LEARN_MAX_RETRIES || 3);
+const LEARN_BREAKER_THRESHOLD = Number(
+  process.env.LEARN_BREAKER_THRESHOLD || 5
+);
+const LEARN_BREAKER_COOLDOWN_SEC = Number(
+  process.env.LEARN_BREAKER_COOLDOWN_SEC || 30
+);
+
+// Signs the session cookie. Must be shared by all instances.
+const SESSION_SECRET = (process.env.SESSION_SECRET || "").trim();
+
+// debug | info | warn | error
+const LOG_LEVEL = (process.env.LOG_LEVEL || "info").trim().toLowerCase();
+
+// Console level for uef.js: debug | info | warn | error | silent
+const CLIENT_LOG_LEVEL = (process.env.CLIENT_LOG_LEVEL || "warn")
+  .trim()
+  .toLowerCase();
+
+// Usage analytics (panel opens/closes from uef.js); ANALYTICS=off disables
+const ANALYTICS_ENABLED =
+  (process.env.ANALYTICS || "on").trim().toLowerCase() !== "off";
+const ANALYTICS_FILE = (
+  process.env.ANALYTICS_FILE || ".data/analytics.jsonl"
+).trim();
+// HMAC key for user pseudonyms (default SESSION_SECRET); keep it stable
+const ANALYTICS_SALT = (process.env.ANALYTICS_SALT || "").trim();
+
+// Bearer token (or Basic auth password) for /admin and /admin/* (admin
+// routes answer 404 when unset)
+const ADMIN_TOKEN = (process.env.ADMIN_TOKEN || "").trim();
+
+// How many recent login / launch / 3LO attempts /admin shows (per instance)
+const DIAGNOSTICS_TRAIL_SIZE = Number(process.env.DIAGNOSTICS_TRAIL_SIZE || 50);
+// A state store slower than this counts as down on /health and /admin
+const STORE_CHECK_TIMEOUT_MS = 1000;
+
+/* =========================================================
+   LOGGING (JSON lines; tokens/secrets redacted; see lib/logger.js)
+========================================================= */
+const logger = createLogger({
+  level: LOG_LEVEL,
+  fields: { service: "mapua-uef-widget" },
+});
 
 /* =========================================================
-   STATE / NONCE STORE (IN-MEMORY)
-   - Works fine for a single Render instance.
-   - If you scale horizontally, use Redis/etc.
+   STATE / NONCE STORE
+   - STATE_STORE=memory (default) works for a single Render instance.
+   - Use STATE_STORE=file (shared disk) or STATE_STORE=redis (REDIS_URL)
+     when running more than one instance or across restarts.
 ========================================================= */
 const STATE_TTL_MS = 10 * 60 * 1000; // 10 minutes
-const stateStore = new Map();
+const RELAUNCH_TTL_MS = 60 * 60 * 1000; // "Try again" on launch error pages
+const REGISTRATION_LINK_TTL_MS = 24 * 60 * 60 * 1000; // admin-issued /lti/register links
+const stateStore = createStateStore(process.env, { logger });
 
-function now() {
-  return Date.now();
+/* =========================================================
+   TOOL KEYS
+   - Active + previous (until retired) public keys are served from
+     /.well-known/jwks.json; the active key signs tool messages.
+   - Outside production the first key is generated on boot. In production
+     a missing key stops the boot: a generated one would change on every
+     deploy and break platforms that cached the JWKS.
+========================================================= */
+if (IS_PRODUCTION && !TOOL_KEYS_FILE && !TOOL_KEYS_JSON) {
+  throw new Error(
+    "NODE_ENV=production requires TOOL_KEYS_FILE or TOOL_KEYS_JSON (see npm run gen:jwks)"
+  );
 }
+const toolKeys = createToolKeyStore({
+  file: TOOL_KEYS_FILE,
+  json: TOOL_KEYS_JSON,
+});
+const extraPublicKeys = parsePublicJwks(TOOL_PUBLIC_JWKS_JSON);
+const activeKid = IS_PRODUCTION
+  ? await toolKeys.activeKid()
+  : await toolKeys.ensureActiveKey();
+
+/* =========================================================
+   UEF RUNTIME CONFIG (validated at boot; bad config stops the server)
+========================================================= */
+const uefConfig = await loadUefConfig(UEF_CONFIG_FILE);
+const featureRules = await loadFeatureRules(FEATURE_RULES_FILE);
+
+/* =========================================================
+   LAUNCH VALIDATION (cached platform JWKS + LTI claim policy)
+========================================================= */
+const launchValidator = createLaunchValidator({
+  clockToleranceSec: LTI_CLOCK_TOLERANCE_SEC,
+});
+
+/* =========================================================
+   PLATFORMS
+========================================================= */
+const platforms = await createPlatformRegistry({
+  file: PLATFORMS_FILE,
+  defaults: {
+    restKey: REST_KEY,
+    restSecret: REST_SECRET,
+  },
+  extra: [platformFromEnv()],
+});
+
 function randId(bytes = 16) {
   return crypto.randomBytes(bytes).toString("hex");
 }
-function putState(state, nonce) {
-  stateStore.set(state, { nonce, createdAt: now() });
+async function putState(state, nonce, platformKey, targetLinkUri) {
+  await stateStore.put(
+    `oidc:${state}`,
+    { nonce, platformKey, targetLinkUri },
+    STATE_TTL_MS
+  );
+}
+async function popState(state) {
+  return stateStore.pop(`oidc:${state}`);
+}
+
+// Login initiation params per OIDC state, kept (not popped) for /lti/relaunch
+async function putRelaunch(state, params) {
+  await stateStore.put(`relaunch:${state}`, params, RELAUNCH_TTL_MS);
+}
+async function getRelaunch(state) {
+  return state ? stateStore.get(`relaunch:${state}`) : null;
+}
+
+// Deep-linking picker: the verified launch + settings until the instructor picks
+async function putDeepLinkState(id, data) {
+  await stateStore.put(`dl:${id}`, data, STATE_TTL_MS);
+}
+async function popDeepLinkState(id) {
+  return stateStore.pop(`dl:${id}`);
+}
+
+// Dynamic Registration: one-time link an admin issued (+ the Learn host
+// the registered platform gets)
+async function putRegistrationLink(id, data) {
+  await stateStore.put(`dynreg:${id}`, data, REGISTRATION_LINK_TTL_MS);
+}
+async function popRegistrationLink(id) {
+  return stateStore.pop(`dynreg:${id}`);
+}
+
+// 3LO state: binds the Learn authorization-code request to the verified
+// launch (+ the login state it came from, for "Try again")
+async function putOAuthState(state, launch, relaunch) {
+  await stateStore.put(`oauth:${state}`, { launch, relaunch }, STATE_TTL_MS);
 }
-function popState(state) {
-  const v = stateStore.get(state);
-  if (v) stateStore.delete(state);
-  return v || null;
+async function popOAuthState(state) {
+  return stateStore.pop(`oauth:${state}`);
 }
-function cleanupStates() {
-  const t = now();
-  for (const [k, v] of stateStore.entries()) {
-    if (t - v.createdAt > STATE_TTL_MS) stateStore.delete(k);
+
+/* =========================================================
+   SESSIONS
+   - Learn access token is kept server-side; browser gets a signed cookie
+     and/or a one-time code to redeem via POST /uef/session.
+========================================================= */
+if (!SESSION_SECRET) {
+  logger.warn(
+    "SESSION_SECRET not set; using a random per-process secret (sessions will not survive restarts)"
+  );
+}
+const SESSION_TTL_MS = 8 * 60 * 60 * 1000; // outlives the 1h Learn token; renewed via /uef/token
+const sessions = createSessionManager({
+  store: stateStore,
+  secret: SESSION_SECRET || randId(32),
+  ttlMs: SESSION_TTL_MS,
+});
+
+/* =========================================================
+   LEARN HTTP (cache, retry on 429, coalescing, circuit breaker)
+   Shared by the 3LO token calls and the REST reads; counters on /health.
+========================================================= */
+const learnHttp = createLearnHttp({
+  cacheTtls: { ...DEFAULT_CACHE_TTLS, ...parseCacheTtls(LEARN_CACHE_TTLS) },
+  maxRetries: LEARN_MAX_RETRIES,
+  breakerThreshold: LEARN_BREAKER_THRESHOLD,
+  breakerCooldownMs: LEARN_BREAKER_COOLDOWN_SEC * 1000,
+});
+
+/* =========================================================
+   LEARN TOKENS (3LO access + refresh, per user)
+========================================================= */
+const tokens = createTokenManager({
+  store: stateStore,
+  platformFor: (key) => platforms.byKey(key),
+  http: learnHttp,
+});
+
+// Learn REST reads for the widget, with the user's 3LO token
+const learnApi = createLearnApi({
+  tokens,
+  platformFor: (key) => platforms.byKey(key),
+  http: learnHttp,
+});
+
+/* =========================================================
+   USAGE ANALYTICS (pseudonymized JSONL; see lib/analytics.js)
+========================================================= */
+const analytics = createAnalyticsStore({
+  file: ANALYTICS_FILE,
+  salt: ANALYTICS_SALT || SESSION_SECRET || randId(32),
+});
+
+/* =========================================================
+   LTI ADVANTAGE SERVICES (client-credentials tokens signed by the
+   tool key; NRPS course rosters; AGS line items + scores)
+========================================================= */
+const serviceTokens = createServiceTokenClient({
+  sign: (claims, options) => toolKeys.sign(claims, options),
+  http: learnHttp,
+});
+const rosters = createRosterService({
+  serviceTokens,
+  platformFor: (key) => platforms.byKey(key),
+  http: learnHttp,
+});
+const ags = createAgsClient({
+  serviceTokens,
+  platformFor: (key) => platforms.byKey(key),
+  http: learnHttp,
+});
+
+/* =========================================================
+   DIAGNOSTICS (config checks, platform endpoint probes, recent
+   launch attempts; shown on /admin). /health reports the same checks
+   but is polled: it reads the cached probe results (refreshed in the
+   background once they are stale) and only asks the store for its size.
+========================================================= */
+const launchTrail = createLaunchTrail({ size: DIAGNOSTICS_TRAIL_SIZE });
+const endpointProbe = createEndpointProbe();
+
+// One login / launch / deep-link / 3LO attempt for the /admin trail
+function recordAttempt(req, stage, { launch, platformKey, ...outcome } = {}) {
+  launchTrail.record({
+    stage,
+    ...outcome,
+    requestId: req.id,
+    ...(platformKey && { platformKey }),
+    ...launchFields(launch),
+  });
+}
+
+function configChecks() {
+  return checkConfig({
+    toolBaseUrl: TOOL_BASE_URL,
+    sessionSecret: SESSION_SECRET,
+    adminToken: ADMIN_TOKEN,
+    oauthScope: OAUTH_SCOPE,
+    platforms: platforms.all(),
+  });
+}
+
+async function stateStoreStatus() {
+  const store = { kind: stateStore.kind, ok: true };
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`No answer in ${STORE_CHECK_TIMEOUT_MS}ms`)),
+      STORE_CHECK_TIMEOUT_MS
+    );
+  });
+  try {
+    store.size = await Promise.race([stateStore.size(), timeout]);
+  } catch (err) {
+    Object.assign(store, { ok: false, error: err.message });
+  } finally {
+    clearTimeout(timer);
   }
+  return store;
+}
+
+function diagnosticChecks(probes, store) {
+  return [
+    ...configChecks(),
+    ...probeChecks(probes),
+    {
+      name: "state store",
+      ok: store.ok,
+      severity: "error",
+      message: store.error || "",
+    },
+  ];
+}
+
+async function diagnostics({ fresh = false } = {}) {
+  const probes = await endpointProbe.check(platforms.all(), { fresh });
+  const store = await stateStoreStatus();
+  const checks = diagnosticChecks(probes, store);
+  return {
+    status: overallStatus(checks),
+    checks,
+    probes,
+    stateStore: store,
+    recentFailures: launchTrail.failures(),
+  };
 }
-setInterval(cleanupStates, 60 * 1000).unref();
+
+/* =========================================================
+   HTML PAGES
+========================================================= */
+/**
+ * Failed login / launch / deep-link / 3LO step: recorded in the /admin
+ * trail, answered with the branded error page (lib/error-pages.js) in the
+ * launch's locale, else the browser's. `relaunch` is the OIDC state the
+ * attempt started from; "Try again" replays that login while it is kept.
+ * `reason` reaches the page only for administrators.
+ */
+async function sendLaunchFailure(
+  req,
+  res,
+  status,
+  stage,
+  { relaunch, retryUrl, ...attempt }
+) {
+  recordAttempt(req, stage, attempt);
+  const { launch } = attempt;
+
+  const params = await getRelaunch(relaunch).catch(() => null);
+  if (!retryUrl && params) {
+    retryUrl = `/lti/relaunch?r=${encodeURIComponent(relaunch)}`;
+  }
+  const brand = uefConfig.resolve({
+    platform: platforms.byKey(attempt.platformKey || launch?.platformKey),
+  });
+
+  return res
+    .status(status)
+    .type("html")
+    .send(
+      renderErrorPage({
+        page: pageCodeFor(stage, attempt.code),
+        locale:
+          localeFor(launch?.locale) ||
+          localeFor(req.acceptsLanguages("en", "fil", "tl")) ||
+          "en",
+        brand: { name: brand.displayName, iconUrl: brand.iconPath },
+        reference: req.id,
+        retryUrl,
+        detail:
+          launch?.role === ROLE.ADMIN
+            ? `${attempt.code}: ${attempt.reason}`
+            : "",
+      })
+    );
+}
+
+/* =========================================================
+   DEEP LINKING PAGES (picker + auto-post back to the platform)
+========================================================= */
+const PAGE_STYLE = `
+      body { font-family: system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif; padding: 24px; color: #262626; }
+      h1 { font-size: 18px; margin: 0 0 8px; }
+      p { margin: 0 0 12px; line-height: 1.5; }
+      label { display: block; margin: 8px 0; }
+      input[type="text"] { margin: 4px 0 0 24px; padding: 6px; width: 280px; }
+      button { margin: 16px 8px 0 0; padding: 8px 16px; }`;
+
+function sendDeepLinkPicker(res, { id, launch }) {
+  const course = launch.contextTitle || launch.contextLabel || "this course";
+  const [general, topic] = ["general", "topic"].map((key) => ({
+    key,
+    ...DEEP_LINK_CHOICES[key],
+  }));
+  res.type("html").send(`<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width,initial-scale=1" />
+    <title>Add Ask Mappy</title>
+    <style>${PAGE_STYLE}
+    </style>
+  </head>
+  <body>
+    <h1>Add Ask Mappy to ${escapeHtml(course)}</h1>
+    <p>Choose the kind of entry to place in your course content.</p>
+    <form method="post" action="/lti/deep-link">
+      <input type="hidden" name="dl" value="${escapeHtml(id)}" />
+      <label>
+        <input type="radio" name="choice" value="${general.key}" checked />
+        <strong>${escapeHtml(general.label)}</strong> - ${escapeHtml(general.description)}
+      </label>
+      <label>
+        <input type="radio" name="choice" value="${topic.key}" />
+        <strong>${escapeHtml(topic.label)}</strong> - ${escapeHtml(topic.description)}
+        <br />
+        <input type="text" name="topic" maxlength="${MAX_TOPIC_LENGTH}" placeholder="e.g. Recursion" />
+      </label>
+      <button type="submit">Add</button>
+      <button type="submit" name="choice" value="cancel">Cancel</button>
+    </form>
+  </body>
+</html>`);
+}
+
+// LTI deep-linking responses are form-posted (JWT field) to the platform
+function sendDeepLinkResponse(res, returnUrl, jwt) {
+  res.type("html").send(`<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <title>Returning to Blackboard</title>
+  </head>
+  <body onload="document.forms[0].submit()">
+    <form method="post" action="${escapeHtml(returnUrl)}">
+      <input type="hidden" name="JWT" value="${escapeHtml(jwt)}" />
+      <noscript><button type="submit">Continue</button></noscript>
+    </form>
+  </body>
+</html>`);
+}
+
+// Session for the request (cookie or X-Session); adds the LTI user to req.log
+async function loadSession(req, sid = sessions.sidFromRequest(req)) {
+  const session = await sessions.get(sid);
+  if (session) req.log = req.log.child(launchFields(session.launch));
+  return session;
+}
+
+/* =========================================================
+   REQUEST ID + ACCESS LOG (X-Request-Id in and out)
+========================================================= */
+app.use(requestLogging(logger));
 
 /* =========================================================
    HEADERS (ALLOW BLACKBOARD TO IFRAME YOUR TOOL)
 ========================================================= */
 app.use((req, res, next) => {
-  // Allow Blackboard Learn Ultra to frame your pages
+  // Allow every registered Learn Ultra host to frame your pages
+  const hosts = new Set(
+    [LEARN_HOST, ...platforms.learnHosts()].filter(Boolean)
+  );
   res.setHeader(
     "Content-Security-Policy",
-    `frame-ancestors ${LEARN_HOST} https://*.blackboard.com;`
+    `frame-ancestors ${[...hosts].join(" ")} https://*.blackboard.com;`
   );
   next();
 });
@@ -97,24 +601,53 @@ app.use(express.static(path.join(__dirname, "public"), { etag: true }));
 /* =========================================================
    ROUTES
 ========================================================= */
-app.get("/health", (req, res) => {
-  res.json({
-    ok: true,
-    service: "mapua-uef-widget",
-    time: new Date().toISOString(),
-  });
+// The /admin checks without waiting on the network: probe results come
+// from the cache (a stale cache is refreshed for the next poll), the store
+// answers a size() within STORE_CHECK_TIMEOUT_MS. 200 with `status` "ok";
+// 503 "degraded" when an error-severity check fails or the report does.
+app.get("/health", async (req, res) => {
+  const service = "mapua-uef-widget";
+  const time = new Date().toISOString();
+  try {
+    endpointProbe.check(platforms.all());
+    const store = await stateStoreStatus();
+    const checks = diagnosticChecks(
+      endpointProbe.cached(platforms.all()),
+      store
+    );
+    const status = overallStatus(checks);
+    res.status(status === "ok" ? 200 : 503).json({
+      ok: status === "ok",
+      status,
+      service,
+      time,
+      checks,
+      stateStore: store,
+      recentFailures: launchTrail.failures(),
+      learn: learnHttp.stats(),
+    });
+  } catch (err) {
+    req.log.error("Health check error", { err });
+    res.status(503).json({ ok: false, status: "degraded", service, time });
+  }
 });
 
 /**
  * Tool JWKS URL (paste into Dev Portal LTI 1.3 config as "Tool JWKS URL")
  */
-app.get("/.well-known/jwks.json", (req, res) => {
-  if (!TOOL_PUBLIC_JWKS_JSON) {
-    return res
-      .status(500)
-      .json({ error: "Missing TOOL_PUBLIC_JWKS_JSON env var" });
+app.get("/.well-known/jwks.json", async (req, res) => {
+  try {
+    const jwks = await toolKeys.publicJwks();
+    const known = new Set(jwks.keys.map((k) => k.kid));
+    for (const k of extraPublicKeys) {
+      if (!known.has(k.kid)) jwks.keys.push(k);
+    }
+    res.setHeader("Cache-Control", "public, max-age=300");
+    res.json(jwks);
+  } catch (err) {
+    req.log.error("JWKS error", { err });
+    res.status(500).json({ error: "Could not load tool JWKS" });
   }
-  res.type("application/json").send(TOOL_PUBLIC_JWKS_JSON);
 });
 
 /* =========================================================
@@ -131,34 +664,31 @@ app.get("/lti/login", async (req, res) => {
     const client_id_from_platform = String(req.query.client_id || "").trim();
 
     if (!iss || !login_hint || !target_link_uri) {
-      return res
-        .status(400)
-        .send(
-          "Missing required OIDC login params (iss, login_hint, target_link_uri)"
-        );
+      return await sendLaunchFailure(req, res, 400, "login", {
+        code: "login_params_missing",
+        reason:
+          "Missing required OIDC login params (iss, login_hint, target_link_uri)",
+      });
     }
 
-    // Sanity checks on server config
-    if (!PLATFORM_OIDC_AUTH_ENDPOINT || !PLATFORM_ISSUER) {
-      return res
-        .status(500)
-        .send(
-          "Missing PLATFORM_OIDC_AUTH_ENDPOINT / PLATFORM_ISSUER (set after Learn tool registration)"
-        );
-    }
-
-    // Optional: enforce issuer match (recommended)
-    if (PLATFORM_ISSUER && iss !== PLATFORM_ISSUER) {
-      return res.status(400).send(`Issuer mismatch. Got iss=${iss}`);
+    // Resolve the registration for this issuer (+ client_id when sent)
+    const platform = client_id_from_platform
+      ? platforms.get(iss, client_id_from_platform)
+      : platforms.findByIssuer(iss);
+    if (!platform) {
+      return await sendLaunchFailure(req, res, 400, "login", {
+        code: "platform_unknown",
+        reason: `Unknown platform registration (iss=${iss}, client_id=${client_id_from_platform})`,
+      });
     }
-
-    // Determine which client_id to use for the auth request
-    const client_id = client_id_from_platform || LTI_CLIENT_ID;
-    if (!client_id) {
-      return res
-        .status(500)
-        .send("Missing LTI_CLIENT_ID (and platform did not send client_id)");
+    if (!platform.authEndpoint) {
+      return await sendLaunchFailure(req, res, 500, "login", {
+        platformKey: platform.key,
+        code: "auth_endpoint_missing",
+        reason: `Missing OIDC auth endpoint for platform ${platform.key}`,
+      });
     }
+    const client_id = platform.clientId;
 
     // Launch endpoint (Tool Redirect URL) must match what you registered
     // Prefer what platform asked for if it's on our domain; else fallback to TOOL_BASE_URL launch.
@@ -170,7 +700,15 @@ app.get("/lti/login", async (req, res) => {
     // Create state + nonce for CSRF / replay protections
     const state = `st_${randId(16)}`;
     const nonce = `no_${randId(16)}`;
-    putState(state, nonce);
+    await putState(state, nonce, platform.key, target_link_uri);
+    // What the platform sent, so an error page can start over (/lti/relaunch)
+    await putRelaunch(state, {
+      iss,
+      login_hint,
+      target_link_uri,
+      ...(lti_message_hint && { lti_message_hint }),
+      ...(client_id_from_platform && { client_id: client_id_from_platform }),
+    });
 
     // Build OIDC Authentication Request to the platform
     const params = new URLSearchParams({
@@ -188,97 +726,312 @@ app.get("/lti/login", async (req, res) => {
     // lti_message_hint is optional but MUST be echoed back unmodified if present
     if (lti_message_hint) params.set("lti_message_hint", lti_message_hint);
 
-    const authUrl = `${PLATFORM_OIDC_AUTH_ENDPOINT}?${params.toString()}`;
+    const authUrl = `${platform.authEndpoint}?${params.toString()}`;
+    recordAttempt(req, "login", { platformKey: platform.key, ok: true });
     return res.redirect(authUrl);
   } catch (err) {
-    console.error("OIDC login initiation error:", err);
-    return res.status(500).send("OIDC login initiation failed");
+    req.log.error("OIDC login initiation error", { err });
+    return sendLaunchFailure(req, res, 500, "login", {
+      code: "internal_error",
+      reason: err.message,
+      retryUrl: req.originalUrl,
+    });
+  }
+});
+
+/* =========================================================
+   RELAUNCH ("Try again" on the launch error pages)
+   Replays the login initiation a failed launch started from (kept for
+   RELAUNCH_TTL_MS under its OIDC state), so a fresh state + nonce
+   round trip through the platform starts in the same frame.
+========================================================= */
+app.get("/lti/relaunch", async (req, res) => {
+  try {
+    const params = await getRelaunch(String(req.query.r || "").trim());
+    if (!params) {
+      return await sendLaunchFailure(req, res, 400, "login", {
+        code: "relaunch_expired",
+        reason: "Unknown or expired relaunch id",
+      });
+    }
+    return res.redirect(`/lti/login?${new URLSearchParams(params)}`);
+  } catch (err) {
+    req.log.error("Relaunch error", { err });
+    return sendLaunchFailure(req, res, 500, "login", {
+      code: "internal_error",
+      reason: err.message,
+    });
   }
 });
 
 /* =========================================================
    LTI 1.3: Launch / Redirect Endpoint (form_post)
    Dev Portal "Tool Redirect URL(s)" => https://widget-integ.onrender.com/lti/launch
+   Dispatches on message_type: LtiResourceLinkRequest -> 3LO -> UEF boot
+   (or the widget for deep-linked content); LtiDeepLinkingRequest -> picker.
 ========================================================= */
 app.post("/lti/launch", async (req, res) => {
+  const state = String(req.body.state || "").trim();
+  // Platform / launch once known, for the /admin trail and the error page
+  const attempt = { relaunch: state };
+  const fail = (status, code, reason) =>
+    sendLaunchFailure(req, res, status, "launch", {
+      ...attempt,
+      code,
+      reason,
+    });
   try {
     const id_token = String(req.body.id_token || "").trim();
-    const state = String(req.body.state || "").trim();
 
-    if (!id_token) return res.status(400).send("Missing id_token");
-    if (!state) return res.status(400).send("Missing state");
+    if (!id_token)
+      return await fail(400, "id_token_missing", "Missing id_token");
+    if (!state) return await fail(400, "state_missing", "Missing state");
 
-    // Ensure we have the platform details
-    if (!PLATFORM_JWKS_URL || !PLATFORM_ISSUER) {
-      return res
-        .status(500)
-        .send(
-          "Missing PLATFORM_JWKS_URL / PLATFORM_ISSUER (set after Learn tool registration)"
-        );
-    }
-    if (!LTI_CLIENT_ID) {
-      return res
-        .status(500)
-        .send("Missing LTI_CLIENT_ID (set after Learn tool registration)");
+    // Validate state -> nonce (+ the platform chosen at login)
+    const st = await popState(state);
+    if (!st) {
+      throw new LaunchValidationError("state_invalid", "Invalid/expired state");
     }
+    attempt.platformKey = st.platformKey;
 
-    // Validate state -> nonce
-    const st = popState(state);
-    if (!st) return res.status(400).send("Invalid/expired state");
+    const platform = platforms.byKey(st.platformKey);
+    if (!platform) {
+      throw new LaunchValidationError(
+        "platform_unknown",
+        "Unknown platform registration"
+      );
+    }
 
-    // Verify id_token signature + iss + aud
-    const JWKS = createRemoteJWKSet(new URL(PLATFORM_JWKS_URL));
-    const { payload } = await jwtVerify(id_token, JWKS, {
-      issuer: PLATFORM_ISSUER,
-      audience: LTI_CLIENT_ID,
+    // Signature, iss/aud/exp (with clock tolerance), nonce, LTI claims
+    const payload = await launchValidator.validate(id_token, {
+      platform,
+      nonce: st.nonce,
+      targetLinkUri: st.targetLinkUri,
     });
 
-    // Validate nonce matches what we stored for this state
-    const nonce = String(payload.nonce || "");
-    if (!nonce || nonce !== st.nonce) {
-      return res.status(400).send("Nonce mismatch");
-    }
+    const launch = launchContextFrom(payload, platform);
+    req.log = req.log.child(launchFields(launch));
+    Object.assign(attempt, { launch, messageType: launch.messageType });
 
-    // Optional: validate deployment_id if you set it
-    const deploymentId =
-      payload["https://purl.imsglobal.org/spec/lti/claim/deployment_id"];
-    if (LTI_DEPLOYMENT_ID && deploymentId !== LTI_DEPLOYMENT_ID) {
-      return res.status(400).send("deployment_id mismatch");
+    // Instructor adding content: show the picker; no 3LO needed
+    if (launch.messageType === DEEP_LINKING_REQUEST) {
+      await startDeepLinking(res, launch, payload, state);
+      return recordAttempt(req, "launch", { ...attempt, ok: true });
     }
 
     // Blackboard one-time session token (iframe-safe 3LO)
     const oneTime =
       payload["https://blackboard.com/lti/claim/one_time_session_token"];
     if (!oneTime) {
-      return res.status(400).send("Missing one_time_session_token LTI claim");
+      return await fail(
+        400,
+        "one_time_token_missing",
+        "Missing one_time_session_token LTI claim"
+      );
     }
 
     // Start Learn 3LO authorization code flow using one_time_session_token
     // Requires REST_KEY (client_id) for the REST API integration.
-    if (!REST_KEY) {
-      return res
-        .status(500)
-        .send(
-          "Missing REST_KEY (create REST API Integration in Learn and set env vars)"
-        );
+    if (!platform.restKey) {
+      return await fail(
+        500,
+        "rest_key_missing",
+        "Missing REST_KEY (create REST API Integration in Learn and set env vars)"
+      );
     }
 
+    // Bind the 3LO state to this verified launch; checked once in /oauth/callback
+    const oauthState = `oauth_${randId(12)}`;
+    await putOAuthState(oauthState, launch, state);
+
     const oauthRedirectUri = `${TOOL_BASE_URL}/oauth/callback`;
     const oauthParams = new URLSearchParams({
       redirect_uri: oauthRedirectUri,
       response_type: "code",
-      client_id: REST_KEY,
+      client_id: platform.restKey,
       scope: OAUTH_SCOPE,
-      state: `oauth_${randId(12)}`,
+      state: oauthState,
       one_time_session_token: String(oneTime),
     });
 
     // Blackboard 3LO authorize endpoint
-    const authUrl = `${LEARN_HOST}/learn/api/public/v1/oauth2/authorizationcode?${oauthParams.toString()}`;
+    const authUrl = `${platform.learnHost}/learn/api/public/v1/oauth2/authorizationcode?${oauthParams.toString()}`;
+    // ...and, where the browser keeps our cookies, to this browser, so a
+    // state (and code) obtained elsewhere cannot be completed here
+    sessions.bindState(res, oauthState, STATE_TTL_MS);
+    recordAttempt(req, "launch", { ...attempt, ok: true });
     return res.redirect(authUrl);
   } catch (err) {
-    console.error("LTI launch error:", err);
-    return res.status(401).send("LTI launch failed");
+    if (err instanceof LaunchValidationError) {
+      req.log.warn("LTI launch rejected", {
+        code: err.code,
+        reason: err.message,
+      });
+      return fail(err.status, err.code, err.message);
+    }
+    req.log.error("LTI launch error", { err });
+    return fail(500, "internal_error", err.message);
+  }
+});
+
+/* =========================================================
+   LTI 1.3: Dynamic Registration
+   Platform "Tool registration URL" => the one-time link from
+   POST /admin/registration-links (https://widget-integ.onrender.com/lti/register?rt=...).
+   The openid-configuration must live under LTI_REGISTRATION_ISSUERS; the
+   Learn host comes from the link, never from the query.
+========================================================= */
+app.get("/lti/register", async (req, res) => {
+  try {
+    const linkId = String(req.query.rt || "").trim();
+    const openidConfigurationUrl = String(
+      req.query.openid_configuration || ""
+    ).trim();
+    const registrationToken = String(req.query.registration_token || "").trim();
+
+    if (!linkId) {
+      return res.status(401).send("Missing registration link (rt)");
+    }
+    if (!openidConfigurationUrl || !registrationToken) {
+      return res
+        .status(400)
+        .send("Missing openid_configuration or registration_token");
+    }
+    if (
+      !registrationIssuerFor(openidConfigurationUrl, LTI_REGISTRATION_ISSUERS)
+    ) {
+      req.log.warn("LTI dynamic registration refused", {
+        reason: "issuer not allowed",
+        openidConfigurationUrl,
+      });
+      return res.status(403).send("Platform is not allowed to register");
+    }
+    // Single use: a failed registration needs a new link
+    const link = await popRegistrationLink(linkId);
+    if (!link) {
+      return res.status(401).send("Unknown, used or expired registration link");
+    }
+
+    const reg = await registerWithPlatform({
+      openidConfigurationUrl,
+      registrationToken,
+      allowedIssuers: LTI_REGISTRATION_ISSUERS,
+      toolBaseUrl: TOOL_BASE_URL,
+      scopes: [NRPS_SCOPE, AGS_SCOPES.lineItem, AGS_SCOPES.score],
+    });
+
+    // Merge deployments if this client was registered before
+    const existing = platforms.get(reg.issuer, reg.clientId);
+    const deploymentIds = new Set(existing?.deploymentIds || []);
+    if (reg.deploymentId) deploymentIds.add(reg.deploymentId);
+
+    const platform = await platforms.upsert({
+      issuer: reg.issuer,
+      clientId: reg.clientId,
+      deploymentIds: [...deploymentIds],
+      jwksUrl: reg.jwksUrl,
+      authEndpoint: reg.authEndpoint,
+      tokenEndpoint: reg.tokenEndpoint,
+      learnHost: link.learnHost || existing?.learnHost || "",
+    });
+    req.log.info("LTI dynamic registration complete", {
+      platformKey: platform.key,
+      deploymentId: reg.deploymentId,
+    });
+
+    // Spec: tell the platform window we are done so it can close the dialog
+    return res.type("html").send(`<!doctype html>
+<html lang="en">
+  <head><meta charset="utf-8" /><title>Registration complete</title></head>
+  <body>
+    <p>Ask Mappy is registered. You can close this window.</p>
+    <script>
+      (window.opener || window.parent).postMessage({ subject: "org.imsglobal.lti.close" }, "*");
+    </script>
+  </body>
+</html>`);
+  } catch (err) {
+    if (err instanceof RegistrationError) {
+      req.log.error("LTI dynamic registration failed", { err });
+      return res.status(502).send(`Registration failed: ${err.message}`);
+    }
+    req.log.error("LTI dynamic registration error", { err });
+    return res.status(500).send("Registration failed");
+  }
+});
+
+async function startDeepLinking(res, launch, payload, relaunch) {
+  if (!DEEP_LINKING_ROLES.includes(launch.role)) {
+    throw new LaunchValidationError(
+      "deep_linking_forbidden",
+      "Only instructors can add Ask Mappy to course content",
+      403
+    );
+  }
+  const settings = deepLinkSettingsFrom(payload);
+
+  const id = randId(16);
+  await putDeepLinkState(id, { launch, settings, relaunch });
+  return sendDeepLinkPicker(res, { id, launch });
+}
+
+/* =========================================================
+   DEEP LINKING RESPONSE
+   The picker posts { dl, choice, topic }; the pop-once `dl` id ties it
+   to the verified deep-linking launch. Answers with a signed
+   LtiDeepLinkingResponse form-posted to deep_link_return_url.
+========================================================= */
+app.post("/lti/deep-link", async (req, res) => {
+  let st = null; // the deep-linking launch, for the /admin trail
+  const fail = (status, code, reason) =>
+    sendLaunchFailure(req, res, status, "deep-link", {
+      launch: st?.launch,
+      relaunch: st?.relaunch,
+      code,
+      reason,
+    });
+  try {
+    const id = String(req.body.dl || "").trim();
+    st = id ? await popDeepLinkState(id) : null;
+    if (!st) {
+      return await fail(
+        400,
+        "selection_expired",
+        "Unknown or expired picker id"
+      );
+    }
+    const { launch, settings } = st;
+    req.log = req.log.child(launchFields(launch));
+
+    const choice = String(req.body.choice || "");
+    const items =
+      choice === "cancel"
+        ? []
+        : [
+            contentItemFor(
+              { choice, topic: req.body.topic },
+              { toolBaseUrl: TOOL_BASE_URL }
+            ),
+          ];
+
+    const jwt = await signDeepLinkingResponse({
+      launch,
+      settings,
+      items,
+      message: items.length ? `Added ${items[0].title}` : undefined,
+      sign: (claims, options) => toolKeys.sign(claims, options),
+    });
+    req.log.info("Deep linking response", {
+      items: items.map((i) => i.title),
+    });
+    recordAttempt(req, "deep-link", { launch, ok: true });
+    return sendDeepLinkResponse(res, settings.returnUrl, jwt);
+  } catch (err) {
+    if (err instanceof LaunchValidationError) {
+      return fail(err.status, err.code, err.message);
+    }
+    req.log.error("Deep linking error", { err });
+    return fail(500, "internal_error", err.message);
   }
 });
 
@@ -287,48 +1040,769 @@ app.post("/lti/launch", async (req, res) => {
    Learn redirects here after /authorizationcode
 ========================================================= */
 app.get("/oauth/callback", async (req, res) => {
+  let st = null; // 3LO state: the launch, for the /admin trail
+  const fail = (status, code, reason) =>
+    sendLaunchFailure(req, res, status, "3lo", {
+      launch: st?.launch,
+      relaunch: st?.relaunch,
+      code,
+      reason,
+    });
   try {
     const code = String(req.query.code || "").trim();
-    if (!code) return res.status(400).send("Missing code");
+    const state = String(req.query.state || "").trim();
 
-    if (!REST_KEY || !REST_SECRET) {
-      return res.status(500).send("Missing REST_KEY/REST_SECRET env vars");
+    // Validate 3LO state -> launch (pop-once; protects against CSRF /
+    // replay). A browser holding state cookies must hold this state's;
+    // one without any (third-party cookies blocked) is not turned away.
+    const bound = sessions.stateBound(req, state);
+    st = bound !== false ? await popOAuthState(state) : null;
+    if (bound) sessions.releaseState(res, state);
+    if (!code) {
+      // Learn sends ?error=... instead of a code when the user or the
+      // REST integration is refused
+      return await fail(
+        400,
+        String(req.query.error || "code_missing"),
+        String(req.query.error_description || "Missing code")
+      );
+    }
+    if (bound === false) {
+      return await fail(
+        400,
+        "state_unbound",
+        "3LO state was not issued to this browser"
+      );
+    }
+    if (!st) {
+      return await fail(400, "state_invalid", "Invalid/expired 3LO state");
+    }
+    // Verified launch (issuer, deployment, user, course) this token belongs to
+    const { launch } = st;
+    req.log = req.log.child(launchFields(launch));
+
+    const platform = platforms.byKey(launch.platformKey);
+    if (!platform) {
+      return await fail(
+        400,
+        "platform_unknown",
+        "Unknown platform registration"
+      );
+    }
+    if (!platform.restKey || !platform.restSecret) {
+      return await fail(
+        500,
+        "rest_key_missing",
+        "Missing REST_KEY/REST_SECRET env vars"
+      );
     }
 
+    // Exchange code -> access + refresh tokens (kept per user, server-side)
     const redirectUri = `${TOOL_BASE_URL}/oauth/callback`;
-    const tokenUrl = `${LEARN_HOST}/learn/api/public/v1/oauth2/token?code=${encodeURIComponent(
-      code
-    )}&redirect_uri=${encodeURIComponent(redirectUri)}`;
+    const userKey = userKeyFor(launch);
+    try {
+      await tokens.exchangeCode(userKey, platform.key, code, redirectUri);
+    } catch (err) {
+      if (!(err instanceof TokenError)) throw err;
+      req.log.error("3LO token exchange failed", { err });
+      return await fail(500, "token_exchange_failed", err.message);
+    }
 
-    const basic = Buffer.from(`${REST_KEY}:${REST_SECRET}`).toString("base64");
+    // The boot page redeems the one-time code; the token never hits a URL
+    const sid = await sessions.create({ userKey, launch });
+    const bootCode = await sessions.issueCode(sid);
+    sessions.setCookie(res, sid);
+    recordAttempt(req, "3lo", { launch, ok: true });
+    // Deep-linked content items open the widget itself, not the UEF boot;
+    // both redeem the one-time code for the session handle
+    if (launch.placement === "content") {
+      return res.redirect(`/widget.html?code=${encodeURIComponent(bootCode)}`);
+    }
+    return res.redirect(`/uef-boot.html?code=${encodeURIComponent(bootCode)}`);
+  } catch (err) {
+    req.log.error("OAuth callback error", { err });
+    return fail(500, "internal_error", err.message);
+  }
+});
 
-    const r = await fetch(tokenUrl, {
-      method: "POST",
-      headers: {
-        Authorization: `Basic ${basic}`,
-        "Content-Type": "application/x-www-form-urlencoded",
-      },
-      body: "grant_type=authorization_code",
+/* =========================================================
+   UEF SESSION: Redeem one-time code (or session cookie) -> token
+   Called by uef-boot.html; the token never travels in a URL.
+========================================================= */
+async function sendFreshToken(req, res, session, extra = {}) {
+  try {
+    const t = await tokens.getAccessToken(session.userKey);
+    return res.json({ token: t.accessToken, expiresAt: t.expiresAt, ...extra });
+  } catch (err) {
+    if (!(err instanceof TokenError)) throw err;
+    req.log.warn("Learn token renewal failed", { err });
+    return res.status(401).json({ error: "Learn authorization expired" });
+  }
+}
+
+app.post("/uef/session", async (req, res) => {
+  try {
+    res.setHeader("Cache-Control", "no-store");
+
+    const code = String(req.body.code || "").trim();
+    let sid = null;
+    if (code) {
+      sid = await sessions.redeemCode(code);
+      if (!sid) return res.status(401).json({ error: "Invalid/expired code" });
+      sessions.setCookie(res, sid);
+    } else {
+      sid = sessions.sidFromRequest(req);
+    }
+
+    const session = await loadSession(req, sid);
+    if (!session) return res.status(401).json({ error: "No active session" });
+
+    // Session handle lets uef.js call /uef/token where third-party cookies are blocked
+    return await sendFreshToken(req, res, session, {
+      session: sessions.handle(sid),
+      lmsHost: platforms.byKey(session.launch.platformKey)?.learnHost || "",
+    });
+  } catch (err) {
+    req.log.error("UEF session error", { err });
+    return res.status(500).json({ error: "Session lookup failed" });
+  }
+});
+
+/* =========================================================
+   UEF TOKEN: Current (renewed if needed) Learn token for the session
+   uef.js calls this to re-authorize without another LTI launch.
+========================================================= */
+app.post("/uef/token", async (req, res) => {
+  try {
+    res.setHeader("Cache-Control", "no-store");
+
+    const session = await loadSession(req);
+    if (!session) return res.status(401).json({ error: "No active session" });
+
+    return await sendFreshToken(req, res, session);
+  } catch (err) {
+    req.log.error("UEF token error", { err });
+    return res.status(500).json({ error: "Token lookup failed" });
+  }
+});
+
+/* =========================================================
+   API: Launch context for the widget (user, course, role, locale)
+   widget.html calls this before initializing Mappy.
+========================================================= */
+app.get("/api/context", async (req, res) => {
+  try {
+    res.setHeader("Cache-Control", "no-store");
+
+    const session = await loadSession(req);
+    if (!session) return res.status(401).json({ error: "No active session" });
+
+    return res.json(widgetContextFrom(session.launch));
+  } catch (err) {
+    req.log.error("Context lookup error", { err });
+    return res.status(500).json({ error: "Context lookup failed" });
+  }
+});
+
+/* =========================================================
+   API: Learn data for the widget (read as the signed-in user)
+     GET /api/me/courses
+     GET /api/me/calendar?since=&until=     ISO dates; default next 7 days
+     GET /api/courses/:id/contents?parentId=
+     GET /api/courses/:id/grades
+   Learn 400/401/403/404/429 pass through; an open circuit or Learn 503
+   is 503; other failures are 502.
+========================================================= */
+const PASSTHROUGH_LEARN_STATUS = [400, 401, 403, 404, 429];
+
+function sendLearnError(req, res, err) {
+  if (err instanceof TokenError) {
+    req.log.warn("Learn token renewal failed", { err });
+    // Learn down (or circuit open) is not an authorization problem
+    if (err.status >= 500) {
+      return res.status(503).json({ error: "Learn is unavailable" });
+    }
+    return res.status(401).json({ error: "Learn authorization expired" });
+  }
+  if (err instanceof LearnApiError) {
+    const status = PASSTHROUGH_LEARN_STATUS.includes(err.status)
+      ? err.status
+      : err.status === 503
+        ? 503
+        : 502;
+    if (status >= 500) {
+      req.log.error("Learn API error", { err });
+    }
+    return res.status(status).json({
+      error: status >= 500 ? "Learn is unavailable" : err.message,
+      learnStatus: err.status || undefined,
+    });
+  }
+  req.log.error("Learn API proxy error", { err });
+  return res.status(500).json({ error: "Learn request failed" });
+}
+
+function learnRoute(handler) {
+  return async (req, res) => {
+    try {
+      res.setHeader("Cache-Control", "no-store");
+      const session = await loadSession(req);
+      if (!session) return res.status(401).json({ error: "No active session" });
+      return res.json(await handler(session.userKey, req));
+    } catch (err) {
+      return sendLearnError(req, res, err);
+    }
+  };
+}
+
+app.get(
+  "/api/me/courses",
+  learnRoute(async (userKey) => ({
+    courses: await learnApi.myCourses(userKey),
+  }))
+);
+
+app.get(
+  "/api/me/calendar",
+  learnRoute((userKey, req) =>
+    learnApi.myCalendar(userKey, {
+      since: String(req.query.since || "").trim(),
+      until: String(req.query.until || "").trim(),
+    })
+  )
+);
+
+app.get(
+  "/api/courses/:id/contents",
+  learnRoute(async (userKey, req) => ({
+    contents: await learnApi.courseContents(userKey, req.params.id, {
+      parentId: String(req.query.parentId || "").trim(),
+    }),
+  }))
+);
+
+app.get(
+  "/api/courses/:id/grades",
+  learnRoute(async (userKey, req) => ({
+    grades: await learnApi.courseGrades(userKey, req.params.id),
+  }))
+);
+
+/* =========================================================
+   API: Runtime UEF config (uef.js + widget.html load this at boot)
+   Optional ?courseId= selects per-course overrides; the session (if any)
+   selects per-platform overrides. `features` is the feature-gate decision
+   for this user (which entry points uef.js registers).
+========================================================= */
+app.get("/api/uef-config", async (req, res) => {
+  try {
+    res.setHeader("Cache-Control", "no-store");
+
+    const session = await loadSession(req);
+    const launch = session?.launch;
+    const platform = launch ? platforms.byKey(launch.platformKey) : null;
+
+    const courseIds = [
+      launch?.contextId,
+      String(req.query.courseId || "").trim(),
+    ];
+    const { helpProvider, baseNav } = featureRules.evaluate({
+      launch,
+      courseIds,
+    });
+
+    return res.json({
+      ...uefConfig.resolve({ platform, courseIds }),
+      features: { helpProvider, baseNav },
+      clientLogLevel: CLIENT_LOG_LEVEL,
+      analytics: ANALYTICS_ENABLED,
+    });
+  } catch (err) {
+    req.log.error("UEF config error", { err });
+    return res.status(500).json({ error: "UEF config lookup failed" });
+  }
+});
+
+/* =========================================================
+   API: Feature gates for one course (uef.js asks before rendering a
+   course portal entry). ?courseId= is the Learn course id from the
+   portal; rules are evaluated for that course alone, not the launch's.
+========================================================= */
+const COURSE_ID = /^[A-Za-z0-9_]{1,64}$/;
+
+app.get("/api/course/features", async (req, res) => {
+  try {
+    res.setHeader("Cache-Control", "no-store");
+    const courseId = String(req.query.courseId || "").trim();
+    if (!COURSE_ID.test(courseId)) {
+      return res.status(400).json({ error: "Invalid courseId" });
+    }
+
+    const session = await loadSession(req);
+    const { helpProvider, baseNav, coursePortal } = featureRules.evaluate({
+      launch: session?.launch,
+      courseIds: [courseId],
+    });
+    return res.json({
+      courseId,
+      features: { helpProvider, baseNav, coursePortal },
+    });
+  } catch (err) {
+    req.log.error("Course features error", { err });
+    return res.status(500).json({ error: "Feature lookup failed" });
+  }
+});
+
+/* =========================================================
+   API: Client error reports (uef.js log.error)
+   Body: { level, msg, detail, connState }. Fields are truncated and the
+   line goes through the redacting logger with the session's LTI fields.
+   Rate limited per session (or IP) to CLIENT_LOG_MAX_PER_MIN.
+========================================================= */
+const CLIENT_LOG_MAX_PER_MIN = 30;
+const CLIENT_LOG_MAX_CHARS = 1000;
+const clientLogCounts = new Map(); // key -> { windowStart, count }
+
+function clientLogAllowed(key) {
+  const now = Date.now();
+  const entry = clientLogCounts.get(key);
+  if (!entry || now - entry.windowStart >= 60000) {
+    // Drop stale windows so the map stays small
+    for (const [k, v] of clientLogCounts) {
+      if (now - v.windowStart >= 60000) clientLogCounts.delete(k);
+    }
+    clientLogCounts.set(key, { windowStart: now, count: 1 });
+    return true;
+  }
+  entry.count++;
+  return entry.count <= CLIENT_LOG_MAX_PER_MIN;
+}
+
+// Redacted first: key-based masking is lost once `detail` is a string
+function clip(value) {
+  if (value === undefined || value === null) return undefined;
+  const safe = redact(value);
+  const s = typeof safe === "string" ? safe : JSON.stringify(safe);
+  return s.length > CLIENT_LOG_MAX_CHARS
+    ? `${s.slice(0, CLIENT_LOG_MAX_CHARS)}…`
+    : s;
+}
+
+app.post("/api/client-log", async (req, res) => {
+  try {
+    const sid = sessions.sidFromRequest(req);
+    if (!clientLogAllowed(sid || req.ip)) return res.status(429).end();
+
+    await loadSession(req, sid);
+    const body = req.body || {};
+    const level = body.level === "warn" ? "warn" : "error";
+    req.log[level]("client log", {
+      source: "uef",
+      clientMsg: clip(body.msg) || "",
+      clientDetail: clip(body.detail),
+      connState: clip(body.connState),
+      userAgent: clip(req.get("User-Agent")),
     });
+    return res.status(204).end();
+  } catch (err) {
+    req.log.error("Client log error", { err });
+    return res.status(500).end();
+  }
+});
 
-    if (!r.ok) {
-      const txt = await r.text();
-      console.error("3LO token exchange failed:", r.status, txt);
-      return res.status(500).send("3LO token exchange failed");
+/* =========================================================
+   API: Usage events (uef.js panel open / close)
+   Body: { events: [{ type, reason, courseId?, panelId?, durationMs? }] }
+   The user is pseudonymized from the session's launch; 204 when stored.
+========================================================= */
+app.post("/api/analytics/events", async (req, res) => {
+  try {
+    if (!ANALYTICS_ENABLED) return res.status(404).end();
+
+    const session = await loadSession(req);
+    if (!session) return res.status(401).json({ error: "No session" });
+
+    await analytics.record(req.body?.events, session.launch);
+    return res.status(204).end();
+  } catch (err) {
+    if (err instanceof AnalyticsError) {
+      return res.status(err.status).json({ error: err.message });
     }
+    req.log.error("Analytics ingest error", { err });
+    return res.status(500).json({ error: "Could not store events" });
+  }
+});
+
+/* =========================================================
+   API: Course insights (instructors / TAs of the launch course)
+   Which roster members have used Ask Mappy: the NRPS roster joined with
+   usage events for the launch course, between ?from= and ?to=
+   (YYYY-MM-DD, default the last 30 days). A ?courseId= other than the
+   launch course is refused: the role only holds in that course.
+========================================================= */
+app.get("/api/course/roster-usage", async (req, res) => {
+  try {
+    res.setHeader("Cache-Control", "no-store");
+    const session = await loadSession(req);
+    if (!session) return res.status(401).json({ error: "No active session" });
+    const { launch } = session;
+    if (!TEACHING_ROLES.includes(launch.role)) {
+      return res.status(403).json({ error: "Instructors only" });
+    }
+    const courseId = String(req.query.courseId || "").trim();
+    if (courseId && courseId !== launch.contextId) {
+      return res.status(403).json({ error: "Not the launch course" });
+    }
+
+    const [roster, usage] = await Promise.all([
+      rosters.roster(launch),
+      analytics.usageByUser({
+        courseIds: [launch.contextId],
+        from: req.query.from,
+        to: req.query.to,
+      }),
+    ]);
 
-    const data = await r.json();
-    const accessToken = data.access_token;
-    if (!accessToken)
-      return res.status(500).send("Missing access_token from Learn");
+    const members = roster.members.map((m) => {
+      const u = usage.byUser.get(
+        analytics.pseudonymFor(launch.platformKey, m.userId)
+      );
+      return {
+        ...m,
+        usedMappy: Boolean(u),
+        opens: u?.opens || 0,
+        sessions: u?.sessions || 0,
+        durationSec: Math.round((u?.durationMs || 0) / 1000),
+        lastUsed: u?.lastUsed || null,
+      };
+    });
+    const learners = members.filter((m) => m.role === ROLE.STUDENT);
 
-    // Redirect to the UEF boot page to store token + load uef.js
-    return res.redirect(
-      `/uef-boot.html?token=${encodeURIComponent(accessToken)}`
+    return res.json({
+      course: {
+        id: launch.contextId,
+        title: roster.context?.title || launch.contextTitle,
+      },
+      from: usage.from,
+      to: usage.to,
+      totals: {
+        members: members.length,
+        learners: learners.length,
+        learnersUsed: learners.filter((m) => m.usedMappy).length,
+      },
+      members,
+    });
+  } catch (err) {
+    if (err instanceof NrpsError) {
+      const status = err.status === 404 ? 404 : 502;
+      req.log[status === 404 ? "warn" : "error"]("NRPS roster error", { err });
+      return res.status(status).json({
+        error: status === 404 ? err.message : "Course roster is unavailable",
+        platformStatus: err.status || undefined,
+      });
+    }
+    if (err instanceof AnalyticsError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    req.log.error("Roster usage error", { err });
+    return res.status(500).json({ error: "Could not build course insights" });
+  }
+});
+
+/* =========================================================
+   API: Practice activity completion (widget -> AGS score)
+   Body: { activityId }, an activity listed under "activities" in the UEF
+   config (anything else is 400). Posts the signed-in learner's
+   participation score (scoreMaximum) to the activity's line item (found
+   or created in the launch course).
+========================================================= */
+app.post("/api/activity/complete", async (req, res) => {
+  try {
+    const session = await loadSession(req);
+    if (!session) return res.status(401).json({ error: "No active session" });
+    const { launch } = session;
+    if (launch.role !== ROLE.STUDENT) {
+      return res.status(403).json({ error: "Only learners are graded" });
+    }
+
+    const { activity, score } = parseCompletion(req.body, (id) =>
+      uefConfig.activity(id)
     );
+    const lineItem = await ags.lineItemFor(launch, activity);
+    await ags.postScore(launch, lineItem, { userId: launch.sub, ...score });
+    req.log.info("Activity score posted", {
+      activityId: activity.id,
+      scoreGiven: score.scoreGiven,
+      scoreMaximum: score.scoreMaximum,
+    });
+    return res.json({ activityId: activity.id, lineItem, ...score });
   } catch (err) {
-    console.error("OAuth callback error:", err);
-    return res.status(500).send("OAuth callback failed");
+    if (err instanceof AgsError) {
+      // 400 (bad report), 403 (scope not granted), 404 (no AGS) are ours
+      const status = [400, 403, 404].includes(err.status) ? err.status : 502;
+      req.log[status === 502 ? "error" : "warn"]("AGS error", { err });
+      return res.status(status).json({
+        error: status === 502 ? "Grade service is unavailable" : err.message,
+        platformStatus: status === 502 ? err.status || undefined : undefined,
+      });
+    }
+    req.log.error("Activity completion error", { err });
+    return res.status(500).json({ error: "Could not record completion" });
+  }
+});
+
+/* =========================================================
+   ADMIN (Authorization: Bearer ADMIN_TOKEN, or Basic auth with
+   ADMIN_TOKEN as the password so a browser can open /admin)
+========================================================= */
+function adminCredential(req) {
+  const auth = String(req.get("Authorization") || "");
+  const basic = /^Basic\s+(\S+)$/i.exec(auth);
+  if (!basic) return auth.replace(/^Bearer\s+/i, "");
+  const userPass = Buffer.from(basic[1], "base64").toString("utf8");
+  return userPass.slice(userPass.indexOf(":") + 1);
+}
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) return res.status(404).end();
+  const given = Buffer.from(adminCredential(req));
+  const expected = Buffer.from(ADMIN_TOKEN);
+  if (
+    given.length !== expected.length ||
+    !crypto.timingSafeEqual(given, expected)
+  ) {
+    res.setHeader("WWW-Authenticate", 'Bearer, Basic realm="Ask Mappy admin"');
+    return res.status(401).json({ error: "Admin token required" });
+  }
+  res.setHeader("Cache-Control", "no-store");
+  next();
+}
+
+/* ===== diagnostics: GET /admin (page) and /admin/diagnostics (JSON) ===== */
+
+async function adminReport(req) {
+  const limit = Math.min(
+    Math.max(1, Number(req.query.limit) || launchTrail.size),
+    launchTrail.size
+  );
+  return {
+    generatedAt: new Date().toISOString(),
+    ...(await diagnostics({ fresh: req.query.fresh === "1" })),
+    attempts: launchTrail.list({
+      limit,
+      failuresOnly: req.query.failures === "1",
+    }),
+  };
+}
+
+const ADMIN_STYLE = `
+      body { font-family: system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif; padding: 24px; color: #262626; }
+      h1 { font-size: 20px; margin: 0 0 8px; }
+      h2 { font-size: 16px; margin: 24px 0 8px; }
+      table { border-collapse: collapse; font-size: 13px; }
+      th, td { border: 1px solid #d9d9d9; padding: 4px 8px; text-align: left; vertical-align: top; }
+      th { background: #f5f5f5; }
+      .ok { color: #1a7f37; font-weight: 600; }
+      .warn { color: #9a6700; font-weight: 600; }
+      .error { color: #cf222e; font-weight: 600; }`;
+
+function badge(ok, severity = "error") {
+  if (ok) return `<span class="ok">OK</span>`;
+  return `<span class="${severity}">${severity === "warn" ? "WARN" : "FAIL"}</span>`;
+}
+
+// Rows of already-escaped cells
+function adminTable(headers, rows) {
+  if (!rows.length) return "<p>None.</p>";
+  const tr = (cells, tag) =>
+    `<tr>${cells.map((c) => `<${tag}>${c}</${tag}>`).join("")}</tr>`;
+  return `<table>
+      ${tr(headers, "th")}
+      ${rows.map((r) => tr(r, "td")).join("\n      ")}
+    </table>`;
+}
+
+function sendAdminPage(res, report) {
+  const e = (v) => escapeHtml(v ?? "");
+  const probe = (p) =>
+    `${badge(p.ok)} ${p.status ? `HTTP ${p.status}, ` : ""}${p.ms ?? 0} ms${
+      p.error ? `<br />${e(p.error)}` : ""
+    }<br /><small>${e(p.url)}</small>`;
+  const store = report.stateStore;
+
+  res.type("html").send(`<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width,initial-scale=1" />
+    <title>Ask Mappy diagnostics</title>
+    <style>${ADMIN_STYLE}
+    </style>
+  </head>
+  <body>
+    <h1>Ask Mappy diagnostics</h1>
+    <p>
+      Status: ${badge(report.status === "ok")} &middot; ${e(report.generatedAt)}
+      &middot; <a href="/admin?fresh=1">Re-check endpoints</a>
+      &middot; <a href="/admin?failures=1">Failures only</a>
+      &middot; <a href="/admin/diagnostics">JSON</a>
+    </p>
+
+    <h2>Settings</h2>
+    ${adminTable(
+      ["Check", "Result", "Detail"],
+      report.checks.map((c) => [
+        e(c.name),
+        badge(c.ok, c.severity),
+        e(c.message),
+      ])
+    )}
+
+    <h2>Platform endpoints</h2>
+    ${adminTable(
+      ["Platform", "JWKS", "OIDC auth endpoint", "Checked"],
+      report.probes.map((p) => [
+        e(p.platformKey),
+        probe(p.jwks),
+        probe(p.oidc),
+        e(p.checkedAt),
+      ])
+    )}
+
+    <h2>State store</h2>
+    ${adminTable(
+      ["Kind", "Live records", "Result"],
+      [
+        [
+          e(store.kind),
+          e(store.size ?? "-"),
+          `${badge(store.ok)} ${e(store.error)}`,
+        ],
+      ]
+    )}
+
+    <h2>Recent launch and 3LO attempts (${report.recentFailures} failed)</h2>
+    ${adminTable(
+      [
+        "Time",
+        "Stage",
+        "Result",
+        "Code",
+        "Reason",
+        "Platform",
+        "Deployment",
+        "User (sub)",
+        "Course",
+        "Request id",
+      ],
+      report.attempts.map((a) => [
+        e(a.ts),
+        e(a.stage),
+        badge(a.ok),
+        e(a.code),
+        e(a.reason),
+        e(a.platformKey),
+        e(a.deploymentId),
+        e(a.sub),
+        e(a.contextId),
+        e(a.requestId),
+      ])
+    )}
+  </body>
+</html>`);
+}
+
+/**
+ * Diagnostics as JSON: { status, checks, probes, stateStore,
+ * recentFailures, attempts (newest first) }. ?limit=N caps the
+ * attempts, ?failures=1 keeps only failed ones, ?fresh=1 re-probes the
+ * platform endpoints instead of using the last minute's results.
+ */
+app.get("/admin/diagnostics", requireAdmin, async (req, res) => {
+  try {
+    return res.json(await adminReport(req));
+  } catch (err) {
+    req.log.error("Diagnostics error", { err });
+    return res.status(500).json({ error: "Could not run diagnostics" });
+  }
+});
+
+// The same report as a page (same query parameters)
+app.get("/admin", requireAdmin, async (req, res) => {
+  try {
+    return sendAdminPage(res, await adminReport(req));
+  } catch (err) {
+    req.log.error("Diagnostics error", { err });
+    return res.status(500).send("Could not run diagnostics");
+  }
+});
+
+/* ===== dynamic registration links ===== */
+
+/**
+ * One-time Tool registration URL for LTI Dynamic Registration, valid for
+ * REGISTRATION_LINK_TTL_MS. Body: { learnHost? } (https origin of the
+ * Learn site; default LEARN_HOST, required without it). Answers
+ * { url, expiresAt }.
+ */
+app.post("/admin/registration-links", requireAdmin, async (req, res) => {
+  try {
+    let learnHost = LEARN_HOST;
+    const given = String(req.body?.learnHost || "").trim();
+    if (given) {
+      let u = null;
+      try {
+        u = new URL(given);
+      } catch {
+        // reported below
+      }
+      if (!u || !["https:", "http:"].includes(u.protocol)) {
+        return res.status(400).json({ error: "learnHost must be a URL" });
+      }
+      learnHost = u.origin;
+    }
+    if (!learnHost) {
+      return res.status(400).json({ error: "learnHost is required" });
+    }
+
+    const id = `rt_${randId(24)}`;
+    await putRegistrationLink(id, { learnHost });
+    req.log.info("Registration link issued", { learnHost });
+    return res.json({
+      url: `${TOOL_BASE_URL}/lti/register?rt=${id}`,
+      expiresAt: new Date(Date.now() + REGISTRATION_LINK_TTL_MS).toISOString(),
+    });
+  } catch (err) {
+    req.log.error("Registration link error", { err });
+    return res.status(500).json({ error: "Could not issue a link" });
+  }
+});
+
+/**
+ * Usage by UTC day and course: ?from=YYYY-MM-DD&to=YYYY-MM-DD&courseId=
+ * (default the last 30 days). ?format=csv downloads the rows as CSV.
+ */
+app.get("/admin/analytics", requireAdmin, async (req, res) => {
+  try {
+    const report = await analytics.aggregate({
+      from: req.query.from,
+      to: req.query.to,
+      courseId: String(req.query.courseId || "").trim() || undefined,
+    });
+    if (req.query.format === "csv") {
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="ask-mappy-usage-${report.from}-${report.to}.csv"`
+      );
+      return res.type("text/csv").send(toCsv(report.rows));
+    }
+    return res.json(report);
+  } catch (err) {
+    if (err instanceof AnalyticsError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    req.log.error("Analytics report error", { err });
+    return res.status(500).json({ error: "Could not build report" });
   }
 });
 
@@ -337,7 +1811,13 @@ app.get("/oauth/callback", async (req, res) => {
 ========================================================= */
 const PORT = Number(process.env.PORT || 10000);
 app.listen(PORT, "0.0.0.0", () => {
-  console.log(`Listening on http://0.0.0.0:${PORT}`);
-  console.log("TOOL_BASE_URL =", TOOL_BASE_URL);
-  console.log("LEARN_HOST     =", LEARN_HOST);
+  logger.info("Listening", {
+    port: PORT,
+    toolBaseUrl: TOOL_BASE_URL,
+    learnHost: LEARN_HOST,
+    platforms: platforms.all().map((p) => p.key),
+    stateStore: stateStore.kind,
+    toolKeyKid: activeKid,
+    logLevel: logger.level,
+  });
 });
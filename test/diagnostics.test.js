@@ -0,0 +1,86 @@
+/**
+ * Diagnostics (lib/diagnostics.js): config checks, the cached probe
+ * results /health reads, and a failed probe turning the status to
+ * "degraded".
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import {
+  checkConfig,
+  createEndpointProbe,
+  overallStatus,
+  probeChecks,
+} from "../lib/diagnostics.js";
+
+// JWKS + OIDC endpoints on one local server, counting hits
+async function platformServer(t, { jwksStatus = 200 } = {}) {
+  const hits = [];
+  const server = http.createServer((req, res) => {
+    hits.push(req.url);
+    if (req.url === "/jwks") {
+      res.writeHead(jwksStatus, { "Content-Type": "application/json" });
+      return res.end(JSON.stringify({ keys: [{ kid: "k1" }] }));
+    }
+    res.writeHead(400).end();
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return { hits, base };
+}
+
+const platform = (key, base) => ({
+  key,
+  jwksUrl: `${base}/jwks`,
+  authEndpoint: `${base}/auth`,
+});
+
+test("a 3LO scope without offline is flagged", () => {
+  const scopeCheck = (oauthScope) =>
+    checkConfig({
+      toolBaseUrl: "https://tool.test",
+      oauthScope,
+      platforms: [],
+    }).find((c) => c.name === "OAUTH_SCOPE");
+
+  assert.equal(scopeCheck("read offline").ok, true);
+  assert.equal(scopeCheck("offline read").ok, true);
+  for (const scope of ["read", "read offline_access", ""]) {
+    const c = scopeCheck(scope);
+    assert.equal(c.ok, false, scope);
+    assert.equal(c.severity, "warn");
+    assert.match(c.message, /no refresh token/);
+  }
+});
+
+test("cached() returns the last results without probing", async (t) => {
+  const { hits, base } = await platformServer(t);
+  const probe = createEndpointProbe();
+  const a = platform("a", base);
+  const b = platform("b", base);
+
+  assert.deepEqual(probe.cached([a, b]), []);
+  assert.equal(hits.length, 0);
+
+  const [result] = await probe.check([a]);
+  assert.equal(hits.length, 2);
+  assert.deepEqual(probe.cached([a, b]), [result]);
+  assert.equal(hits.length, 2, "no new requests");
+});
+
+test("an unreachable JWKS makes the status degraded", async (t) => {
+  const { base } = await platformServer(t, { jwksStatus: 503 });
+  const probe = createEndpointProbe();
+  await probe.check([platform("a", base)]);
+
+  const checks = probeChecks(probe.cached([platform("a", base)]));
+  assert.deepEqual(
+    checks.map((c) => [c.name, c.ok, c.message]),
+    [
+      ["platform a: JWKS reachable", false, "HTTP 503"],
+      ["platform a: OIDC auth endpoint reachable", true, ""],
+    ]
+  );
+  assert.equal(overallStatus(checks), "degraded");
+});
@@ -0,0 +1,130 @@
+/**
+ * Dynamic registration (lib/dynamic-registration.js) against a local
+ * platform: the allow-list, redirects that are refused rather than
+ * followed, and platforms that never answer.
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import {
+  fetchOpenIdConfiguration,
+  registerWithPlatform,
+  RegistrationError,
+} from "../lib/dynamic-registration.js";
+
+// Platform on a local server; `routes` maps "METHOD /path" to a handler
+async function platformServer(t, routes) {
+  const hits = [];
+  const server = http.createServer((req, res) => {
+    hits.push(`${req.method} ${req.url}`);
+    const route = routes[`${req.method} ${req.url}`];
+    if (route) return route(req, res);
+    res.writeHead(404).end();
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => {
+    server.closeAllConnections();
+    return new Promise((resolve) => server.close(resolve));
+  });
+  const issuer = `http://127.0.0.1:${server.address().port}`;
+  return { hits, issuer };
+}
+
+const json = (res, status, body) => {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+};
+
+const openidConfiguration = (issuer) => ({
+  issuer,
+  registration_endpoint: `${issuer}/register`,
+  authorization_endpoint: `${issuer}/auth`,
+  jwks_uri: `${issuer}/jwks`,
+  token_endpoint: `${issuer}/token`,
+});
+
+const OPENID = "/.well-known/openid-configuration";
+
+test("registration returns the platform the configuration describes", async (t) => {
+  const { hits, issuer } = await platformServer(t, {
+    [`GET ${OPENID}`]: (req, res) =>
+      json(res, 200, openidConfiguration(issuer)),
+    "POST /register": (req, res) =>
+      json(res, 200, {
+        client_id: "client-1",
+        "https://purl.imsglobal.org/spec/lti-tool-configuration": {
+          deployment_id: "d1",
+        },
+      }),
+  });
+
+  const reg = await registerWithPlatform({
+    openidConfigurationUrl: `${issuer}${OPENID}`,
+    registrationToken: "reg-token",
+    allowedIssuers: [issuer],
+    toolBaseUrl: "https://tool.test",
+  });
+  assert.equal(reg.clientId, "client-1");
+  assert.equal(reg.deploymentId, "d1");
+  assert.equal(reg.jwksUrl, `${issuer}/jwks`);
+  assert.deepEqual(hits, [`GET ${OPENID}`, "POST /register"]);
+
+  await assert.rejects(
+    fetchOpenIdConfiguration(`${issuer}${OPENID}`, {
+      allowedIssuers: ["https://other.test"],
+    }),
+    /not under an allowed issuer/
+  );
+  assert.equal(hits.length, 2, "nothing fetched outside the allow-list");
+});
+
+test("redirects are refused, not followed", async (t) => {
+  const { hits, issuer } = await platformServer(t, {
+    [`GET ${OPENID}`]: (req, res) =>
+      res.writeHead(302, { Location: "/elsewhere" }).end(),
+  });
+
+  await assert.rejects(
+    fetchOpenIdConfiguration(`${issuer}${OPENID}`, {
+      allowedIssuers: [issuer],
+    }),
+    (err) => {
+      assert.ok(err instanceof RegistrationError);
+      assert.match(err.message, /redirected/);
+      assert.equal(err.status, 302);
+      return true;
+    }
+  );
+
+  const registration = await platformServer(t, {
+    [`GET ${OPENID}`]: (req, res) =>
+      json(res, 200, openidConfiguration(registration.issuer)),
+    "POST /register": (req, res) =>
+      res.writeHead(307, { Location: "https://evil.test/register" }).end(),
+  });
+  await assert.rejects(
+    registerWithPlatform({
+      openidConfigurationUrl: `${registration.issuer}${OPENID}`,
+      allowedIssuers: [registration.issuer],
+      toolBaseUrl: "https://tool.test",
+    }),
+    /registration endpoint redirected/
+  );
+  assert.deepEqual(hits, [`GET ${OPENID}`]);
+});
+
+test("a platform that never answers times out", async (t) => {
+  const { issuer } = await platformServer(t, {
+    [`GET ${OPENID}`]: () => {},
+  });
+
+  const started = Date.now();
+  await assert.rejects(
+    fetchOpenIdConfiguration(`${issuer}${OPENID}`, {
+      allowedIssuers: [issuer],
+      timeoutMs: 100,
+    }),
+    /openid-configuration timed out after 100 ms/
+  );
+  assert.ok(Date.now() - started < 2000);
+});
@@ -0,0 +1,211 @@
+/**
+ * Feature gates (lib/feature-gates.js): each `when` condition allowing
+ * and denying, first-match precedence over the default, and rules files
+ * that are refused at load.
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  FeatureRulesError,
+  loadFeatureRules,
+  validateFeatureRules,
+} from "../lib/feature-gates.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const INSTITUTION =
+  "http://purl.imsglobal.org/vocab/lis/v2/institution/person#";
+
+const ALL_ON = { helpProvider: true, baseNav: true, coursePortal: true };
+const ALL_OFF = { helpProvider: false, baseNav: false, coursePortal: false };
+
+async function rulesFile(t, config) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "feature-rules-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "feature-rules.json");
+  await fs.writeFile(file, JSON.stringify(config));
+  return file;
+}
+
+// One rule turning everything off when `when` holds
+async function gate(t, when) {
+  return loadFeatureRules(
+    await rulesFile(t, {
+      default: ALL_ON,
+      rules: [{ name: "off", when, features: ALL_OFF }],
+    })
+  );
+}
+
+const on = (decision) => decision.rule === "off";
+
+test("roles match the primary LTI role", async (t) => {
+  const rules = await gate(t, { roles: ["guest", "ta"] });
+  assert.ok(on(rules.evaluate({ launch: { role: "guest" } })));
+  assert.ok(!on(rules.evaluate({ launch: { role: "student" } })));
+  assert.ok(!on(rules.evaluate({ launch: null })), "no session");
+});
+
+test("institutionRoles match the institution role URNs", async (t) => {
+  const rules = await gate(t, { institutionRoles: ["Faculty"] });
+  const launch = (...names) => ({
+    role: "instructor",
+    roles: names.map((n) => `${INSTITUTION}${n}`),
+  });
+  assert.ok(on(rules.evaluate({ launch: launch("Staff", "Faculty") })));
+  assert.ok(!on(rules.evaluate({ launch: launch("Student") })));
+  // A context role with the same name is not an institution role
+  assert.ok(
+    !on(
+      rules.evaluate({
+        launch: {
+          roles: ["http://purl.imsglobal.org/vocab/lis/v2/membership#Faculty"],
+        },
+      })
+    )
+  );
+});
+
+test("courses match any of the request's course ids", async (t) => {
+  const rules = await gate(t, { courses: ["_123_1"] });
+  assert.ok(on(rules.evaluate({ courseIds: ["ctx-9", "_123_1"] })));
+  assert.ok(!on(rules.evaluate({ courseIds: ["_124_1"] })));
+  assert.ok(!on(rules.evaluate({ courseIds: [] })));
+  assert.ok(!on(rules.evaluate({ courseIds: [null, ""] })));
+});
+
+test("from/until bound the dates, until taking its whole day", async (t) => {
+  const rules = await gate(t, { from: "2026-01-05", until: "2026-05-31" });
+  const at = (iso) => rules.evaluate({ now: Date.parse(iso) });
+  assert.ok(!on(at("2026-01-04T23:59:59Z")));
+  assert.ok(on(at("2026-01-05T00:00:00Z")));
+  assert.ok(on(at("2026-05-31T23:59:59Z")));
+  assert.ok(!on(at("2026-06-01T00:00:00Z")));
+
+  const exact = await gate(t, { until: "2026-05-31T12:00:00Z" });
+  assert.ok(on(exact.evaluate({ now: Date.parse("2026-05-31T12:00:00Z") })));
+  assert.ok(!on(exact.evaluate({ now: Date.parse("2026-05-31T12:00:01Z") })));
+});
+
+test("every condition must hold; an empty when matches all", async (t) => {
+  const rules = await gate(t, { roles: ["student"], courses: ["_123_1"] });
+  const student = { role: "student" };
+  assert.ok(on(rules.evaluate({ launch: student, courseIds: ["_123_1"] })));
+  assert.ok(!on(rules.evaluate({ launch: student, courseIds: ["_9_1"] })));
+
+  const always = await loadFeatureRules(
+    await rulesFile(t, {
+      default: ALL_ON,
+      rules: [{ name: "off", features: { baseNav: false } }],
+    })
+  );
+  assert.deepEqual(always.evaluate(), {
+    ...ALL_ON,
+    baseNav: false,
+    rule: "off",
+  });
+});
+
+test("the first matching rule applies over the default", async (t) => {
+  const rules = await loadFeatureRules(
+    await rulesFile(t, {
+      default: { helpProvider: true, baseNav: false, coursePortal: true },
+      rules: [
+        {
+          name: "pilot",
+          when: { courses: ["_123_1"] },
+          features: { baseNav: true },
+        },
+        { name: "guests", when: { roles: ["guest"] }, features: ALL_OFF },
+      ],
+    })
+  );
+
+  // A guest in the pilot course gets the pilot rule only
+  assert.deepEqual(
+    rules.evaluate({ launch: { role: "guest" }, courseIds: ["_123_1"] }),
+    { helpProvider: true, baseNav: true, coursePortal: true, rule: "pilot" }
+  );
+  assert.deepEqual(rules.evaluate({ launch: { role: "guest" } }), {
+    ...ALL_OFF,
+    rule: "guests",
+  });
+  assert.deepEqual(rules.evaluate({ launch: { role: "student" } }), {
+    helpProvider: true,
+    baseNav: false,
+    coursePortal: true,
+    rule: null,
+  });
+});
+
+test("malformed rules are refused with every problem listed", async (t) => {
+  assert.throws(
+    () =>
+      validateFeatureRules({
+        default: { helpProvider: true, baseNav: "yes" },
+        rules: [
+          {
+            name: "bad",
+            when: {
+              roles: "student",
+              courses: [""],
+              from: "next monday",
+              weekday: "mon",
+            },
+            features: { chat: true },
+          },
+          { when: {}, features: [] },
+        ],
+      }),
+    (err) => {
+      assert.ok(err instanceof FeatureRulesError);
+      assert.deepEqual(err.problems, [
+        "default.baseNav must be boolean",
+        "default.baseNav is required",
+        "default.coursePortal is required",
+        "rules[0] (bad).when.weekday is unknown",
+        "rules[0] (bad).when.roles must be a list of strings",
+        "rules[0] (bad).when.courses must be a list of strings",
+        "rules[0] (bad).when.from must be a date",
+        "rules[0] (bad).features.chat is not a feature",
+        "rules[1].features must be an object",
+      ]);
+      return true;
+    }
+  );
+
+  assert.throws(() => validateFeatureRules(null), FeatureRulesError);
+  assert.throws(
+    () => validateFeatureRules({ default: ALL_ON }),
+    /rules must be an array/
+  );
+});
+
+test("a rules file that does not parse or validate fails the load", async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "feature-rules-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "feature-rules.json");
+  await fs.writeFile(file, "{ not json");
+  await assert.rejects(
+    loadFeatureRules(file),
+    /Cannot load FEATURE_RULES_FILE/
+  );
+  await assert.rejects(
+    loadFeatureRules(await rulesFile(t, { default: ALL_ON, rules: [{}] })),
+    FeatureRulesError
+  );
+});
+
+test("the shipped rules turn everything off for guests", async () => {
+  const rules = await loadFeatureRules(
+    path.join(ROOT, "config", "feature-rules.json")
+  );
+  assert.deepEqual(rules.evaluate({ launch: { role: "guest" } }), {
+    ...ALL_OFF,
+    rule: "no-guests",
+  });
+  assert.equal(rules.evaluate({ launch: { role: "student" } }).rule, null);
+});
@@ -0,0 +1,139 @@
+/**
+ * test/helpers/resp-stub.js
+ *
+ * In-process Redis stand-in speaking RESP over TCP, with just the
+ * commands lib/state-store.js sends: AUTH, SELECT, SET key value PX ms,
+ * GET, GETDEL, DEL, SCAN cursor MATCH prefix* COUNT n. Unknown commands
+ * answer -ERR. `chunked` writes replies one byte at a time to exercise
+ * the client's partial-reply parsing; `silent` accepts connections but
+ * never answers (a stalled server), keeping what it got in `received`.
+ */
+import net from "net";
+
+const bulk = (s) =>
+  s == null ? "$-1\r\n" : `$${Buffer.byteLength(s)}\r\n${s}\r\n`;
+const array = (items) => `*${items.length}\r\n${items.join("")}`;
+
+// Commands in `buf` -> [[args...], ...] and the unconsumed rest
+function parseCommands(buf) {
+  const commands = [];
+  let pos = 0;
+  for (;;) {
+    const start = pos;
+    const header = buf.indexOf("\r\n", pos);
+    if (header === -1 || buf[pos] !== 0x2a)
+      return { commands, rest: buf.subarray(start) };
+    const count = Number(buf.toString("utf8", pos + 1, header));
+    pos = header + 2;
+    const args = [];
+    for (let i = 0; i < count; i++) {
+      const lenEnd = buf.indexOf("\r\n", pos);
+      if (lenEnd === -1) return { commands, rest: buf.subarray(start) };
+      const len = Number(buf.toString("utf8", pos + 1, lenEnd));
+      if (buf.length < lenEnd + 2 + len + 2) {
+        return { commands, rest: buf.subarray(start) };
+      }
+      args.push(buf.toString("utf8", lenEnd + 2, lenEnd + 2 + len));
+      pos = lenEnd + 2 + len + 2;
+    }
+    commands.push(args);
+  }
+}
+
+export async function startRespStub({
+  password = "",
+  chunked = false,
+  silent = false,
+} = {}) {
+  const data = new Map(); // key -> { value, expiresAt }
+  const log = []; // every command received, as [NAME, ...args]
+  const received = []; // raw chunks, when silent
+  const sockets = new Set();
+  let connections = 0;
+
+  const live = (key) => {
+    const v = data.get(key);
+    if (v && v.expiresAt <= Date.now()) data.delete(key);
+    return data.get(key) || null;
+  };
+
+  function run([name, ...args], session) {
+    const cmd = name.toUpperCase();
+    log.push([cmd, ...args]);
+    if (cmd === "AUTH") {
+      const given = args[args.length - 1];
+      if (given !== password) return "-WRONGPASS invalid password\r\n";
+      session.authed = true;
+      return "+OK\r\n";
+    }
+    if (password && !session.authed)
+      return "-NOAUTH Authentication required\r\n";
+    switch (cmd) {
+      case "SELECT":
+        return "+OK\r\n";
+      case "SET": {
+        const [key, value, px, ms] = args;
+        const ttl = String(px).toUpperCase() === "PX" ? Number(ms) : Infinity;
+        data.set(key, { value, expiresAt: Date.now() + ttl });
+        return "+OK\r\n";
+      }
+      case "GET":
+        return bulk(live(args[0])?.value);
+      case "GETDEL": {
+        const v = live(args[0]);
+        data.delete(args[0]);
+        return bulk(v?.value);
+      }
+      case "DEL":
+        return `:${data.delete(args[0]) ? 1 : 0}\r\n`;
+      case "SCAN": {
+        // Two pages, so the client has to follow the cursor
+        const prefix = args[args.indexOf("MATCH") + 1].replace(/\*$/, "");
+        const keys = [...data.keys()].filter(
+          (k) => k.startsWith(prefix) && live(k)
+        );
+        const half = Math.ceil(keys.length / 2);
+        const page = args[0] === "0" ? keys.slice(0, half) : keys.slice(half);
+        const next = args[0] === "0" && keys.length > half ? "1" : "0";
+        return array([bulk(next), array(page.map(bulk))]);
+      }
+      default:
+        return `-ERR unknown command '${name}'\r\n`;
+    }
+  }
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    connections++;
+    socket.on("close", () => sockets.delete(socket));
+    const session = { authed: false };
+    let buffer = Buffer.alloc(0);
+    socket.on("data", async (chunk) => {
+      if (silent) return received.push(chunk);
+      const { commands, rest } = parseCommands(Buffer.concat([buffer, chunk]));
+      buffer = rest;
+      const reply = commands.map((c) => run(c, session)).join("");
+      if (!chunked) return socket.write(reply);
+      for (const byte of Buffer.from(reply)) {
+        socket.write(Buffer.from([byte]));
+        await new Promise((r) => setImmediate(r));
+      }
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    url: (auth = "", db = "") =>
+      `redis://${auth ? `${auth}@` : ""}127.0.0.1:${server.address().port}${db ? `/${db}` : ""}`,
+    data,
+    log,
+    received,
+    get connections() {
+      return connections;
+    },
+    close() {
+      for (const s of sockets) s.destroy();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
@@ -0,0 +1,245 @@
+/**
+ * test/helpers/uef-frames.js
+ *
+ * jsdom stand-ins for the tool frames Ultra hosts side by side:
+ * public/uef.js in the integration frame (/uef-boot.html) and
+ * public/mappy-bridge.js in the panel frame (/widget.html), siblings
+ * under a fake Ultra parent window.
+ *
+ * jsdom's postMessage carries no origin or source, so messages between
+ * the frames are delivered here with both set, the way a browser would.
+ * The Ultra side of the handshake is mock/ultra-host.js unless the test
+ * answers integration:hello itself (onHello).
+ */
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { JSDOM, VirtualConsole } from "jsdom";
+import { createUltraHost } from "../../mock/ultra-host.js";
+
+export const TOOL_ORIGIN = "https://tool.test";
+export const LMS_HOST = "https://lms.test";
+export const TOKEN = "learn-token-1";
+
+const ROOT = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../.."
+);
+const sources = new Map();
+
+function source(file) {
+  if (!sources.has(file)) {
+    sources.set(file, fs.readFile(path.join(ROOT, "public", file), "utf8"));
+  }
+  return sources.get(file);
+}
+
+export const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+export async function waitFor(what, check, timeoutMs = 2000) {
+  const end = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > end) throw new Error(`Timed out waiting for ${what}`);
+    await sleep(5);
+  }
+}
+
+// A "message" event as the browser would fire it: async, with origin and
+// source, and a structured clone of the data
+export function deliver(win, data, { origin, source = null, ports = [] }) {
+  const copy = structuredClone(data);
+  setTimeout(() => {
+    const event = new win.Event("message");
+    Object.defineProperties(event, {
+      data: { value: copy },
+      origin: { value: origin },
+      source: { value: source },
+      ports: { value: ports },
+    });
+    win.dispatchEvent(event);
+  }, 0);
+}
+
+// `navigations` counts top-level navigations jsdom refused to perform
+function createFrame(url, navigations) {
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on("jsdomError", (err) => {
+    if (/navigation/.test(err.message)) navigations.push(err.message);
+  });
+  return new JSDOM("", { url, runScripts: "outside-only", virtualConsole })
+    .window;
+}
+
+/**
+ * Boots uef.js (and, with `widget`, mappy-bridge.js in a sibling frame).
+ *   config        merged into the /api/uef-config answer (e.g. retry timing)
+ *   coursePortal  (courseId) => boolean (or a promise of one), the
+ *                 /api/course/features gate
+ *   token         what /uef/token renews to (uef-boot.html sets the first)
+ *   onHello       (event, ultra) => void; default: mock/ultra-host.js answers
+ */
+export async function createFrames({
+  config = {},
+  coursePortal = () => true,
+  token = TOKEN,
+  widget = false,
+  onHello,
+} = {}) {
+  const navigations = [];
+  const fetches = [];
+  const hellos = [];
+
+  const ultra = createUltraHost({
+    toolOrigin: TOOL_ORIGIN,
+    verifyToken: async (t) => t === token,
+  });
+
+  const uef = createFrame(`${TOOL_ORIGIN}/uef-boot.html`, navigations);
+  const panel = widget
+    ? createFrame(`${TOOL_ORIGIN}/widget.html`, navigations)
+    : null;
+
+  // Ultra: posts to it are the integration:hello; it answers with a port
+  const parent = {
+    frames: [uef, panel].filter(Boolean),
+    postMessage(data, targetOrigin) {
+      hellos.push({ data, targetOrigin, at: Date.now() });
+      const event = {
+        data,
+        origin: TOOL_ORIGIN,
+        source: {
+          postMessage: (reply, origin, ports) =>
+            deliver(uef, reply, { origin: LMS_HOST, source: parent, ports }),
+        },
+      };
+      if (onHello) onHello(event, ultra);
+      else ultra.handleWindowMessage(event);
+    },
+  };
+
+  // Same-origin frame -> frame posts (targetOrigin is honored)
+  const wire = (to, from) => {
+    to.postMessage = (data, targetOrigin) => {
+      if (targetOrigin !== "*" && targetOrigin !== TOOL_ORIGIN) return;
+      deliver(to, data, { origin: TOOL_ORIGIN, source: from });
+    };
+  };
+
+  const answers = {
+    "/api/uef-config": () => ({
+      panelType: "small",
+      panelTitle: "Ask Mappy",
+      displayName: "Ask Mappy",
+      iconPath: "/icon.png",
+      helpProviderId: "help",
+      providerType: "auxiliary",
+      baseNavRouteName: "ask-mappy",
+      coursePortalSelectors: ["course.outline.details"],
+      coursePortalLabel: "Ask Mappy about this course",
+      features: { helpProvider: true, baseNav: true },
+      clientLogLevel: "silent",
+      ...config,
+    }),
+    "/uef/token": () => ({ token }),
+    "/api/course/features": async (url) => {
+      const courseId = url.searchParams.get("courseId");
+      return {
+        courseId,
+        features: { coursePortal: await coursePortal(courseId) },
+      };
+    },
+  };
+
+  for (const win of [uef, panel].filter(Boolean)) {
+    Object.defineProperty(win, "parent", { value: parent, configurable: true });
+    win.fetch = async (url, options = {}) => {
+      const parsed = new URL(url, TOOL_ORIGIN);
+      const { pathname } = parsed;
+      fetches.push({ pathname, search: parsed.search, options });
+      const body = await answers[pathname]?.(parsed);
+      return {
+        ok: true,
+        status: body ? 200 : 204,
+        json: async () => body || {},
+      };
+    };
+  }
+  if (panel) {
+    wire(uef, panel);
+    wire(panel, uef);
+    panel.eval(await source("mappy-bridge.js"));
+  }
+
+  uef.__lmsHost = LMS_HOST;
+  uef.__token = token;
+  uef.__session = "session-handle";
+  uef.eval(await source("uef.js"));
+
+  return {
+    uef,
+    panel,
+    ultra,
+    parent,
+    hellos,
+    fetches,
+    navigations,
+    connection: uef.__uefConnection,
+    close() {
+      ultra.close();
+      uef.close();
+      if (panel) panel.close();
+    },
+  };
+}
+
+/**
+ * mappy-bridge.js alone, next to a stub host frame that records the
+ * requests it is sent (`host: false` leaves the widget without one).
+ */
+export async function createWidgetFrame({ host = true } = {}) {
+  const navigations = [];
+  const requests = [];
+  const panel = createFrame(`${TOOL_ORIGIN}/widget.html`, navigations);
+  const stub = {
+    __uefConnection: {},
+    postMessage: (data, targetOrigin) => requests.push({ data, targetOrigin }),
+  };
+  Object.defineProperty(panel, "parent", {
+    value: { frames: host ? [stub, panel] : [panel] },
+    configurable: true,
+  });
+  panel.eval(await source("mappy-bridge.js"));
+  return {
+    panel,
+    host: stub,
+    requests,
+    bridge: panel.MappyBridge,
+    // Host -> widget message (response or event)
+    reply(data, { origin = TOOL_ORIGIN, source = stub } = {}) {
+      deliver(
+        panel,
+        { protocol: "ask-mappy", version: 1, ...data },
+        {
+          origin,
+          source,
+        }
+      );
+    },
+    close: () => panel.close(),
+  };
+}
+
+/**
+ * Waits for uef.js to reach "ready" and opens the panel from the help
+ * menu; resolves the portal:panel message Ultra received.
+ */
+export async function openPanel(frames) {
+  const { ultra, connection } = frames;
+  await waitFor("ready", () => connection.getState() === "ready");
+  await waitFor("help:request subscription", () => ultra.requestHelp());
+  return waitFor("portal:panel", () =>
+    ultra.received.find((m) => m.type === "portal:panel")
+  );
+}
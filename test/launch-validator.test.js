@@ -0,0 +1,258 @@
+/**
+ * id_token checks (lib/launch-validator.js): every claim rule and its
+ * error code, the clock tolerance, and JWKS fetch failures, against
+ * tokens signed here and a local JWKS server.
+ */
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { exportJWK, generateKeyPair, SignJWT } from "jose";
+import {
+  createLaunchValidator,
+  LaunchValidationError,
+} from "../lib/launch-validator.js";
+
+const CLAIM = "https://purl.imsglobal.org/spec/lti/claim/";
+const ISSUER = "https://blackboard.com";
+const CLIENT_ID = "tool-client";
+const TARGET = "https://tool.test/lti/launch";
+const NONCE = "nonce-1";
+
+let server;
+let baseUrl;
+let signingKey;
+let strangerKey;
+// path -> (req, res); the JWKS and the ways it can be unavailable
+const routes = {};
+
+before(async () => {
+  const pair = await generateKeyPair("RS256");
+  signingKey = pair.privateKey;
+  strangerKey = (await generateKeyPair("RS256")).privateKey;
+  const jwk = { ...(await exportJWK(pair.publicKey)), kid: "k1", alg: "RS256" };
+
+  routes["/jwks.json"] = (req, res) => res.end(JSON.stringify({ keys: [jwk] }));
+  routes["/broken.json"] = (req, res) => {
+    res.statusCode = 500;
+    res.end("upstream error");
+  };
+  routes["/garbage.json"] = (req, res) => res.end("<html>login</html>");
+
+  server = http.createServer((req, res) => {
+    const route = routes[req.url];
+    if (!route) res.statusCode = 404;
+    return route ? route(req, res) : res.end();
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+const platform = (overrides = {}) => ({
+  key: `${ISSUER}|${CLIENT_ID}`,
+  issuer: ISSUER,
+  clientId: CLIENT_ID,
+  deploymentIds: ["dep-1"],
+  jwksUrl: `${baseUrl}/jwks.json`,
+  ...overrides,
+});
+
+const nowSec = () => Math.floor(Date.now() / 1000);
+
+// A valid resource link launch; `claims` overrides (undefined removes)
+function idToken(claims = {}, { key = signingKey, kid = "k1" } = {}) {
+  const payload = {
+    iss: ISSUER,
+    aud: CLIENT_ID,
+    sub: "user-1",
+    iat: nowSec(),
+    exp: nowSec() + 300,
+    nonce: NONCE,
+    [`${CLAIM}message_type`]: "LtiResourceLinkRequest",
+    [`${CLAIM}version`]: "1.3.0",
+    [`${CLAIM}target_link_uri`]: TARGET,
+    [`${CLAIM}deployment_id`]: "dep-1",
+    ...claims,
+  };
+  for (const k of Object.keys(payload)) {
+    if (payload[k] === undefined) delete payload[k];
+  }
+  return new SignJWT(payload)
+    .setProtectedHeader({ alg: "RS256", kid })
+    .sign(key);
+}
+
+function validate(token, { validator, ...options } = {}) {
+  return (validator || createLaunchValidator()).validate(token, {
+    platform: platform(),
+    nonce: NONCE,
+    targetLinkUri: TARGET,
+    ...options,
+  });
+}
+
+async function rejectsWith(promise, code, status = 400) {
+  await assert.rejects(promise, (err) => {
+    assert.ok(err instanceof LaunchValidationError, err.stack);
+    assert.equal(err.code, code, err.message);
+    assert.equal(err.status, status);
+    return true;
+  });
+}
+
+test("a valid launch returns its payload", async () => {
+  const payload = await validate(await idToken());
+  assert.equal(payload.sub, "user-1");
+  assert.equal(payload[`${CLAIM}deployment_id`], "dep-1");
+
+  // Deep linking, azp naming us alongside another audience
+  const deepLink = await idToken({
+    aud: [CLIENT_ID, "another"],
+    azp: CLIENT_ID,
+    [`${CLAIM}message_type`]: "LtiDeepLinkingRequest",
+  });
+  assert.equal((await validate(deepLink)).azp, CLIENT_ID);
+});
+
+const CLAIM_RULES = [
+  ["nonce differs from login", { nonce: "other" }, "nonce_mismatch"],
+  ["nonce missing", { nonce: undefined }, "nonce_mismatch"],
+  [
+    "unsupported message_type",
+    { [`${CLAIM}message_type`]: "LtiSubmissionReviewRequest" },
+    "message_type_unsupported",
+  ],
+  [
+    "missing message_type",
+    { [`${CLAIM}message_type`]: undefined },
+    "message_type_unsupported",
+  ],
+  ["version 1.1", { [`${CLAIM}version`]: "1.1" }, "version_unsupported"],
+  [
+    "version missing",
+    { [`${CLAIM}version`]: undefined },
+    "version_unsupported",
+  ],
+  ["several audiences, no azp", { aud: [CLIENT_ID, "other"] }, "azp_mismatch"],
+  ["azp names another client", { azp: "other" }, "azp_mismatch"],
+  [
+    "target_link_uri differs from login",
+    { [`${CLAIM}target_link_uri`]: "https://tool.test/elsewhere" },
+    "target_link_uri_mismatch",
+  ],
+  [
+    "target_link_uri missing",
+    { [`${CLAIM}target_link_uri`]: undefined },
+    "target_link_uri_missing",
+  ],
+  [
+    "unknown deployment",
+    { [`${CLAIM}deployment_id`]: "dep-9" },
+    "deployment_id_mismatch",
+  ],
+  [
+    "deployment missing",
+    { [`${CLAIM}deployment_id`]: undefined },
+    "deployment_id_missing",
+  ],
+];
+
+for (const [name, claims, code] of CLAIM_RULES) {
+  test(`rejects ${name} as ${code}`, async () => {
+    await rejectsWith(validate(await idToken(claims)), code);
+  });
+}
+
+test("iss, aud and sub are checked by the JWT layer", async () => {
+  await rejectsWith(
+    validate(await idToken({ iss: "https://evil.test" })),
+    "claim_invalid_iss",
+    401
+  );
+  await rejectsWith(
+    validate(await idToken({ aud: "another-tool" })),
+    "claim_invalid_aud",
+    401
+  );
+  await rejectsWith(
+    validate(await idToken({ sub: undefined })),
+    "claim_invalid_sub",
+    401
+  );
+});
+
+test("any deployment is accepted when the registration lists none", async () => {
+  const token = await idToken({ [`${CLAIM}deployment_id`]: "dep-9" });
+  const payload = await validate(token, {
+    platform: platform({ deploymentIds: [] }),
+  });
+  assert.equal(payload[`${CLAIM}deployment_id`], "dep-9");
+});
+
+test("without a login target_link_uri any target is accepted", async () => {
+  const token = await idToken({ [`${CLAIM}target_link_uri`]: "https://x" });
+  await validate(token, { targetLinkUri: "" });
+});
+
+test("exp and iat are checked with the clock tolerance", async () => {
+  const validator = createLaunchValidator({ clockToleranceSec: 60 });
+  const check = async (claims) =>
+    validate(await idToken(claims), { validator });
+
+  // Inside the tolerance
+  await check({ exp: nowSec() - 30 });
+  await check({ iat: nowSec() + 30 });
+
+  // Outside it
+  await rejectsWith(check({ exp: nowSec() - 90 }), "token_expired", 401);
+  await rejectsWith(check({ iat: nowSec() + 90 }), "claim_invalid_iat", 401);
+  await rejectsWith(check({ exp: undefined }), "claim_invalid_exp", 401);
+  await rejectsWith(check({ iat: undefined }), "claim_invalid_iat", 401);
+});
+
+test("tokens not signed by a platform key fail as signature_invalid", async () => {
+  const validator = createLaunchValidator();
+  await rejectsWith(
+    validate(await idToken({}, { key: strangerKey }), { validator }),
+    "signature_invalid",
+    401
+  );
+  await rejectsWith(
+    validate(await idToken({}, { key: strangerKey, kid: "k9" }), {
+      validator,
+    }),
+    "signature_invalid",
+    401
+  );
+  await rejectsWith(validate("not.a.jwt", { validator }), "token_invalid", 401);
+});
+
+test("an unreachable or broken JWKS is jwks_unavailable (502)", async () => {
+  const token = await idToken();
+  const closed = http.createServer();
+  await new Promise((resolve) => closed.listen(0, "127.0.0.1", resolve));
+  const closedUrl = `http://127.0.0.1:${closed.address().port}/jwks.json`;
+  await new Promise((resolve) => closed.close(resolve));
+
+  for (const jwksUrl of [
+    closedUrl,
+    `${baseUrl}/broken.json`,
+    `${baseUrl}/garbage.json`,
+    `${baseUrl}/missing.json`,
+  ]) {
+    await rejectsWith(
+      validate(token, { platform: platform({ jwksUrl }) }),
+      "jwks_unavailable",
+      502
+    );
+  }
+});
+
+test("a registration without a JWKS URL is platform_misconfigured", async () => {
+  await rejectsWith(
+    validate(await idToken(), { platform: platform({ jwksUrl: "" }) }),
+    "platform_misconfigured",
+    500
+  );
+});
@@ -0,0 +1,86 @@
+/**
+ * Learn REST reads (lib/learn-api.js) through the shared Learn HTTP
+ * client against a local Learn: per-user caching, and a Learn 401 (token
+ * revoked in Learn) dropping the user's tokens and what was cached for them.
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { createLearnApi, LearnApiError } from "../lib/learn-api.js";
+import { createLearnHttp } from "../lib/learn-http.js";
+
+// Learn answering with `learn.revoked` set: 401 for every bearer token
+async function learnServer(t) {
+  const learn = { revoked: false, hits: [] };
+  const server = http.createServer((req, res) => {
+    learn.hits.push(req.url.split("?")[0]);
+    res.setHeader("Content-Type", "application/json");
+    if (learn.revoked) {
+      res.writeHead(401);
+      return res.end(JSON.stringify({ message: "Bearer token is invalid" }));
+    }
+    res.end(JSON.stringify({ results: [{ id: "_1_1", title: "Week 1" }] }));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  learn.host = `http://127.0.0.1:${server.address().port}`;
+  return learn;
+}
+
+function learnApi(learn) {
+  const tokens = {
+    revoked: [],
+    async revoke(userKey) {
+      this.revoked.push(userKey);
+    },
+    async getAccessToken(userKey) {
+      return {
+        platformKey: "p",
+        accessToken: `at-${userKey}`,
+        learnUserId: "_9_1",
+      };
+    },
+  };
+  const api = createLearnApi({
+    tokens,
+    platformFor: () => ({ learnHost: learn.host }),
+    http: createLearnHttp({ maxRetries: 0 }),
+  });
+  return { api, tokens };
+}
+
+const CONTENTS = "/learn/api/public/v1/courses/_101_1/contents";
+
+test("a Learn 401 drops the user's tokens and cached answers", async (t) => {
+  const learn = await learnServer(t);
+  const { api, tokens } = learnApi(learn);
+
+  await api.courseContents("student", "_101_1");
+  await api.courseContents("other", "_101_1");
+  assert.deepEqual(await api.courseContents("student", "_101_1"), [
+    {
+      id: "_1_1",
+      parentId: null,
+      title: "Week 1",
+      type: "",
+      hasChildren: false,
+      available: false,
+      created: null,
+    },
+  ]);
+  assert.deepEqual(learn.hits, [CONTENTS, CONTENTS], "cached per user");
+
+  learn.revoked = true;
+  await assert.rejects(api.myCalendar("student"), (err) => {
+    assert.ok(err instanceof LearnApiError);
+    assert.equal(err.status, 401);
+    return true;
+  });
+  assert.deepEqual(tokens.revoked, ["student"]);
+  // The student's cache is gone; the other user's is not
+  await assert.rejects(api.courseContents("student", "_101_1"), {
+    status: 401,
+  });
+  assert.equal((await api.courseContents("other", "_101_1")).length, 1);
+  assert.equal(learn.hits.filter((h) => h === CONTENTS).length, 3);
+});
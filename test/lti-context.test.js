@@ -0,0 +1,50 @@
+/**
+ * Launch context (lib/lti-context.js): which primary role a launch's
+ * LTI roles map to.
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { launchContextFrom, primaryRole, ROLE } from "../lib/lti-context.js";
+
+const LIS = "http://purl.imsglobal.org/vocab/lis/v2/";
+const INSTRUCTOR = `${LIS}membership#Instructor`;
+const TA = `${LIS}membership/Instructor#TeachingAssistant`;
+const LEARNER = `${LIS}membership#Learner`;
+const ADMIN = `${LIS}institution/person#Administrator`;
+const STUDENT = `${LIS}institution/person#Student`;
+const GUEST = `${LIS}membership#Guest`;
+
+test("a TA sent with the Instructor context role stays a TA", () => {
+  assert.equal(primaryRole([INSTRUCTOR, TA]), ROLE.TA);
+  assert.equal(primaryRole([TA, INSTRUCTOR]), ROLE.TA);
+  assert.equal(primaryRole([TA]), ROLE.TA);
+  assert.equal(primaryRole([INSTRUCTOR]), ROLE.INSTRUCTOR);
+});
+
+test("primary role order", () => {
+  const cases = [
+    [[ADMIN, INSTRUCTOR, TA], ROLE.ADMIN],
+    [[STUDENT, INSTRUCTOR], ROLE.INSTRUCTOR],
+    [[LEARNER, STUDENT], ROLE.STUDENT],
+    [[GUEST, STUDENT], ROLE.GUEST],
+    [[STUDENT], ROLE.STUDENT],
+    [[`${LIS}membership#Mentor`], ROLE.OTHER],
+    [[], ROLE.OTHER],
+  ];
+  for (const [roles, role] of cases) {
+    assert.equal(primaryRole(roles), role, roles.join(", "));
+  }
+});
+
+test("launch context takes its role from the roles claim", () => {
+  const launch = launchContextFrom(
+    {
+      iss: "https://blackboard.com",
+      sub: "user-1",
+      "https://purl.imsglobal.org/spec/lti/claim/roles": [INSTRUCTOR, TA],
+    },
+    { key: "https://blackboard.com|client", clientId: "client" }
+  );
+  assert.equal(launch.role, ROLE.TA);
+  assert.deepEqual(launch.roles, [INSTRUCTOR, TA]);
+});
@@ -0,0 +1,127 @@
+/**
+ * Widget side of the postMessage bridge (public/mappy-bridge.js) in
+ * jsdom, against a stub host frame.
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createWidgetFrame, sleep, waitFor } from "./helpers/uef-frames.js";
+
+test("requests go to the host frame with the tool origin", async (t) => {
+  const w = await createWidgetFrame();
+  t.after(w.close);
+
+  w.bridge.request("panel:resize", { panelType: "full" }).catch(() => {});
+  const [{ data, targetOrigin }] = await waitFor("request", () =>
+    w.requests.length ? w.requests : null
+  );
+  assert.equal(targetOrigin, "https://tool.test");
+  const { id, ...message } = data;
+  assert.match(id, /^req-/);
+  assert.deepEqual(message, {
+    protocol: "ask-mappy",
+    version: 1,
+    kind: "request",
+    type: "panel:resize",
+    payload: { panelType: "full" },
+  });
+});
+
+test("responses are matched to requests by id, in any order", async (t) => {
+  const w = await createWidgetFrame();
+  t.after(w.close);
+
+  const first = w.bridge.request("context:get");
+  const second = w.bridge.request("hello");
+  const [a, b] = w.requests.map((r) => r.data.id);
+  assert.notEqual(a, b);
+
+  w.reply({ kind: "response", id: b, ok: true, result: { n: 2 } });
+  w.reply({ kind: "response", id: a, ok: true, result: { n: 1 } });
+  assert.deepEqual(await first, { n: 1 });
+  assert.deepEqual(await second, { n: 2 });
+});
+
+test("responses from another origin, frame or protocol are ignored", async (t) => {
+  const w = await createWidgetFrame();
+  t.after(w.close);
+
+  let settled = null;
+  w.bridge.request("hello").then((result) => (settled = result));
+  const { id } = w.requests[0].data;
+  const answer = (result, extra = {}) => ({
+    kind: "response",
+    id,
+    ok: true,
+    result,
+    ...extra,
+  });
+
+  w.reply(answer("origin"), { origin: "https://evil.test" });
+  w.reply(answer("frame"), { source: { postMessage() {} } });
+  w.reply(answer("version", { version: 2 }));
+  w.reply(answer("protocol", { protocol: "other" }));
+  await sleep(20);
+  assert.equal(settled, null, "nothing accepted yet");
+
+  w.reply(answer("host"));
+  await waitFor("response", () => settled);
+  assert.equal(settled, "host");
+});
+
+test("error responses reject with the host's code", async (t) => {
+  const w = await createWidgetFrame();
+  t.after(w.close);
+
+  const pending = w.bridge.request("navigate", { path: "/elsewhere" });
+  w.reply({
+    kind: "response",
+    id: w.requests[0].data.id,
+    ok: false,
+    error: { code: "bad_request", message: "Path is not allowed" },
+  });
+  await assert.rejects(pending, {
+    code: "bad_request",
+    message: "Path is not allowed",
+  });
+});
+
+test("requests time out, and fail without a host frame", async (t) => {
+  const w = await createWidgetFrame();
+  const alone = await createWidgetFrame({ host: false });
+  t.after(() => {
+    w.close();
+    alone.close();
+  });
+
+  await assert.rejects(w.bridge.request("hello", {}, { timeoutMs: 20 }), {
+    code: "timeout",
+  });
+  // A late answer to a timed-out request is dropped
+  w.reply({ kind: "response", id: w.requests[0].data.id, ok: true });
+
+  await assert.rejects(alone.bridge.request("hello"), { code: "no_host" });
+});
+
+test("events reach listeners only from the host frame", async (t) => {
+  const w = await createWidgetFrame();
+  t.after(w.close);
+
+  const seen = [];
+  const off = w.bridge.on("context:update", (p) => seen.push(p.context));
+  const event = (courseId) => ({
+    kind: "event",
+    type: "context:update",
+    payload: { context: { courseId } },
+  });
+
+  w.reply(event("_1_1"), { source: { postMessage() {} } });
+  w.reply(event("_2_1"), { origin: "https://evil.test" });
+  w.reply(event("_3_1"));
+  await waitFor("event", () => seen.length);
+  assert.deepEqual(seen, [{ courseId: "_3_1" }]);
+
+  off();
+  w.reply(event("_4_1"));
+  await sleep(20);
+  assert.equal(seen.length, 1, "unsubscribed");
+});
@@ -0,0 +1,136 @@
+/**
+ * Platform registry (lib/platforms.js): several registrations per issuer,
+ * the required Learn host, and upsert() writing PLATFORMS_FILE back.
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { createPlatformRegistry, platformFromEnv } from "../lib/platforms.js";
+
+const ISSUER = "https://blackboard.com";
+
+const registration = (clientId, learnHost, extra = {}) => ({
+  issuer: ISSUER,
+  clientId,
+  jwksUrl: `https://developer.blackboard.com/${clientId}/jwks.json`,
+  authEndpoint: "https://developer.blackboard.com/api/v1/gateway/oidcauth",
+  learnHost,
+  ...extra,
+});
+
+const TEST_SITE = registration(
+  "test-client",
+  "https://mapua-test.blackboard.com"
+);
+const PROD_SITE = registration("prod-client", "https://mapua.blackboard.com/");
+
+async function platformsFile(t, list) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "platforms-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "platforms.json");
+  if (list) await fs.writeFile(file, JSON.stringify(list));
+  return file;
+}
+
+test("two registrations of one issuer are told apart by client id", async (t) => {
+  const platforms = await createPlatformRegistry({
+    file: await platformsFile(t, [TEST_SITE, PROD_SITE]),
+  });
+
+  assert.equal(
+    platforms.get(ISSUER, "prod-client").learnHost,
+    "https://mapua.blackboard.com"
+  );
+  assert.equal(
+    platforms.byKey(`${ISSUER}|test-client`).learnHost,
+    "https://mapua-test.blackboard.com"
+  );
+  // A login without client_id cannot pick one
+  assert.equal(platforms.findByIssuer(ISSUER), null);
+  assert.equal(platforms.findByIssuer("https://other.test"), null);
+  assert.deepEqual(platforms.learnHosts(), [
+    "https://mapua-test.blackboard.com",
+    "https://mapua.blackboard.com",
+  ]);
+
+  const single = await createPlatformRegistry({
+    file: await platformsFile(t, [TEST_SITE]),
+  });
+  assert.equal(single.findByIssuer(ISSUER).clientId, "test-client");
+});
+
+test("a registration without a Learn host is refused", async (t) => {
+  await assert.rejects(
+    createPlatformRegistry({
+      file: await platformsFile(t, [registration("no-host", "")]),
+    }),
+    /https:\/\/blackboard.com\|no-host requires learnHost/
+  );
+
+  // LEARN_HOST unset: the env registration has none either
+  const env = { PLATFORM_ISSUER: ISSUER, LTI_CLIENT_ID: "env-client" };
+  await assert.rejects(
+    createPlatformRegistry({ file: "", extra: [platformFromEnv(env)] }),
+    /requires learnHost/
+  );
+  const fromEnv = await createPlatformRegistry({
+    file: "",
+    extra: [
+      platformFromEnv({ ...env, LEARN_HOST: "https://mapua.blackboard.com" }),
+    ],
+  });
+  assert.equal(fromEnv.all()[0].learnHost, "https://mapua.blackboard.com");
+
+  const platforms = await createPlatformRegistry({ file: "" });
+  await assert.rejects(
+    platforms.upsert(registration("no-host", "")),
+    /requires learnHost/
+  );
+  assert.deepEqual(platforms.all(), []);
+});
+
+test("upsert writes the registration back to the file", async (t) => {
+  const file = await platformsFile(t, [TEST_SITE]);
+  const platforms = await createPlatformRegistry({
+    file,
+    defaults: { restKey: "rest-key", restSecret: "rest-secret" },
+    extra: [registration("env-client", "https://env.blackboard.com")],
+  });
+
+  const added = await platforms.upsert(PROD_SITE);
+  assert.equal(added.key, `${ISSUER}|prod-client`);
+  assert.equal(added.restKey, "rest-key", "defaults apply");
+  await platforms.upsert({ ...TEST_SITE, deploymentIds: ["d1", " d2 "] });
+
+  // The re-registered client replaces its entry; env registrations and
+  // defaults are not persisted
+  const stored = JSON.parse(await fs.readFile(file, "utf8"));
+  assert.deepEqual(
+    stored.map((p) => p.clientId),
+    ["prod-client", "test-client"]
+  );
+  assert.ok(stored.every((p) => !("restKey" in p)));
+
+  const reloaded = await createPlatformRegistry({ file });
+  assert.deepEqual(reloaded.get(ISSUER, "test-client").deploymentIds, [
+    "d1",
+    "d2",
+  ]);
+  assert.equal(
+    reloaded.get(ISSUER, "prod-client").learnHost,
+    "https://mapua.blackboard.com"
+  );
+  assert.equal(reloaded.get(ISSUER, "env-client"), null);
+});
+
+test("a missing file starts empty and is created on the first upsert", async (t) => {
+  const file = path.join(await platformsFile(t), "nested", "platforms.json");
+  const platforms = await createPlatformRegistry({ file });
+  assert.deepEqual(platforms.all(), []);
+
+  await platforms.upsert(TEST_SITE);
+  const stored = JSON.parse(await fs.readFile(file, "utf8"));
+  assert.equal(stored[0].clientId, "test-client");
+});
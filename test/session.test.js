@@ -0,0 +1,80 @@
+/**
+ * Session manager (lib/session.js): cookie parsing and the signed
+ * session id, with the memory state store.
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryStore } from "../lib/state-store.js";
+import { createSessionManager } from "../lib/session.js";
+
+function manager(t) {
+  const store = createMemoryStore();
+  t.after(() => store.close());
+  return createSessionManager({ store, secret: "test-secret" });
+}
+
+// A response that keeps Set-Cookie like node's http.ServerResponse
+function response() {
+  const headers = {};
+  return {
+    getHeader: (k) => headers[k.toLowerCase()],
+    setHeader: (k, v) => (headers[k.toLowerCase()] = v),
+    cookies: () => [].concat(headers["set-cookie"] || []),
+  };
+}
+
+const cookieValue = (setCookie) => setCookie.split(";")[0].split(/=(.*)/)[1];
+
+test("a malformed cookie is skipped, not a 500", async (t) => {
+  const sessions = manager(t);
+  const sid = await sessions.create({ userKey: "u1" });
+  const res = response();
+  sessions.setCookie(res, sid);
+  const signed = cookieValue(res.cookies()[0]);
+
+  const req = (cookie, headers = {}) => ({ headers: { cookie, ...headers } });
+  assert.equal(
+    sessions.sidFromRequest(req(`other=%E0%A4%A; mappy_sid=${signed}`)),
+    sid
+  );
+  assert.equal(sessions.sidFromRequest(req("mappy_sid=%zz")), null);
+  // A broken cookie falls back to the X-Session handle
+  assert.equal(
+    sessions.sidFromRequest(
+      req("mappy_sid=%", { "x-session": sessions.handle(sid) })
+    ),
+    sid
+  );
+  assert.equal(sessions.stateBound(req("mappy_st_x=%"), "state"), null);
+});
+
+test("state cookies are only enforced where the browser keeps them", (t) => {
+  const sessions = manager(t);
+  const res = response();
+  sessions.bindState(res, "state-a", 60_000);
+  sessions.bindState(res, "state-b", 60_000);
+  const [a, b] = res.cookies().map((c) => c.split(";")[0]);
+  const req = (cookie) => ({ headers: { cookie } });
+
+  assert.equal(sessions.stateBound(req(`${a}; ${b}`), "state-a"), true);
+  assert.equal(sessions.stateBound(req(b), "state-b"), true);
+  // Cookies work here, but this state was issued to another browser
+  assert.equal(sessions.stateBound(req(b), "state-a"), false);
+  assert.equal(sessions.stateBound(req(`${a}x`), "state-a"), false);
+  assert.equal(sessions.stateBound(req(a), ""), false);
+  // Third-party cookies blocked: no verdict, the pop-once state decides
+  assert.equal(sessions.stateBound(req("mappy_sid=x"), "state-a"), null);
+  assert.equal(sessions.stateBound({ headers: {} }), null);
+});
+
+test("tampered or unsigned session ids are rejected", async (t) => {
+  const sessions = manager(t);
+  const sid = await sessions.create({ userKey: "u1" });
+  const handle = sessions.handle(sid);
+  const req = (cookie) => ({ headers: { cookie } });
+
+  assert.equal(sessions.sidFromRequest(req(`mappy_sid=${handle}`)), sid);
+  assert.equal(sessions.sidFromRequest(req(`mappy_sid=${sid}`)), null);
+  assert.equal(sessions.sidFromRequest(req(`mappy_sid=${handle}x`)), null);
+  assert.equal(sessions.sidFromRequest({ headers: {} }), null);
+});
@@ -0,0 +1,341 @@
+/**
+ * State store backends (lib/state-store.js): the shared put/get/pop
+ * contract for memory, file and redis (against test/helpers/resp-stub.js),
+ * file-store claims across instances, cleanup of stale files and the RESP
+ * client's connection handling.
+ */
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import {
+  createMemoryStore,
+  createFileStore,
+  createRedisStore,
+  createStateStore,
+} from "../lib/state-store.js";
+import { createLogger } from "../lib/logger.js";
+import { startRespStub } from "./helpers/resp-stub.js";
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+async function tmpDir(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "state-store-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const backends = {
+  async memory(t) {
+    const store = createMemoryStore();
+    t.after(() => store.close());
+    return store;
+  },
+  async file(t) {
+    const store = createFileStore({ dir: await tmpDir(t) });
+    t.after(() => store.close());
+    return store;
+  },
+  async redis(t) {
+    const stub = await startRespStub();
+    const store = createRedisStore({ url: stub.url() });
+    t.after(async () => {
+      await store.close();
+      await stub.close();
+    });
+    return store;
+  },
+};
+
+for (const [kind, open] of Object.entries(backends)) {
+  describe(`${kind} store`, () => {
+    test("put/get round-trips JSON values and get does not consume", async (t) => {
+      const store = await open(t);
+      assert.equal(store.kind, kind);
+      const value = { state: "abc", nonce: "n-1", nested: [1, "two", null] };
+      await store.put("k", value, 60_000);
+      assert.deepEqual(await store.get("k"), value);
+      assert.deepEqual(await store.get("k"), value);
+      assert.equal(await store.size(), 1);
+    });
+
+    test("pop returns the value once", async (t) => {
+      const store = await open(t);
+      await store.put("k", "v", 60_000);
+      assert.equal(await store.pop("k"), "v");
+      assert.equal(await store.pop("k"), null);
+      assert.equal(await store.get("k"), null);
+    });
+
+    test("missing keys and del", async (t) => {
+      const store = await open(t);
+      assert.equal(await store.get("nope"), null);
+      assert.equal(await store.pop("nope"), null);
+      await store.put("k", 1, 60_000);
+      await store.del("k");
+      await store.del("k");
+      assert.equal(await store.get("k"), null);
+      assert.equal(await store.size(), 0);
+    });
+
+    test("records expire after their TTL", async (t) => {
+      const store = await open(t);
+      await store.put("short", "s", 30);
+      await store.put("long", "l", 60_000);
+      await sleep(60);
+      assert.equal(await store.get("short"), null);
+      assert.equal(await store.pop("short"), null);
+      assert.equal(await store.get("long"), "l");
+      assert.equal(await store.size(), 1);
+    });
+  });
+}
+
+describe("file store across instances", () => {
+  test("a put from one instance is visible to another on the same dir", async (t) => {
+    const dir = await tmpDir(t);
+    const a = createFileStore({ dir });
+    const b = createFileStore({ dir });
+    t.after(() => Promise.all([a.close(), b.close()]));
+
+    await a.put("state", { n: 1 }, 60_000);
+    assert.deepEqual(await b.get("state"), { n: 1 });
+    assert.deepEqual(await b.pop("state"), { n: 1 });
+    assert.equal(await a.pop("state"), null);
+  });
+
+  test("concurrent pops from two instances hand each value out once", async (t) => {
+    const dir = await tmpDir(t);
+    const a = createFileStore({ dir });
+    const b = createFileStore({ dir });
+    t.after(() => Promise.all([a.close(), b.close()]));
+
+    const keys = Array.from({ length: 20 }, (_, i) => `state-${i}`);
+    await Promise.all(keys.map((k) => a.put(k, k, 60_000)));
+
+    const results = await Promise.all(
+      keys.flatMap((k) => [a.pop(k), b.pop(k), a.pop(k), b.pop(k)])
+    );
+    const won = results.filter((v) => v !== null);
+    assert.deepEqual(won.sort(), [...keys].sort());
+    assert.deepEqual(await fs.readdir(dir), []);
+  });
+});
+
+describe("file store cleanup", () => {
+  async function age(file, ms) {
+    const when = new Date(Date.now() - ms);
+    await fs.utimes(file, when, when);
+  }
+
+  test("in-flight .tmp and .claimed files survive, stale ones are removed", async (t) => {
+    const dir = await tmpDir(t);
+    const store = createFileStore({ dir, staleMs: 10_000 });
+    t.after(() => store.close());
+    await store.put("live", "v", 60_000);
+
+    const files = {
+      freshTmp: path.join(dir, "a.json.1.x.tmp"),
+      freshClaim: path.join(dir, "b.json.1.x.claimed"),
+      staleTmp: path.join(dir, "c.json.1.x.tmp"),
+      staleClaim: path.join(dir, "d.json.1.x.claimed"),
+      corrupt: path.join(dir, "e.json"),
+      staleCorrupt: path.join(dir, "f.json"),
+      other: path.join(dir, "README"),
+    };
+    for (const file of Object.values(files)) await fs.writeFile(file, "{");
+    await age(files.staleTmp, 20_000);
+    await age(files.staleClaim, 20_000);
+    await age(files.staleCorrupt, 20_000);
+    await age(files.other, 20_000);
+
+    await store.cleanup();
+    const left = await fs.readdir(dir);
+    for (const name of ["freshTmp", "freshClaim", "corrupt", "other"]) {
+      assert.ok(left.includes(path.basename(files[name])), name);
+    }
+    for (const name of ["staleTmp", "staleClaim", "staleCorrupt"]) {
+      assert.ok(!left.includes(path.basename(files[name])), name);
+    }
+    assert.equal(await store.get("live"), "v");
+  });
+
+  test("periodic cleanup failures go to the logger", async (t) => {
+    t.mock.timers.enable({ apis: ["setInterval"] });
+    const dir = await tmpDir(t);
+    const lines = [];
+    const logger = createLogger({ write: (l) => lines.push(JSON.parse(l)) });
+    const store = createStateStore(
+      { STATE_STORE: "file", STATE_STORE_DIR: dir },
+      { logger }
+    );
+    t.after(() => store.close());
+    await store.put("k", "v", 60_000);
+
+    await fs.rm(dir, { recursive: true });
+    t.mock.timers.tick(60 * 1000);
+    for (let i = 0; i < 100 && !lines.length; i++) await sleep(5);
+
+    assert.equal(lines.length, 1);
+    assert.equal(lines[0].level, "error");
+    assert.equal(lines[0].msg, "State store cleanup error");
+    assert.equal(lines[0].dir, dir);
+    assert.equal(lines[0].err.code, "ENOENT");
+  });
+
+  test("expired records are removed whatever their age", async (t) => {
+    const dir = await tmpDir(t);
+    const store = createFileStore({ dir });
+    t.after(() => store.close());
+    await store.put("gone", "v", 1);
+    await store.put("kept", "v", 60_000);
+    await sleep(10);
+
+    await store.cleanup();
+    assert.equal((await fs.readdir(dir)).length, 1);
+    assert.equal(await store.get("kept"), "v");
+  });
+});
+
+describe("redis client", () => {
+  test("sends AUTH and SELECT from the URL before the first command", async (t) => {
+    const stub = await startRespStub({ password: "s3cret" });
+    const store = createRedisStore({
+      url: stub.url("mappy:s3cret", "2"),
+      prefix: "p:",
+    });
+    t.after(async () => {
+      await store.close();
+      await stub.close();
+    });
+
+    await store.put("k", "v", 1000);
+    assert.deepEqual(stub.log.slice(0, 3), [
+      ["AUTH", "mappy", "s3cret"],
+      ["SELECT", "2"],
+      ["SET", "p:k", '"v"', "PX", "1000"],
+    ]);
+  });
+
+  test("a rejected AUTH fails the command", async (t) => {
+    const stub = await startRespStub({ password: "s3cret" });
+    const store = createRedisStore({ url: stub.url(":wrong") });
+    t.after(async () => {
+      await store.close();
+      await stub.close();
+    });
+
+    await assert.rejects(store.get("k"), /WRONGPASS/);
+  });
+
+  test("error replies reject only their own command", async (t) => {
+    const stub = await startRespStub({ password: "s3cret" });
+    const store = createRedisStore({ url: stub.url() });
+    t.after(async () => {
+      await store.close();
+      await stub.close();
+    });
+
+    await assert.rejects(store.get("k"), /NOAUTH/);
+    await assert.rejects(store.put("k", "v", 1000), /NOAUTH/);
+  });
+
+  test("replies split across packets are reassembled", async (t) => {
+    const stub = await startRespStub({ chunked: true });
+    const store = createRedisStore({ url: stub.url() });
+    t.after(async () => {
+      await store.close();
+      await stub.close();
+    });
+
+    const value = { text: "mabuhay ñ ✓", list: [1, 2, 3] };
+    await store.put("k", value, 60_000);
+    await store.put("k2", "v2", 60_000);
+    assert.deepEqual(await store.get("k"), value);
+    assert.equal(await store.size(), 2);
+  });
+
+  test("pipelined commands resolve in order", async (t) => {
+    const stub = await startRespStub();
+    const store = createRedisStore({ url: stub.url() });
+    t.after(async () => {
+      await store.close();
+      await stub.close();
+    });
+
+    const keys = Array.from({ length: 10 }, (_, i) => `k${i}`);
+    await Promise.all(keys.map((k, i) => store.put(k, i, 60_000)));
+    assert.deepEqual(
+      await Promise.all(keys.map((k) => store.pop(k))),
+      [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]
+    );
+    assert.equal(await store.size(), 0);
+  });
+
+  test("size follows the SCAN cursor across pages", async (t) => {
+    const stub = await startRespStub();
+    const store = createRedisStore({ url: stub.url(), prefix: "p:" });
+    t.after(async () => {
+      await store.close();
+      await stub.close();
+    });
+
+    for (let i = 0; i < 5; i++) await store.put(`k${i}`, i, 60_000);
+    stub.data.set("other:k", { value: "1", expiresAt: Infinity });
+    assert.equal(await store.size(), 5);
+    assert.equal(stub.log.filter(([c]) => c === "SCAN").length, 2);
+  });
+
+  test("only redis:// and rediss:// URLs are accepted", () => {
+    for (const url of ["http://127.0.0.1:6379", "unix:///tmp/redis.sock"]) {
+      assert.throws(
+        () => createRedisStore({ url }),
+        /Unsupported Redis URL scheme/
+      );
+    }
+  });
+
+  test("rediss:// speaks TLS from the first byte", async (t) => {
+    const stub = await startRespStub({ silent: true });
+    const store = createRedisStore({
+      url: stub.url().replace("redis://", "rediss://"),
+      connectTimeoutMs: 200,
+    });
+    t.after(async () => {
+      await store.close();
+      await stub.close();
+    });
+
+    await assert.rejects(store.get("k"), /connect timed out after 200ms/);
+    const hello = Buffer.concat(stub.received);
+    assert.equal(hello[0], 0x16, "TLS handshake record");
+    assert.ok(!hello.includes("GET"), "no plaintext command");
+  });
+
+  test("a server that never replies fails the command, then recovers", async (t) => {
+    const stalled = await startRespStub({ silent: true });
+    const store = createRedisStore({
+      url: stalled.url(),
+      commandTimeoutMs: 200,
+    });
+    t.after(async () => {
+      await store.close();
+      await stalled.close();
+    });
+
+    const started = Date.now();
+    const results = await Promise.allSettled([
+      store.pop("a"),
+      store.put("b", 1, 1000),
+    ]);
+    assert.ok(Date.now() - started < 2000);
+    for (const r of results) {
+      assert.equal(r.status, "rejected");
+      assert.match(r.reason.message, /command timed out after 200ms/);
+    }
+    // The stalled connection was dropped; the next command reconnects
+    await assert.rejects(store.get("a"), /command timed out/);
+    assert.equal(stalled.connections, 2);
+  });
+});
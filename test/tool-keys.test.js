@@ -0,0 +1,164 @@
+/**
+ * Tool signing keys (lib/tool-keys.js): first key, rotation overlap and
+ * retirement, picking up a rotation done by another process (npm run
+ * rotate:jwks), read-only keys from TOOL_KEYS_JSON and the extra public
+ * keys of TOOL_PUBLIC_JWKS_JSON.
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { createLocalJWKSet, decodeProtectedHeader, jwtVerify } from "jose";
+import { createToolKeyStore, parsePublicJwks } from "../lib/tool-keys.js";
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+async function keyFile(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "tool-keys-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return path.join(dir, "keys", "tool-keys.json");
+}
+
+async function kidOf(store) {
+  const jwt = await store.sign({ hello: "world" }, { audience: "platform" });
+  const { payload } = await jwtVerify(
+    jwt,
+    createLocalJWKSet(await store.publicJwks()),
+    { audience: "platform" }
+  );
+  assert.equal(payload.hello, "world");
+  return decodeProtectedHeader(jwt).kid;
+}
+
+const kids = async (store) => (await store.publicJwks()).keys.map((k) => k.kid);
+
+test("the first key is created once and kept private", async (t) => {
+  const file = await keyFile(t);
+  const store = createToolKeyStore({ file });
+  await assert.rejects(store.activeKid(), /No active tool key/);
+
+  const kid = await store.ensureActiveKey();
+  assert.equal(await store.ensureActiveKey(), kid);
+  assert.equal(await store.activeKid(), kid);
+  assert.equal(await kidOf(store), kid);
+  assert.equal((await fs.stat(file)).mode & 0o777, 0o600);
+
+  const [jwk] = (await store.publicJwks()).keys;
+  assert.deepEqual(Object.keys(jwk).sort(), [
+    "alg",
+    "e",
+    "kid",
+    "kty",
+    "n",
+    "use",
+  ]);
+
+  // Another process on the same file sees the same key
+  assert.equal(await createToolKeyStore({ file }).activeKid(), kid);
+});
+
+test("rotation signs with the new key and publishes the old one until it retires", async (t) => {
+  const store = createToolKeyStore({ file: await keyFile(t) });
+  const first = await store.ensureActiveKey();
+
+  const { kid: second, retireAt } = await store.rotate({ overlapMs: 1000 });
+  assert.notEqual(second, first);
+  assert.equal(await kidOf(store), second);
+  assert.deepEqual(await kids(store), [second, first]);
+  const old = (await store.list()).find((k) => k.kid === first);
+  assert.equal(old.retireAt, retireAt);
+
+  await sleep(Date.parse(retireAt) - Date.now() + 20);
+  assert.deepEqual(await kids(store), [second]);
+
+  // The retired key is dropped from the file at the next rotation
+  const { kid: third } = await store.rotate({ overlapMs: 60_000 });
+  assert.deepEqual(
+    (await store.list()).map((k) => k.kid),
+    [third, second]
+  );
+});
+
+test("a rotation by another process reaches a running store", async (t) => {
+  const file = await keyFile(t);
+  const server = createToolKeyStore({ file });
+  const first = await server.ensureActiveKey();
+  assert.equal(await kidOf(server), first);
+
+  // npm run rotate:jwks
+  await sleep(20);
+  const { kid: second } = await createToolKeyStore({ file }).rotate();
+
+  assert.equal(await server.activeKid(), second);
+  assert.equal(await kidOf(server), second);
+  assert.deepEqual(await kids(server), [second, first]);
+
+  // The running store rotates on top of the file, not its old copy
+  await sleep(20);
+  const { kid: third } = await server.rotate();
+  assert.deepEqual(await kids(createToolKeyStore({ file })), [
+    third,
+    second,
+    first,
+  ]);
+});
+
+test("keys survive the file disappearing under a running store", async (t) => {
+  const file = await keyFile(t);
+  const store = createToolKeyStore({ file });
+  const kid = await store.ensureActiveKey();
+
+  await fs.rm(file);
+  assert.equal(await kidOf(store), kid);
+});
+
+test("a corrupt key file fails loudly", async (t) => {
+  const file = await keyFile(t);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, "{ not json");
+  await assert.rejects(
+    createToolKeyStore({ file }).publicJwks(),
+    /Cannot load TOOL_KEYS_FILE/
+  );
+});
+
+test("TOOL_KEYS_JSON keys sign but are never written or generated", async (t) => {
+  const file = await keyFile(t);
+  const source = createToolKeyStore({ file });
+  const kid = await source.ensureActiveKey();
+  const json = await fs.readFile(file, "utf8");
+
+  const store = createToolKeyStore({ file: "", json });
+  assert.equal(await store.activeKid(), kid);
+  assert.equal(await kidOf(store), kid);
+  await assert.rejects(store.rotate(), /TOOL_KEYS_JSON/);
+
+  const empty = createToolKeyStore({ file: "", json: '{"keys":[]}' });
+  await assert.rejects(empty.ensureActiveKey(), /TOOL_KEYS_JSON/);
+  await assert.rejects(empty.activeKid(), /No active tool key/);
+  await assert.rejects(
+    createToolKeyStore({ file: "", json: "nope" }).publicJwks(),
+    /Cannot parse TOOL_KEYS_JSON/
+  );
+});
+
+test("TOOL_PUBLIC_JWKS_JSON must be a JWKS of public keys", async (t) => {
+  const store = createToolKeyStore({ file: await keyFile(t) });
+  await store.ensureActiveKey();
+  const [published] = (await store.publicJwks()).keys;
+
+  assert.deepEqual(parsePublicJwks(""), []);
+  assert.deepEqual(parsePublicJwks(JSON.stringify({ keys: [published] })), [
+    published,
+  ]);
+  for (const [json, message] of [
+    ["{ not json", /Cannot parse TOOL_PUBLIC_JWKS_JSON/],
+    ['{"kty":"RSA"}', /must be \{ "keys": \[\.\.\.\] \}/],
+    ['{"keys":[{"kid":"a"}]}', /keys\[0\] needs a kty/],
+    ['{"keys":[{"kty":"RSA"}]}', /keys\[0\] needs a kid/],
+    [JSON.stringify({ keys: [{ ...published, d: "x" }] }), /not a public key/],
+  ]) {
+    assert.throws(() => parsePublicJwks(json), message, json);
+  }
+});
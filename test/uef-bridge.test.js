@@ -0,0 +1,220 @@
+/**
+ * Host side of the widget bridge (public/uef.js) in jsdom: uef.js and
+ * mappy-bridge.js in sibling frames under the mock Ultra host.
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createFrames,
+  deliver,
+  LMS_HOST,
+  openPanel,
+  sleep,
+  TOOL_ORIGIN,
+  waitFor,
+} from "./helpers/uef-frames.js";
+
+async function frames(t) {
+  const f = await createFrames({ widget: true });
+  t.after(f.close);
+  await waitFor("ready", () => f.connection.getState() === "ready");
+  return f;
+}
+
+const request = (f, type, payload) =>
+  f.panel.MappyBridge.request(type, payload);
+
+test("hello and context:get report the Ultra page context", async (t) => {
+  const f = await frames(t);
+
+  const hello = await request(f, "hello");
+  assert.deepEqual(hello, {
+    context: { routeName: "", courseId: "", contentId: "" },
+    panelType: "small",
+  });
+
+  const updates = [];
+  f.panel.MappyBridge.on("context:update", (p) => updates.push(p.context));
+  await waitFor("route subscription", () =>
+    f.ultra.navigate("course.outline", { courseId: "_101_1" })
+  );
+  const context = {
+    routeName: "course.outline",
+    courseId: "_101_1",
+    contentId: "",
+  };
+  await waitFor("context:update", () => updates.length);
+  assert.deepEqual(updates, [context]);
+  assert.deepEqual(await request(f, "context:get"), { context });
+});
+
+test("panel:close removes the open panel once", async (t) => {
+  const f = await frames(t);
+  await openPanel(f);
+  await waitFor("panel render", () =>
+    f.ultra.received.find((m) => m.type === "portal:render")
+  );
+
+  assert.deepEqual(await request(f, "panel:close"), { closed: true });
+  await waitFor("portal:remove", () =>
+    f.ultra.received.some((m) => m.type === "portal:remove")
+  );
+  assert.deepEqual(await request(f, "panel:close"), { closed: false });
+});
+
+test("panel:resize validates and, with no panel open, applies to the next open", async (t) => {
+  const f = await frames(t);
+
+  await assert.rejects(request(f, "panel:resize", { panelType: "huge" }), {
+    code: "bad_request",
+  });
+  await assert.rejects(request(f, "panel:resize"), { code: "bad_request" });
+
+  assert.deepEqual(await request(f, "panel:resize", { panelType: "large" }), {
+    panelType: "large",
+    reopened: false,
+  });
+  const opened = await openPanel(f);
+  assert.equal(opened.panelType, "large");
+});
+
+test("panel:resize reopens the open panel at the new size, same course", async (t) => {
+  const f = await createFrames({ widget: true, config: { analytics: true } });
+  t.after(f.close);
+  const panels = () =>
+    f.ultra.received.filter((m) => m.type === "portal:panel");
+  const rendered = (portalId) =>
+    f.ultra.received.find(
+      (m) => m.type === "portal:render" && m.portalId === portalId
+    );
+  // The widget iframe rendered into a panel portal
+  const widgets = () =>
+    f.ultra.received.filter(
+      (m) =>
+        m.type === "portal:render" && m.contents.children?.[0]?.tag === "iframe"
+    );
+  const usage = () =>
+    f.fetches
+      .filter((r) => r.pathname === "/api/analytics/events")
+      .map((r) => JSON.parse(r.options.body).events[0]);
+
+  // Opened from a course portal, so the panel is scoped to that course
+  await waitFor("ready", () => f.connection.getState() === "ready");
+  const portalId = await waitFor("portal:new subscription", () =>
+    f.ultra.openPortal("course.outline.details", { courseId: "_101_1" })
+  );
+  const entry = await waitFor("course portal render", () => rendered(portalId));
+  f.ultra.click(entry.contents.props.onClick.callbackId);
+  const [first] = await waitFor(
+    "widget render",
+    () => widgets().length && widgets()
+  );
+
+  // Same size: nothing to do
+  assert.deepEqual(await request(f, "panel:resize", { panelType: "small" }), {
+    panelType: "small",
+    reopened: false,
+  });
+  assert.deepEqual(await request(f, "panel:resize", { panelType: "full" }), {
+    panelType: "full",
+    reopened: true,
+  });
+  const second = await waitFor("reopened render", () => widgets()[1]);
+  const [opened, reopened] = panels();
+  assert.equal(reopened.panelType, "full");
+  assert.ok(
+    f.ultra.received.some(
+      (m) => m.type === "portal:remove" && m.portalId === first.portalId
+    )
+  );
+  assert.notEqual(second.portalId, first.portalId);
+  assert.equal(
+    new URL(second.contents.children[0].props.src).searchParams.get("courseId"),
+    "_101_1"
+  );
+
+  // Ultra reporting the old panel closed does not close the new one
+  f.ultra.click(opened.attributes.onClose.callbackId);
+  await sleep(50);
+  assert.deepEqual(await request(f, "panel:close"), { closed: true });
+
+  // One open and one close: the resize is not a new usage session
+  await waitFor("close tracked", () => usage().length === 2);
+  assert.deepEqual(
+    usage().map((e) => [e.type, e.reason, e.courseId]),
+    [
+      ["open", "course-portal", "_101_1"],
+      ["close", "course-portal", "_101_1"],
+    ]
+  );
+});
+
+test("navigate only opens allow-listed Ultra pages", async (t) => {
+  const f = await frames(t);
+  const navigate = (payload) => request(f, "navigate", payload);
+
+  assert.deepEqual(
+    await navigate({ route: "course-outline", courseId: "_101_1" }),
+    { url: `${LMS_HOST}/ultra/courses/_101_1/outline` }
+  );
+  assert.deepEqual(await navigate({ route: "calendar" }), {
+    url: `${LMS_HOST}/ultra/calendar`,
+  });
+  assert.deepEqual(await navigate({ path: "/ultra/courses/_7_1/grades" }), {
+    url: `${LMS_HOST}/ultra/courses/_7_1/grades`,
+  });
+  assert.equal(f.navigations.length, 3, "top window navigated");
+
+  for (const payload of [
+    { path: "/ultra/../webapps/blackboard/execute/logout" },
+    { path: "/ultra/courses/_1_1/outline?next=https://evil.test" },
+    { path: "//evil.test/ultra/calendar" },
+    { path: "/ultra/admin" },
+    { route: "course-grades", courseId: "../../admin" },
+    { route: "course-outline" },
+    { route: "somewhere" },
+    {},
+  ]) {
+    await assert.rejects(
+      navigate(payload),
+      { code: "bad_request" },
+      JSON.stringify(payload)
+    );
+  }
+  assert.equal(f.navigations.length, 3, "refused requests never navigate");
+});
+
+test("requests are checked before any handler runs", async (t) => {
+  const f = await frames(t);
+  const replies = [];
+  const sender = { postMessage: (data) => replies.push(data) };
+  const send = (data, { origin = TOOL_ORIGIN, source = sender } = {}) =>
+    deliver(
+      f.uef,
+      { protocol: "ask-mappy", version: 1, kind: "request", ...data },
+      { origin, source }
+    );
+
+  send({ id: "a", type: "panel:close" }, { origin: "https://evil.test" });
+  send({ id: "b", type: "panel:close" }, { origin: LMS_HOST });
+  send({ id: "c", type: "panel:close" }, { source: f.uef });
+  send({ id: "d", type: "panel:close", protocol: "other" });
+  send({ type: "panel:close" });
+  send({ id: "e", type: "hello", version: 2 });
+  send({ id: "f", type: "panel:open" });
+  send({ id: "g", type: "hello" });
+
+  await waitFor("replies", () => replies.length === 3);
+  await sleep(20);
+  assert.deepEqual(
+    replies.map((r) => [r.id, r.ok, r.error?.code]),
+    [
+      ["e", false, "unsupported_version"],
+      ["f", false, "unknown_type"],
+      ["g", true, undefined],
+    ]
+  );
+  assert.ok(
+    replies.every((r) => r.protocol === "ask-mappy" && r.kind === "response")
+  );
+});
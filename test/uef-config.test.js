@@ -0,0 +1,198 @@
+/**
+ * UEF runtime config (lib/uef-config.js): schema errors that stop boot
+ * (unknown keys, wrong types, missing defaults) and the
+ * defaults <- platform <- course resolution order.
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  loadUefConfig,
+  UefConfigError,
+  validateUefConfig,
+} from "../lib/uef-config.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const SHIPPED = path.join(ROOT, "config", "uef-config.json");
+
+const DEFAULTS = JSON.parse(await fs.readFile(SHIPPED, "utf8")).defaults;
+
+async function configFile(t, config) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "uef-config-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "uef-config.json");
+  await fs.writeFile(
+    file,
+    typeof config === "string" ? config : JSON.stringify(config)
+  );
+  return file;
+}
+
+// The problems validateUefConfig() reports for `config`
+function problemsOf(config) {
+  try {
+    validateUefConfig(config);
+  } catch (err) {
+    assert.ok(err instanceof UefConfigError);
+    return err.problems;
+  }
+  assert.fail("config was accepted");
+}
+
+test("the shipped config is valid", async () => {
+  const config = await loadUefConfig(SHIPPED);
+  assert.deepEqual(config.resolve(), DEFAULTS);
+});
+
+test("unknown sections and settings are refused", () => {
+  assert.deepEqual(
+    problemsOf({
+      defaults: { ...DEFAULTS, theme: "dark" },
+      platforms: { "https://lms.test": { panelWidth: 400 } },
+      courses: { _1_1: { displayName: "Mappy", colour: "red" } },
+      activities: { quiz: { label: "Quiz", scoreMaximum: 1, weight: 2 } },
+      feature: {},
+    }),
+    [
+      "feature is not a known section",
+      "defaults.theme is not a known setting",
+      'platforms["https://lms.test"].panelWidth is not a known setting',
+      'courses["_1_1"].colour is not a known setting',
+      'activities["quiz"].weight is not a known setting',
+    ]
+  );
+});
+
+test("wrong types and values are refused", () => {
+  assert.deepEqual(
+    problemsOf({
+      defaults: {
+        ...DEFAULTS,
+        displayName: " ",
+        panelType: "huge",
+        iconPath: "icon.png",
+        baseNavRouteName: "Ask Mappy",
+        widgetKey: "A60-CF5",
+        coursePortalSelectors: "course.outline.details",
+      },
+      platforms: [],
+      courses: { _1_1: { providerType: 1 }, _2_1: "small" },
+      activities: {
+        "bad id!": { label: "Quiz", scoreMaximum: 1 },
+        week1: { label: "", scoreMaximum: 0 },
+      },
+    }),
+    [
+      "defaults.displayName must be non-empty string",
+      "defaults.panelType must be one of small, medium, large, full",
+      'defaults.iconPath must be path starting with "/"',
+      "defaults.baseNavRouteName must be lowercase letters, digits and dashes",
+      "defaults.widgetKey must be alphanumeric NoodleFactory widget key",
+      'defaults.coursePortalSelectors must be list of UEF portal selectors (e.g. "course.outline.details")',
+      "platforms must be an object",
+      'courses["_1_1"].providerType must be one of auxiliary, primary',
+      'courses["_2_1"] must be an object',
+      'activities["bad id!"] id must be 1-64 letters, digits, "_", "." or "-"',
+      'activities["week1"].label must be a non-empty string of at most 100 characters',
+      'activities["week1"].scoreMaximum must be a number above 0 and at most 1000',
+    ]
+  );
+});
+
+test("defaults must set every key; overrides may set any", () => {
+  const { widgetKey, panelTitle, ...partial } = DEFAULTS;
+  assert.deepEqual(problemsOf({ defaults: partial }), [
+    "defaults.panelTitle is required",
+    "defaults.widgetKey is required",
+  ]);
+  assert.deepEqual(problemsOf({}), ["defaults must be an object"]);
+  assert.throws(() => validateUefConfig(null), UefConfigError);
+  assert.doesNotThrow(() =>
+    validateUefConfig({
+      defaults: DEFAULTS,
+      courses: { _1_1: { panelType: "large" } },
+    })
+  );
+});
+
+test("a file that does not parse or validate fails the load", async (t) => {
+  await assert.rejects(
+    loadUefConfig(await configFile(t, "{ not json")),
+    /Cannot load UEF_CONFIG_FILE/
+  );
+  await assert.rejects(
+    loadUefConfig(await configFile(t, { defaults: { panelType: "small" } })),
+    UefConfigError
+  );
+});
+
+test("courses override platforms, which override the defaults", async (t) => {
+  const config = await loadUefConfig(
+    await configFile(t, {
+      defaults: DEFAULTS,
+      platforms: {
+        "https://lms.test": { panelType: "medium", panelTitle: "Host" },
+        "https://lms.test|client-1": { panelTitle: "Registration" },
+      },
+      courses: {
+        _101_1: { panelType: "large" },
+        "ctx-101": { panelType: "full", displayName: "Mappy 101" },
+      },
+    })
+  );
+  const platform = {
+    learnHost: "https://lms.test",
+    key: "https://lms.test|client-1",
+  };
+
+  assert.deepEqual(config.resolve({ platform }), {
+    ...DEFAULTS,
+    panelType: "medium",
+    // The registration's own entry wins over its Learn host's
+    panelTitle: "Registration",
+  });
+  assert.deepEqual(config.resolve({ platform, courseIds: ["_101_1"] }), {
+    ...DEFAULTS,
+    panelType: "large",
+    panelTitle: "Registration",
+  });
+  // Later ids win (/api/uef-config lists the launch course, then ?courseId=)
+  assert.deepEqual(
+    config.resolve({ platform, courseIds: ["_101_1", "ctx-101"] }),
+    {
+      ...DEFAULTS,
+      panelType: "full",
+      panelTitle: "Registration",
+      displayName: "Mappy 101",
+    }
+  );
+  // Course overrides apply without a platform; unknown ids change nothing
+  assert.equal(config.resolve({ courseIds: ["_101_1"] }).panelType, "large");
+  assert.deepEqual(
+    config.resolve({
+      platform: { learnHost: "https://other.test", key: "other" },
+      courseIds: ["_999_1", ""],
+    }),
+    DEFAULTS
+  );
+});
+
+test("activity() only returns listed activities", async (t) => {
+  const config = await loadUefConfig(
+    await configFile(t, {
+      defaults: DEFAULTS,
+      activities: { "week-1": { label: "Week 1 practice", scoreMaximum: 5 } },
+    })
+  );
+  assert.deepEqual(config.activity("week-1"), {
+    id: "week-1",
+    label: "Week 1 practice",
+    scoreMaximum: 5,
+  });
+  for (const id of ["week-2", "toString", "__proto__"]) {
+    assert.equal(config.activity(id), null, id);
+  }
+});
@@ -0,0 +1,202 @@
+/**
+ * uef.js connection state machine in jsdom against a mock Ultra parent
+ * that drops, delays or withholds its side of the handshake: retry
+ * timing, backoff growth, the give-up "failed" state and recovery.
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createFrames,
+  sleep,
+  TOOL_ORIGIN,
+  TOKEN,
+  waitFor,
+} from "./helpers/uef-frames.js";
+
+// Small delays so a full backoff run takes well under a second
+const retry = (overrides = {}) => ({
+  retryBaseMs: 20,
+  retryMaxMs: 80,
+  retryMaxAttempts: 5,
+  ...overrides,
+});
+
+async function frames(t, options) {
+  const f = await createFrames(options);
+  t.after(f.close);
+  const states = [];
+  f.connection.subscribe((next) => states.push(next));
+  return { ...f, states };
+}
+
+const gaps = (hellos) => hellos.slice(1).map((h, i) => h.at - hellos[i].at);
+
+// Timers can fire a millisecond early; never assume they fire on time
+const atLeast = (actual, ms, what) =>
+  assert.ok(actual >= ms - 2, `${what}: ${actual}ms < ${ms}ms`);
+
+// Ultra that answers the hello with a port it holds itself, so the test
+// decides when (and whether) authorization:authorize is answered
+function heldPort(t) {
+  const held = { port: null, received: [] };
+  held.onHello = (event) => {
+    if (held.port) return;
+    const channel = new MessageChannel();
+    held.port = channel.port1;
+    held.port.onmessage = (e) => held.received.push(e.data);
+    t.after(() => held.port.close());
+    event.source.postMessage({ type: "integration:hello" }, TOOL_ORIGIN, [
+      channel.port2,
+    ]);
+  };
+  held.authorizes = () =>
+    held.received.filter((m) => m.type === "authorization:authorize");
+  return held;
+}
+
+test("dropped hellos are retried until Ultra answers", async (t) => {
+  let dropped = 0;
+  const f = await frames(t, {
+    config: retry(),
+    onHello(event, ultra) {
+      if (dropped < 2) dropped++;
+      else ultra.handleWindowMessage(event);
+    },
+  });
+
+  await waitFor("ready", () => f.connection.getState() === "ready");
+  assert.deepEqual(f.states, ["idle", "handshaking", "authorizing", "ready"]);
+  assert.equal(f.hellos.length, 3);
+  for (const h of f.hellos) {
+    assert.equal(h.data.type, "integration:hello");
+    assert.equal(h.targetOrigin, "https://lms.test/*");
+  }
+  const [first, second] = gaps(f.hellos);
+  atLeast(first, 20, "first retry");
+  atLeast(second, 40, "second retry");
+
+  // Retries stop once the port is in
+  await sleep(200);
+  assert.equal(f.hellos.length, 3);
+});
+
+test("backoff doubles up to retryMaxMs, then gives up as failed", async (t) => {
+  const f = await frames(t, { config: retry(), onHello() {} });
+
+  await waitFor("failed", () => f.connection.getState() === "failed");
+  assert.deepEqual(f.states, ["idle", "handshaking", "failed"]);
+  // The first hello plus retryMaxAttempts retries
+  assert.equal(f.hellos.length, 6);
+
+  const g = gaps(f.hellos);
+  [20, 40, 80, 80, 80].forEach((ms, i) => atLeast(g[i], ms, `retry ${i + 1}`));
+  // Capped: uncapped, the last two would wait 160ms and 320ms
+  assert.ok(g[4] < 240, `retry 5 waited ${g[4]}ms`);
+
+  // Nothing more after giving up
+  await sleep(200);
+  assert.equal(f.hellos.length, 6);
+  assert.equal(f.connection.getState(), "failed");
+});
+
+test("retry() after failed starts a fresh handshake", async (t) => {
+  let answer = false;
+  const f = await frames(t, {
+    config: retry({ retryMaxAttempts: 1 }),
+    onHello(event, ultra) {
+      if (answer) ultra.handleWindowMessage(event);
+    },
+  });
+  await waitFor("failed", () => f.connection.getState() === "failed");
+  assert.equal(f.hellos.length, 2);
+
+  answer = true;
+  f.connection.retry();
+  await waitFor("ready", () => f.connection.getState() === "ready");
+  assert.equal(f.hellos.length, 3);
+  assert.deepEqual(f.states, [
+    "idle",
+    "handshaking",
+    "failed",
+    "handshaking",
+    "authorizing",
+    "ready",
+  ]);
+});
+
+test("a hello answered late is taken without another retry cycle", async (t) => {
+  const f = await frames(t, {
+    config: retry(),
+    onHello(event, ultra) {
+      // Answer the first hello after its retry has gone out; drop the rest
+      if (f.hellos.length === 1) {
+        setTimeout(() => ultra.handleWindowMessage(event), 30);
+      }
+    },
+  });
+
+  await waitFor("ready", () => f.connection.getState() === "ready");
+  assert.equal(f.hellos.length, 2);
+  assert.deepEqual(f.states, ["idle", "handshaking", "authorizing", "ready"]);
+
+  // The late port reset the backoff: no third hello
+  await sleep(200);
+  assert.equal(f.hellos.length, 2);
+  assert.equal(f.connection.getState(), "ready");
+});
+
+test("an unanswered authorize renews the token and tries again", async (t) => {
+  const held = heldPort(t);
+  const f = await frames(t, { config: retry(), onHello: held.onHello });
+
+  await waitFor("second authorize", () => held.authorizes().length >= 2);
+  assert.equal(f.connection.getState(), "authorizing");
+  assert.deepEqual(
+    held.authorizes().map((m) => m.token),
+    [TOKEN, TOKEN]
+  );
+  assert.equal(f.fetches.filter((r) => r.pathname === "/uef/token").length, 1);
+
+  held.port.postMessage({
+    type: "authorization:authorize",
+    status: "success",
+  });
+  await waitFor("ready", () => f.connection.getState() === "ready");
+  await waitFor("event:subscribe", () =>
+    held.received.find((m) => m.type === "event:subscribe")
+  );
+
+  // Answered: the authorize retries stop
+  const count = held.authorizes().length;
+  await sleep(200);
+  assert.equal(held.authorizes().length, count);
+  assert.deepEqual(f.states, ["idle", "handshaking", "authorizing", "ready"]);
+});
+
+test("a late authorize still recovers the connection after failed", async (t) => {
+  const held = heldPort(t);
+  const f = await frames(t, {
+    config: retry({ retryMaxAttempts: 2 }),
+    onHello: held.onHello,
+  });
+
+  await waitFor("failed", () => f.connection.getState() === "failed");
+  // The first authorize and one per retry (the port delivers them async)
+  await waitFor("third authorize", () => held.authorizes().length === 3);
+
+  held.port.postMessage({
+    type: "authorization:authorize",
+    status: "success",
+  });
+  await waitFor("ready", () => f.connection.getState() === "ready");
+  assert.deepEqual(f.states, [
+    "idle",
+    "handshaking",
+    "authorizing",
+    "failed",
+    "ready",
+  ]);
+  await waitFor("help:register", () =>
+    held.received.find((m) => m.type === "help:register")
+  );
+});
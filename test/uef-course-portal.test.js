@@ -0,0 +1,74 @@
+/**
+ * Course portal entries in uef.js (jsdom, mock Ultra host): rendered only
+ * for courses the server's coursePortal gate allows, asked once per course.
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createFrames, sleep, waitFor } from "./helpers/uef-frames.js";
+
+const SELECTOR = "course.outline.details";
+
+async function frames(t, options) {
+  const f = await createFrames(options);
+  t.after(f.close);
+  await waitFor("ready", () => f.connection.getState() === "ready");
+  await waitFor("portal:new subscription", () =>
+    f.ultra.received.find((m) => m.type === "event:subscribe")
+  );
+  f.rendered = (portalId) =>
+    f.ultra.received.find(
+      (m) => m.type === "portal:render" && m.portalId === portalId
+    );
+  f.gateAsks = () =>
+    f.fetches
+      .filter((r) => r.pathname === "/api/course/features")
+      .map((r) => new URLSearchParams(r.search).get("courseId"));
+  return f;
+}
+
+test("entries render only in courses the gate allows, asked once each", async (t) => {
+  const f = await frames(t, { coursePortal: (id) => id !== "_103_1" });
+
+  const gated = f.ultra.openPortal(SELECTOR, { courseId: "_103_1" });
+  const allowed = f.ultra.openPortal(SELECTOR, { courseId: "_104_1" });
+  const rendered = await waitFor("allowed render", () => f.rendered(allowed));
+  assert.match(
+    rendered.contents.props.onClick.callbackId,
+    new RegExp(`${allowed}$`)
+  );
+  await sleep(50);
+  assert.equal(f.rendered(gated), undefined);
+
+  // A second portal in a known course reuses the decision
+  const again = f.ultra.openPortal(SELECTOR, { courseId: "_104_1" });
+  await waitFor("second render", () => f.rendered(again));
+  assert.deepEqual(f.gateAsks().sort(), ["_103_1", "_104_1"]);
+});
+
+test("a portal removed while its gate is asked is not rendered", async (t) => {
+  const f = await frames(t, { coursePortal: () => sleep(50).then(() => true) });
+  const portalId = f.ultra.openPortal(SELECTOR, { courseId: "_105_1" });
+  await waitFor("gate asked", () => f.gateAsks().length);
+  f.ultra.removePortal(portalId);
+
+  const later = f.ultra.openPortal(SELECTOR, { courseId: "_105_1" });
+  await waitFor("later render", () => f.rendered(later));
+  assert.equal(f.rendered(portalId), undefined);
+});
+
+test("a course event sets the course of portals that carry none", async (t) => {
+  const f = await frames(t, { coursePortal: (id) => id === "_106_1" });
+  assert.ok(f.ultra.enterCourse("_106_1"), "course events subscribed");
+
+  const portalId = f.ultra.openPortal(SELECTOR);
+  await waitFor("render", () => f.rendered(portalId));
+  assert.deepEqual(f.gateAsks(), ["_106_1"]);
+
+  // A route with its own course id wins over the earlier course event
+  f.ultra.navigate("course.outline", { courseId: "_107_1" });
+  const other = f.ultra.openPortal(SELECTOR);
+  await waitFor("gate asked", () => f.gateAsks().length === 2);
+  await sleep(50);
+  assert.equal(f.rendered(other), undefined);
+  assert.deepEqual(f.gateAsks(), ["_106_1", "_107_1"]);
+});